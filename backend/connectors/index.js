@@ -0,0 +1,59 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Publishing connectors send posts to a platform. Admins choose the connector of each platform
+ * in `lists.platformMeta[platform].connector`. A connector is an object with:
+ * - `label`: name shown to admins
+ * - `validate(post, variant, { platform })`: list of problems preventing publication (empty when ready)
+ * - `publish(post, variant, { platform })`: resolves to `{ externalId, url, state }`, where `state` is
+ *   `published`, or `pending` when the platform finishes later
+ * - `getStatus(externalId, { platform })`: resolves to `{ state, url, error }` for a pending publication
+ * `variant` is the post's copy for the platform (see utils/variants.js). Any method may be async;
+ * `publish` and `getStatus` reject on (possibly temporary) failures.
+ */
+const mock = require('./mock');
+
+const CONNECTOR_METHODS = ['validate', 'publish', 'getStatus'];
+
+const connectors = { mock };
+
+/**
+ * Makes a connector selectable for platforms under `name`.
+ */
+function registerConnector(name, connector) {
+    const missing = CONNECTOR_METHODS.filter((m) => typeof (connector && connector[m]) !== 'function');
+    if (missing.length) throw new Error(`Connector ${name} lacks: ${missing.join(', ')}`);
+    connectors[name] = connector;
+}
+
+function getConnector(name) {
+    return (name && connectors[name]) || null;
+}
+
+/**
+ * `[{ name, label }]` of the registered connectors.
+ */
+function listConnectors() {
+    return Object.entries(connectors).map(([name, c]) => ({ name, label: c.label || name }));
+}
+
+module.exports = {
+    registerConnector,
+    getConnector,
+    listConnectors,
+};
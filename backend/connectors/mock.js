@@ -0,0 +1,80 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DB_DIR } = require('../utils/db');
+const { composeVariant } = require('../utils/variants');
+
+/**
+ * Offline connector: "publishes" by writing a JSON file per publication to PUBLISH_OUTBOX_DIR
+ * (default db/publish-outbox/<platform>/), so the publishing pipeline can be tried without
+ * any platform account.
+ */
+const OUTBOX_DIR = process.env.PUBLISH_OUTBOX_DIR || path.join(DB_DIR, 'publish-outbox');
+
+// Keeps platform names and ids usable as path segments
+const safeName = (value) => String(value).replace(/[^a-z0-9_.-]+/gi, '_');
+
+function fileFor(platform, externalId) {
+    return path.join(OUTBOX_DIR, safeName(platform), `${safeName(externalId)}.json`);
+}
+
+function validate(post, variant) {
+    return composeVariant(variant).trim() ? [] : ['Nothing to publish: the copy is empty'];
+}
+
+async function publish(post, variant, { platform }) {
+    const externalId = `${post.id}-${post.date}`;
+    const file = fileFor(platform, externalId);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(
+        file,
+        JSON.stringify(
+            {
+                externalId,
+                platform,
+                postId: post.id,
+                title: post.title,
+                scheduledFor: `${post.date}${post.isAllDay ? '' : ` ${post.time}`}`,
+                text: composeVariant(variant),
+                firstComment: variant.firstComment || '',
+                publishedAt: new Date().toISOString(),
+            },
+            null,
+            2
+        )
+    );
+    return { externalId, url: `file://${file}`, state: 'published' };
+}
+
+async function getStatus(externalId, { platform }) {
+    const file = fileFor(platform, externalId);
+    try {
+        await fs.access(file);
+        return { state: 'published', url: `file://${file}` };
+    } catch {
+        return { state: 'failed', error: 'Not found in the outbox' };
+    }
+}
+
+module.exports = {
+    label: 'Mock (local outbox)',
+    validate,
+    publish,
+    getStatus,
+};
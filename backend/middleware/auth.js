@@ -26,6 +26,9 @@ const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
 // Export TTL so callers can use it when setting cookie maxAge
 exports.SESSION_TTL_MS = DEFAULT_SESSION_TTL_MS;
 
+// Called on revocation with the username, and the token when only one session is revoked (see onSessionsRevoked)
+const revocationListeners = [];
+
 // Simple mutex for session persistence to prevent write races
 const sessionLock = { locked: false, queue: [] };
 
@@ -210,17 +213,57 @@ async function revokeSessionsForUser(username) {
     }
 
     console.log(`Revoked ${revokedCount} session(s) for user: ${username}`);
+    revocationListeners.forEach((listener) => listener(username, null));
 
     // Persist changes to disk
     await persistSessions();
 }
 
+/**
+ * Returns `{ username, role }` for a live session token, or null.
+ * Used where no request goes through requireAuth, such as the Socket.io handshake.
+ */
+function getSessionUser(token) {
+    const session = token && sessions.get(token);
+    if (!session || session.expires <= Date.now()) return null;
+    return { username: session.username, role: session.role };
+}
+
+/**
+ * Registers `listener(username, token)`, called as soon as sessions of a user are revoked:
+ * all of them when `token` is null, otherwise just that one.
+ * The server uses it to close the matching Socket.io connections.
+ */
+function onSessionsRevoked(listener) {
+    revocationListeners.push(listener);
+}
+
+/**
+ * Socket.io middleware: authenticateSocket
+ * - Accepts the handshake only with a valid `session_token` cookie, checked against the same
+ *   sessions as requireAuth (cookies are parsed by cookie-parser on the engine).
+ * On success: sets `socket.data.user = { username, role }` and `socket.data.token`, and calls next().
+ */
+function authenticateSocket(socket, next) {
+    const token = socket.request.cookies && socket.request.cookies.session_token;
+    if (!token) return next(new Error('Missing authentication'));
+
+    const user = getSessionUser(token);
+    if (!user) return next(new Error('Invalid or expired session'));
+
+    socket.data.user = user;
+    socket.data.token = token;
+    return next();
+}
+
 /**
  * Revoke a specific session token
  */
 async function revokeSession(token) {
+    const session = sessions.get(token);
     const existed = sessions.delete(token);
     if (existed) {
+        revocationListeners.forEach((listener) => listener(session.username, token));
         await persistSessions();
     }
     return existed;
@@ -263,4 +306,7 @@ module.exports = {
     createSession,
     revokeSessionsForUser,
     revokeSession,
+    getSessionUser,
+    onSessionsRevoked,
+    authenticateSocket,
 };
@@ -0,0 +1,200 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { readPostsOptimized, atomicBulkUpdate } = require('../utils/db-cache');
+const { readJSON, appendLog, LISTS_PATH } = require('../utils/db');
+const { requireAuth } = require('../middleware/auth');
+const { broadcastChange } = require('../utils/live-sync');
+const { getWorkflow } = require('../utils/workflow');
+const {
+    getCampaigns,
+    getCampaign,
+    validateCampaign,
+    addCampaign,
+    updateCampaign,
+    removeCampaign,
+    doneStatus,
+    campaignStats,
+} = require('../utils/campaigns');
+
+router.use(requireAuth);
+
+/**
+ * Logs a campaign change and signals all clients to refresh.
+ */
+function publish(req, action, campaign, details) {
+    appendLog({
+        type: 'campaign',
+        action,
+        user: req.user.username,
+        time: Date.now(),
+        item: campaign.id,
+        details: { name: campaign.name, ...details },
+    }).catch((err) => console.error('Log failed', err));
+
+    const io = req.app.get('socketio');
+    broadcastChange(io, { type: 'campaigns', action, id: campaign.id });
+}
+
+async function findCampaign(req, res) {
+    const campaign = await getCampaign(req.params.id);
+    if (!campaign) res.status(404).json({ error: 'Campaign not found' });
+    return campaign;
+}
+
+function canModify(req, campaign) {
+    const { username, role } = req.user;
+    return role === 'admin' || campaign.owner === username || campaign.createdBy === username;
+}
+
+async function readDoneStatus() {
+    const lists = (await readJSON(LISTS_PATH)) || {};
+    return doneStatus(lists, await getWorkflow());
+}
+
+/**
+ * GET /api/campaigns
+ * Lists campaigns by start date, each with `stats: { total, done, byStatus }` and the
+ * `doneStatus` that counts towards progress.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const [campaigns, posts, done] = await Promise.all([getCampaigns(), readPostsOptimized(), readDoneStatus()]);
+        const result = campaigns
+            .map((c) => ({
+                ...c,
+                doneStatus: done,
+                stats: campaignStats(
+                    posts.filter((p) => p.campaignId === c.id),
+                    done
+                ),
+            }))
+            .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.name.localeCompare(b.name));
+        res.json(result);
+    } catch (err) {
+        console.error('Failed to read campaigns:', err);
+        res.status(500).json({ error: 'Failed to read campaigns' });
+    }
+});
+
+/**
+ * GET /api/campaigns/:id
+ * Returns a campaign with its stats and its posts, sorted by date.
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const campaign = await findCampaign(req, res);
+        if (!campaign) return;
+
+        const posts = (await readPostsOptimized()).filter((p) => p.campaignId === campaign.id);
+        const done = await readDoneStatus();
+        res.json({ ...campaign, doneStatus: done, stats: campaignStats(posts, done), posts });
+    } catch (err) {
+        console.error('Failed to read campaign:', err);
+        res.status(500).json({ error: 'Failed to read campaign' });
+    }
+});
+
+/**
+ * POST /api/campaigns
+ * Creates a campaign from `{ name, color, startDate, endDate, goal, owner }`. The owner
+ * defaults to the current user. 422 with per-field messages when invalid.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { value, errors } = await validateCampaign(req.body, await getCampaigns());
+        if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+        const campaign = await addCampaign(value, req.user.username);
+        publish(req, 'create', campaign);
+        res.status(201).json(campaign);
+    } catch (err) {
+        console.error('Failed to create campaign:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PUT /api/campaigns/:id
+ * Updates the submitted fields of a campaign. Its owner, its creator or an administrator only.
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const existing = await findCampaign(req, res);
+        if (!existing) return;
+        if (!canModify(req, existing)) {
+            return res.status(403).json({ error: 'Only the campaign owner or an administrator can change it' });
+        }
+
+        const { value, errors } = await validateCampaign(req.body, await getCampaigns(), existing);
+        if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+        const campaign = await updateCampaign(existing.id, value, req.user.username);
+        if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+
+        publish(req, 'update', campaign);
+        res.json(campaign);
+    } catch (err) {
+        console.error('Failed to update campaign:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * DELETE /api/campaigns/:id
+ * Deletes a campaign and detaches its posts (their `campaignId` becomes null).
+ * Its owner, its creator or an administrator only.
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const existing = await findCampaign(req, res);
+        if (!existing) return;
+        if (!canModify(req, existing)) {
+            return res.status(403).json({ error: 'Only the campaign owner or an administrator can delete it' });
+        }
+
+        const removed = await removeCampaign(existing.id);
+        if (!removed) return res.status(404).json({ error: 'Campaign not found' });
+
+        const ids = (await readPostsOptimized()).filter((p) => p.campaignId === removed.id).map((p) => p.id);
+        if (ids.length) {
+            const now = Date.now();
+            const result = await atomicBulkUpdate(
+                ids,
+                (post) => ({ ...post, campaignId: null, updatedBy: req.user.username, updatedAt: now }),
+                { user: req.user.username, action: 'update' }
+            );
+            broadcastChange(req.app.get('socketio'), {
+                type: 'posts',
+                action: 'bulk',
+                ids,
+                posts: result.updated || [],
+                deleted: [],
+            });
+        }
+
+        publish(req, 'delete', removed, { detached: ids.length });
+        res.status(204).end();
+    } catch (err) {
+        console.error('Failed to delete campaign:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { readPostsOptimized, atomicUpdatePost } = require('../utils/db-cache');
+const { appendLog, readJSON, LISTS_PATH } = require('../utils/db');
+const { requireAuth } = require('../middleware/auth');
+const { broadcastChange } = require('../utils/live-sync');
+const { MAX_ITEMS, validateItem, applyItemChanges, newItem, reorderItems } = require('../utils/checklist');
+
+router.use(requireAuth);
+
+/**
+ * Loads the post into `req.post` (404 when it does not exist).
+ */
+router.use(async (req, res, next) => {
+    try {
+        const post = (await readPostsOptimized()).find((p) => p.id === req.params.postId);
+        if (!post) return res.status(404).json({ error: 'Post not found' });
+        req.post = post;
+        next();
+    } catch (err) {
+        console.error('Failed to read posts:', err);
+        res.status(500).json({ error: 'Failed to read posts' });
+    }
+});
+
+function findItem(req, res) {
+    const item = (req.post.checklist || []).find((i) => i.id === req.params.itemId);
+    if (!item) res.status(404).json({ error: 'Checklist item not found' });
+    return item;
+}
+
+/**
+ * Replaces the post's checklist with `mutate(checklist)` under the posts lock, then logs the
+ * change and pushes the updated post to clients through `data_updated`. Responds with it.
+ */
+async function saveChecklist(req, res, mutate, details, status = 200) {
+    const { postId } = req.params;
+    const user = req.user.username;
+
+    const result = await atomicUpdatePost(
+        postId,
+        (oldPost) => ({
+            ...oldPost,
+            checklist: mutate(oldPost.checklist || []),
+            updatedBy: user,
+            updatedAt: Date.now(),
+        }),
+        { user, action: 'checklist' }
+    );
+    if (!result.success) return res.status(404).json({ error: 'Post not found' });
+
+    appendLog({
+        type: 'post',
+        action: 'checklist',
+        user,
+        time: Date.now(),
+        item: postId,
+        details,
+    }).catch((err) => console.error('Log failed', err));
+
+    const io = req.app.get('socketio');
+    broadcastChange(io, { type: 'posts', action: 'update', id: postId, post: result.updatedPost });
+
+    res.status(status).json(result.updatedPost);
+}
+
+/**
+ * POST /api/posts/:postId/checklist
+ * Appends an item: `{ text, assignee? }`. Responds with the updated post.
+ */
+router.post('/', async (req, res) => {
+    try {
+        if ((req.post.checklist || []).length >= MAX_ITEMS) {
+            return res.status(422).json({ error: `A checklist can have at most ${MAX_ITEMS} items` });
+        }
+        const lists = (await readJSON(LISTS_PATH)) || {};
+        const { value, errors } = validateItem(req.body, lists);
+        if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+        const item = newItem(value);
+        await saveChecklist(req, res, (checklist) => [...checklist, item], { add: item.id, text: item.text }, 201);
+    } catch (err) {
+        console.error('Failed to add checklist item:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PUT /api/posts/:postId/checklist/order
+ * Reorders the items: `{ ids }` must list every item id exactly once.
+ */
+router.put('/order', async (req, res) => {
+    const ids = (req.body || {}).ids;
+    if (!reorderItems(req.post.checklist || [], ids)) {
+        return res
+            .status(422)
+            .json({ error: 'Validation failed', fields: { ids: 'Must list every item exactly once' } });
+    }
+
+    try {
+        // If items were added or removed in the meantime, the order is left unchanged
+        await saveChecklist(req, res, (checklist) => reorderItems(checklist, ids) || checklist, { order: ids });
+    } catch (err) {
+        console.error('Failed to reorder checklist:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PATCH /api/posts/:postId/checklist/:itemId
+ * Edits an item: any of `text`, `assignee` and `done`.
+ */
+router.patch('/:itemId', async (req, res) => {
+    try {
+        const existing = findItem(req, res);
+        if (!existing) return;
+
+        const lists = (await readJSON(LISTS_PATH)) || {};
+        const { value, errors } = validateItem(req.body, lists, { partial: true, existing });
+        if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+        await saveChecklist(
+            req,
+            res,
+            (checklist) =>
+                checklist.map((i) => (i.id === existing.id ? applyItemChanges(i, value, req.user.username) : i)),
+            { update: existing.id, changes: value }
+        );
+    } catch (err) {
+        console.error('Failed to update checklist item:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/posts/:postId/checklist/:itemId/toggle
+ * Flips an item between done and not done.
+ */
+router.post('/:itemId/toggle', async (req, res) => {
+    try {
+        const existing = findItem(req, res);
+        if (!existing) return;
+
+        const user = req.user.username;
+        await saveChecklist(
+            req,
+            res,
+            (checklist) =>
+                checklist.map((i) => (i.id === existing.id ? applyItemChanges(i, { done: !i.done }, user) : i)),
+            { toggle: existing.id, done: !existing.done }
+        );
+    } catch (err) {
+        console.error('Failed to toggle checklist item:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * DELETE /api/posts/:postId/checklist/:itemId
+ * Removes an item.
+ */
+router.delete('/:itemId', async (req, res) => {
+    try {
+        const existing = findItem(req, res);
+        if (!existing) return;
+
+        await saveChecklist(req, res, (checklist) => checklist.filter((i) => i.id !== existing.id), {
+            remove: existing.id,
+            text: existing.text,
+        });
+    } catch (err) {
+        console.error('Failed to remove checklist item:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { readPostsOptimized } = require('../utils/db-cache');
+const { appendLog } = require('../utils/db');
+const { requireAuth } = require('../middleware/auth');
+const { notifyMentions } = require('../utils/notifications');
+const {
+    getComments,
+    validateBody,
+    resolveMentions,
+    addComment,
+    updateComment,
+    removeComment,
+} = require('../utils/comments');
+
+router.use(requireAuth);
+
+/**
+ * Loads the post into `req.post` before touching its comments (404 otherwise).
+ */
+router.use(async (req, res, next) => {
+    try {
+        req.post = (await readPostsOptimized()).find((p) => p.id === req.params.postId);
+        if (!req.post) return res.status(404).json({ error: 'Post not found' });
+        next();
+    } catch (err) {
+        console.error('Failed to read posts:', err);
+        res.status(500).json({ error: 'Failed to read posts' });
+    }
+});
+
+/**
+ * Logs a comment action and pushes it to all clients as a `comment_event`.
+ * Users mentioned for the first time are notified (`previous`: mentions before an edit).
+ */
+function publish(req, action, comment, previous = []) {
+    const { postId } = req.params;
+    appendLog({
+        type: 'comment',
+        action,
+        user: req.user.username,
+        time: Date.now(),
+        item: postId,
+        details: { comment: comment.id },
+    }).catch((err) => console.error('Log failed', err));
+
+    const io = req.app.get('socketio');
+    io.emit('comment_event', { action, postId, comment });
+
+    if (action === 'create' || action === 'update') {
+        notifyMentions(io, req.post, comment, previous).catch((err) => console.error('Notifications failed', err));
+    }
+}
+
+async function findComment(req, res) {
+    const comment = (await getComments(req.params.postId)).find((c) => c.id === req.params.commentId && !c.deleted);
+    if (!comment) res.status(404).json({ error: 'Comment not found' });
+    return comment;
+}
+
+/**
+ * GET /api/posts/:postId/comments
+ * Lists the comments of a post, oldest first. Replies reference their parent via `parentId`.
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json(await getComments(req.params.postId));
+    } catch (err) {
+        console.error('Failed to read comments:', err);
+        res.status(500).json({ error: 'Failed to read comments' });
+    }
+});
+
+/**
+ * POST /api/posts/:postId/comments
+ * Adds a comment, or a reply when `parentId` is given. `@username` mentions are resolved
+ * against the registered users and stored in `mentions`.
+ */
+router.post('/', async (req, res) => {
+    const { body, parentId } = req.body || {};
+    const { value, error } = validateBody(body);
+    if (error) return res.status(422).json({ error: 'Validation failed', fields: { body: error } });
+    if (parentId !== undefined && parentId !== null && typeof parentId !== 'string') {
+        return res.status(422).json({ error: 'Validation failed', fields: { parentId: 'Must be a comment id' } });
+    }
+
+    try {
+        const comment = await addComment(req.params.postId, {
+            author: req.user.username,
+            body: value,
+            parentId: parentId || null,
+            mentions: await resolveMentions(value),
+        });
+        if (!comment) return res.status(404).json({ error: 'Parent comment not found' });
+
+        publish(req, 'create', comment);
+        res.status(201).json(comment);
+    } catch (err) {
+        console.error('Failed to add comment:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PATCH /api/posts/:postId/comments/:commentId
+ * Edits the text of a comment. Only its author may edit it.
+ */
+router.patch('/:commentId', async (req, res) => {
+    const { value, error } = validateBody((req.body || {}).body);
+    if (error) return res.status(422).json({ error: 'Validation failed', fields: { body: error } });
+
+    try {
+        const existing = await findComment(req, res);
+        if (!existing) return;
+        if (existing.author !== req.user.username) {
+            return res.status(403).json({ error: 'Only the author can edit this comment' });
+        }
+
+        const comment = await updateComment(req.params.postId, existing.id, {
+            body: value,
+            mentions: await resolveMentions(value),
+            updatedAt: Date.now(),
+        });
+        if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+        publish(req, 'update', comment, existing.mentions);
+        res.json(comment);
+    } catch (err) {
+        console.error('Failed to edit comment:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * DELETE /api/posts/:postId/comments/:commentId
+ * Deletes a comment. Allowed for its author and for administrators.
+ */
+router.delete('/:commentId', async (req, res) => {
+    try {
+        const existing = await findComment(req, res);
+        if (!existing) return;
+        if (existing.author !== req.user.username && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only the author can delete this comment' });
+        }
+
+        if (!(await removeComment(req.params.postId, existing.id))) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        publish(req, 'delete', existing);
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Failed to delete comment:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/posts/:postId/comments/:commentId/resolve
+ * POST /api/posts/:postId/comments/:commentId/unresolve
+ * Marks a thread as resolved or reopens it. Only top-level comments carry the state.
+ */
+for (const action of ['resolve', 'unresolve']) {
+    router.post(`/:commentId/${action}`, async (req, res) => {
+        try {
+            const existing = await findComment(req, res);
+            if (!existing) return;
+            if (existing.parentId) return res.status(400).json({ error: 'Only top-level comments can be resolved' });
+
+            const resolved = action === 'resolve';
+            const comment = await updateComment(req.params.postId, existing.id, {
+                resolved,
+                resolvedBy: resolved ? req.user.username : null,
+                resolvedAt: resolved ? Date.now() : null,
+            });
+            if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+            publish(req, action, comment);
+            res.json(comment);
+        } catch (err) {
+            console.error(`Failed to ${action} comment:`, err);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+}
+
+module.exports = router;
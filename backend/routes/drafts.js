@@ -0,0 +1,113 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { readPostsOptimized } = require('../utils/db-cache');
+const { requireAuth } = require('../middleware/auth');
+const {
+    NEW_POST_KEY,
+    isValidKey,
+    validateDraft,
+    getDrafts,
+    getDraft,
+    saveDraft,
+    removeDraft,
+} = require('../utils/drafts');
+
+router.use(requireAuth);
+
+/**
+ * Checks the `:key` of a draft route: `new`, or the id of an existing post (404 otherwise).
+ */
+router.param('key', async (req, res, next, key) => {
+    if (!isValidKey(key)) return res.status(400).json({ error: 'Invalid draft key' });
+    if (key === NEW_POST_KEY || req.method === 'DELETE') return next();
+    try {
+        const exists = (await readPostsOptimized()).some((p) => p.id === key);
+        if (!exists) return res.status(404).json({ error: 'Post not found' });
+        next();
+    } catch (err) {
+        console.error('Failed to read posts:', err);
+        res.status(500).json({ error: 'Failed to read posts' });
+    }
+});
+
+/**
+ * GET /api/drafts
+ * Lists the current user's drafts, most recently saved first. Drafts of posts deleted since are left out.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const [drafts, posts] = await Promise.all([getDrafts(req.user.username), readPostsOptimized()]);
+        const ids = new Set(posts.map((p) => p.id));
+        res.json(drafts.filter((d) => !d.postId || ids.has(d.postId)));
+    } catch (err) {
+        console.error('Failed to read drafts:', err);
+        res.status(500).json({ error: 'Failed to read drafts' });
+    }
+});
+
+/**
+ * GET /api/drafts/:key
+ * Returns the current user's draft of a new post (`new`) or of the edit of a post (its id).
+ */
+router.get('/:key', async (req, res) => {
+    try {
+        const draft = await getDraft(req.user.username, req.params.key);
+        if (!draft) return res.status(404).json({ error: 'Draft not found' });
+        res.json(draft);
+    } catch (err) {
+        console.error('Failed to read draft:', err);
+        res.status(500).json({ error: 'Failed to read draft' });
+    }
+});
+
+/**
+ * PUT /api/drafts/:key
+ * Saves the form as typed: `{ data, occurrence, version }`. Drafts are private to their
+ * user and are removed when that user saves the post.
+ */
+router.put('/:key', async (req, res) => {
+    const { value, errors } = validateDraft(req.body);
+    if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+    try {
+        res.json(await saveDraft(req.user.username, req.params.key, value));
+    } catch (err) {
+        console.error('Failed to save draft:', err);
+        res.status(500).json({ error: 'Failed to save draft' });
+    }
+});
+
+/**
+ * DELETE /api/drafts/:key
+ * Discards a draft.
+ */
+router.delete('/:key', async (req, res) => {
+    try {
+        if (!(await removeDraft(req.user.username, req.params.key))) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Failed to discard draft:', err);
+        res.status(500).json({ error: 'Failed to discard draft' });
+    }
+});
+
+module.exports = router;
@@ -21,6 +21,11 @@ const lockfile = require('proper-lockfile');
 const fs = require('fs').promises;
 const { LISTS_PATH, LOCK_OPTIONS, appendLog } = require('../utils/db');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { platformMeta, validatePlatformMeta } = require('../utils/variants');
+const { dispatchWebhookEvent } = require('../utils/webhooks');
+const { listConnectors } = require('../connectors');
+const { DEFAULT_TIMEZONE } = require('../utils/timezones');
+const { broadcastChange } = require('../utils/live-sync');
 
 /**
  * Helper to read lists directly from the filesystem
@@ -36,18 +41,75 @@ async function ensureLists() {
 
 /**
  * GET /api/lists
- * Returns all available dropdown categories and statuses
+ * Returns all available dropdown categories and statuses.
+ * `platformMeta` holds the effective limits of every platform (defaults included),
+ * `defaultTimezone` the time zone of posts that do not set one.
  */
 router.get('/', async (req, res) => {
     try {
         const lists = await ensureLists();
-        res.json(lists);
+        res.json({ ...lists, platformMeta: platformMeta(lists), defaultTimezone: DEFAULT_TIMEZONE });
     } catch (err) {
         console.error('Failed to read lists:', err);
         res.status(500).json({ error: 'Failed to read lists' });
     }
 });
 
+/**
+ * PUT /api/lists/platforms/:name/meta
+ * Sets the limits of a platform: `{ maxChars, maxHashtags, allowLinks }` (null = no limit),
+ * and its publishing `connector` (null = published by hand)
+ */
+router.put('/platforms/:name/meta', requireAuth, requireAdmin, async (req, res) => {
+    const { name } = req.params;
+    const connectors = listConnectors().map((c) => c.name);
+    const { value, errors } = validatePlatformMeta(req.body, connectors);
+    if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+    let release;
+    try {
+        release = await lockfile.lock(LISTS_PATH, LOCK_OPTIONS);
+        const lists = await ensureLists();
+
+        if (!(lists.platforms || []).includes(name)) return res.status(404).send('Platform not found');
+
+        const previous = platformMeta(lists)[name];
+        lists.platformMeta = { ...lists.platformMeta, [name]: value };
+        await fs.writeFile(LISTS_PATH, JSON.stringify(lists, null, 2));
+
+        appendLog({
+            type: 'list',
+            action: 'platform-meta',
+            list: 'platforms',
+            user: req.user.username,
+            time: Date.now(),
+            item: name,
+            changes: { before: previous, after: value },
+        }).catch((err) => console.error('Log failed', err));
+
+        const io = req.app.get('socketio');
+        broadcastChange(io, { type: 'lists', action: 'update', listType: 'platforms' });
+        dispatchWebhookEvent(
+            'list.updated',
+            { list: 'platforms', action: 'platform-meta', item: name, meta: value },
+            req.user.username
+        );
+
+        res.json(value);
+    } catch (err) {
+        console.error('Failed to save platform limits:', err);
+        res.status(500).send('Failed to save platform limits');
+    } finally {
+        if (release) {
+            try {
+                await release();
+            } catch (e) {
+                console.error('Lock release failed', e);
+            }
+        }
+    }
+});
+
 /**
  * POST /api/lists/:type
  * Adds a new item to a specific list (e.g., adding a new Creator)
@@ -87,7 +149,8 @@ router.post('/:type', requireAuth, requireAdmin, async (req, res) => {
 
         // BROADCAST: Signal all clients that lists have changed
         const io = req.app.get('socketio');
-        io.emit('data_updated', { type: 'lists', action: 'add', listType: type });
+        broadcastChange(io, { type: 'lists', action: 'add', listType: type });
+        dispatchWebhookEvent('list.updated', { list: type, action: 'add-item', item: value }, req.user.username);
 
         res.json({ ok: true });
     } catch (err) {
@@ -143,7 +206,12 @@ router.delete('/:type/:value', requireAuth, requireAdmin, async (req, res) => {
 
             // BROADCAST: Signal all clients that lists have changed
             const io = req.app.get('socketio');
-            io.emit('data_updated', { type: 'lists', action: 'delete', listType: type });
+            broadcastChange(io, { type: 'lists', action: 'delete', listType: type });
+            dispatchWebhookEvent(
+                'list.updated',
+                { list: type, action: 'remove-item', item: decodedValue },
+                req.user.username
+            );
 
             res.json({ ok: true });
         } else {
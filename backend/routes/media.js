@@ -0,0 +1,201 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const fs = require('fs');
+const { readPostsOptimized, atomicUpdatePost } = require('../utils/db-cache');
+const { appendLog } = require('../utils/db');
+const { requireAuth } = require('../middleware/auth');
+const { broadcastChange } = require('../utils/live-sync');
+const {
+    MEDIA_TYPES,
+    MEDIA_MAX_BYTES,
+    MAX_ATTACHMENTS,
+    isValidHash,
+    getMedia,
+    storeMedia,
+    toAttachment,
+    cleanupOrphans,
+} = require('../utils/media');
+
+// Files are held in memory for hashing, so the size limit also bounds memory use
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MEDIA_MAX_BYTES, files: 10 },
+});
+
+/**
+ * Runs multer and turns its limit errors into JSON responses.
+ */
+function receiveFiles(req, res, next) {
+    upload.array('files')(req, res, (err) => {
+        if (!err) return next();
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Files must be at most ${MEDIA_MAX_BYTES / 1024 / 1024} MB` });
+        }
+        if (err instanceof multer.MulterError) return res.status(400).json({ error: err.message });
+        next(err);
+    });
+}
+
+function broadcast(req, post) {
+    const io = req.app.get('socketio');
+    broadcastChange(io, { type: 'posts', action: 'update', id: post.id, post });
+}
+
+/**
+ * POST /api/posts/:id/media
+ * Uploads files (multipart field `files`) and attaches them to the post.
+ * Types are checked from the file content; identical files are stored once.
+ */
+router.post('/posts/:id/media', requireAuth, receiveFiles, async (req, res) => {
+    const { id } = req.params;
+    const files = req.files || [];
+    if (!files.length) return res.status(400).json({ error: 'No files uploaded' });
+
+    try {
+        const post = (await readPostsOptimized()).find((p) => p.id === id);
+        if (!post) return res.status(404).json({ error: 'Post not found' });
+        if ((post.attachments || []).length + files.length > MAX_ATTACHMENTS) {
+            return res.status(422).json({ error: `A post can have at most ${MAX_ATTACHMENTS} attachments` });
+        }
+
+        const added = [];
+        for (const file of files) {
+            const { entry, error } = await storeMedia(file.buffer, {
+                originalName: file.originalname,
+                uploadedBy: req.user.username,
+            });
+            if (error) {
+                // Drop files stored earlier in this request if nothing references them
+                await cleanupOrphans(added.map((a) => a.hash));
+                return res.status(415).json({ error: `${file.originalname}: ${error}` });
+            }
+            added.push(toAttachment(entry, file.originalname));
+        }
+
+        const result = await atomicUpdatePost(
+            id,
+            (oldPost) => {
+                const attachments = [...(oldPost.attachments || [])];
+                for (const a of added) if (!attachments.some((x) => x.hash === a.hash)) attachments.push(a);
+                return { ...oldPost, attachments, updatedBy: req.user.username, updatedAt: Date.now() };
+            },
+            { user: req.user.username, action: 'attach' }
+        );
+        if (!result.success) {
+            await cleanupOrphans(added.map((a) => a.hash));
+            return res.status(404).json({ error: 'Post not found' });
+        }
+
+        appendLog({
+            type: 'post',
+            action: 'attach',
+            user: req.user.username,
+            time: Date.now(),
+            item: id,
+            details: { files: added.map((a) => a.name) },
+        }).catch((err) => console.error('Log failed', err));
+        broadcast(req, result.updatedPost);
+
+        res.status(201).json(result.updatedPost);
+    } catch (err) {
+        console.error('Upload failed:', err);
+        res.status(500).json({ error: 'Upload failed' });
+    }
+});
+
+/**
+ * DELETE /api/posts/:id/media/:hash
+ * Detaches a file from the post and deletes it if no other post uses it.
+ */
+router.delete('/posts/:id/media/:hash', requireAuth, async (req, res) => {
+    const { id, hash } = req.params;
+    if (!isValidHash(hash)) return res.status(400).json({ error: 'Invalid media id' });
+
+    try {
+        const post = (await readPostsOptimized()).find((p) => p.id === id);
+        if (!post) return res.status(404).json({ error: 'Post not found' });
+        if (!(post.attachments || []).some((a) => a.hash === hash)) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        const result = await atomicUpdatePost(
+            id,
+            (oldPost) => ({
+                ...oldPost,
+                attachments: (oldPost.attachments || []).filter((a) => a.hash !== hash),
+                updatedBy: req.user.username,
+                updatedAt: Date.now(),
+            }),
+            { user: req.user.username, action: 'detach' }
+        );
+        if (!result.success) return res.status(404).json({ error: 'Post not found' });
+
+        await cleanupOrphans([hash]);
+
+        appendLog({
+            type: 'post',
+            action: 'detach',
+            user: req.user.username,
+            time: Date.now(),
+            item: id,
+            details: { hash },
+        }).catch((err) => console.error('Log failed', err));
+        broadcast(req, result.updatedPost);
+
+        res.json(result.updatedPost);
+    } catch (err) {
+        console.error('Failed to remove attachment:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/media/:hash and GET /api/media/:hash/thumb
+ * Serves a stored file or its thumbnail. Files are immutable (named by content hash),
+ * so they can be cached indefinitely by the browser.
+ */
+async function sendMedia(req, res, thumb) {
+    try {
+        const media = await getMedia(req.params.hash);
+        if (!media || (thumb && !media.thumbPath)) return res.status(404).json({ error: 'Media not found' });
+
+        const file = thumb ? media.thumbPath : media.path;
+        if (!fs.existsSync(file)) return res.status(404).json({ error: 'Media not found' });
+
+        // The calendar UI is served from another origin; helmet defaults to same-origin
+        res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+        res.set('Cache-Control', 'private, max-age=31536000, immutable');
+        res.type(thumb ? 'image/webp' : media.mime);
+        if (!thumb) {
+            const name = `${media.hash.slice(0, 12)}.${MEDIA_TYPES[media.mime].ext}`;
+            res.set('Content-Disposition', `inline; filename="${name}"`);
+        }
+        fs.createReadStream(file).pipe(res);
+    } catch (err) {
+        console.error('Failed to send media:', err);
+        res.status(500).json({ error: 'Failed to read media' });
+    }
+}
+
+router.get('/media/:hash', requireAuth, (req, res) => sendMedia(req, res, false));
+router.get('/media/:hash/thumb', requireAuth, (req, res) => sendMedia(req, res, true));
+
+module.exports = router;
@@ -0,0 +1,94 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+    userRoom,
+    userEmail,
+    getInbox,
+    validatePreferences,
+    savePreferences,
+    markRead,
+} = require('../utils/notifications');
+
+// Notifications returned by GET, newest first
+const PAGE_SIZE = 50;
+
+router.use(requireAuth);
+
+/**
+ * GET /api/notifications
+ * Returns the current user's latest notifications (newest first), the unread count,
+ * the preferences and the e-mail address they are sent to (null when none is set).
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { items, preferences } = await getInbox(req.user.username);
+        res.json({
+            items: items.slice(-PAGE_SIZE).reverse(),
+            unread: items.filter((n) => !n.read).length,
+            preferences,
+            email: await userEmail(req.user.username),
+        });
+    } catch (err) {
+        console.error('Failed to read notifications:', err);
+        res.status(500).json({ error: 'Failed to read notifications' });
+    }
+});
+
+/**
+ * POST /api/notifications/read
+ * Marks notifications as read: `{ ids }`, or every notification when `ids` is omitted.
+ * The user's other sessions are told through a `notifications_read` event.
+ */
+router.post('/read', async (req, res) => {
+    const { ids } = req.body || {};
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string'))) {
+        return res.status(422).json({ error: 'Validation failed', fields: { ids: 'Must be a list of ids' } });
+    }
+
+    try {
+        const unread = await markRead(req.user.username, ids || null);
+        const io = req.app.get('socketio');
+        io.to(userRoom(req.user.username)).emit('notifications_read', { ids: ids || null, unread });
+        res.json({ unread });
+    } catch (err) {
+        console.error('Failed to mark notifications read:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Turns notification types on or off: `{ assignment, status, mention, deadline }`, plus
+ * `email` (e-mail copies of assignments and status changes) and `digest` (Monday digest); all booleans.
+ */
+router.put('/preferences', async (req, res) => {
+    const { value, errors } = validatePreferences(req.body);
+    if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+    try {
+        res.json(await savePreferences(req.user.username, value));
+    } catch (err) {
+        console.error('Failed to save notification preferences:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -17,28 +17,141 @@
 
 const express = require('express');
 const router = express.Router();
-const { readPostsOptimized, atomicUpdatePost, atomicDeletePost, atomicCreatePost } = require('../utils/db-cache');
-const { genId, appendLog } = require('../utils/db');
+const {
+    readPostsOptimized,
+    atomicUpdatePost,
+    atomicDeletePost,
+    atomicCreatePost,
+    atomicBulkUpdate,
+    postVersion,
+} = require('../utils/db-cache');
+const { genId, appendLog, readJSON, LISTS_PATH } = require('../utils/db');
 const { requireAuth } = require('../middleware/auth');
+const { validatePost, isValidDate, POST_SCHEMA } = require('../utils/post-schema');
+const { validateSkeleton, newItem } = require('../utils/checklist');
+const { getRevisions, getRevision } = require('../utils/revisions');
+const { validateOperations, applyOperations } = require('../utils/bulk-ops');
+const { searchPosts, decodeCursor, SEARCH_SORTS } = require('../utils/search-index');
+const { getWorkflow, checkWorkflow } = require('../utils/workflow');
+const { withCampaignIds } = require('../utils/campaigns');
+const { notifyPostChange } = require('../utils/notifications');
+const { dispatchPostChange, dispatchWebhookEvent } = require('../utils/webhooks');
+const { DEFAULT_TIMEZONE, isValidTimezone, expandPostsInZone } = require('../utils/timezones');
+const { NEW_POST_KEY, removeDraft } = require('../utils/drafts');
+const { broadcastChange } = require('../utils/live-sync');
+const {
+    addDaysISO,
+    daysBetweenISO,
+    shiftRule,
+    isOccurrence,
+    withException,
+    endingBefore,
+    continuingFrom,
+} = require('../utils/recurrence');
+
+// Edit/delete scopes for recurring posts
+const SCOPES = ['this', 'following', 'all'];
+
+// Upper bound on the posts touched by one bulk request
+const MAX_BULK_IDS = 500;
+
+/**
+ * Sends a 422 response with per-field validation messages.
+ */
+function sendValidationError(res, fields) {
+    return res.status(422).json({ error: 'Validation failed', fields });
+}
+
+/**
+ * Parses an `If-Match` header holding a post version (`"3"`, `W/"3"` or `3`).
+ * Returns `undefined` for `*` (match any), `null` when missing or malformed.
+ */
+function parseIfMatch(header) {
+    if (!header) return null;
+    const raw = String(header).trim();
+    if (raw === '*') return undefined;
+    const m = raw.match(/^(?:W\/)?"?(\d+)"?$/);
+    return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+ * Sends the error response produced by the workflow check (403 or 422).
+ */
+function sendWorkflowError(res, denied) {
+    return res.status(denied.status).json(denied.body);
+}
+
+/**
+ * Sends assignment and status-change notifications and the webhook events for a saved post;
+ * failures are only logged.
+ */
+function notify(req, before, after) {
+    notifyPostChange(req.app.get('socketio'), before, after, req.user.username).catch((err) =>
+        console.error('Notifications failed', err)
+    );
+    dispatchPostChange(before, after, req.user.username);
+}
+
+/**
+ * Drops the user's autosaved draft of the form once the post is saved.
+ */
+function discardDraft(req, key) {
+    removeDraft(req.user.username, key).catch((err) => console.error('Draft cleanup failed', err));
+}
+
+function setETag(res, post) {
+    res.set('ETag', `"${postVersion(post)}"`);
+}
+
+/**
+ * Reads `?scope=this|following|all&occurrence=YYYY-MM-DD` for a recurring post.
+ * Returns `{ scope, occurrence }`, `{ error }` when invalid, or `null` when not applicable.
+ */
+function parseScope(req, post) {
+    const { scope, occurrence } = req.query;
+    if (!post.recurrence || !scope) return null;
+    if (!SCOPES.includes(scope)) return { error: `scope must be one of: ${SCOPES.join(', ')}` };
+    if (!isValidDate(occurrence) || !isOccurrence(post, occurrence)) {
+        return { error: 'occurrence must be a date of this series' };
+    }
+    return { scope, occurrence };
+}
+
+// The editor re-submits the series rule unchanged; only a different rule counts as an edit
+function ruleEdited(value, post) {
+    return value.recurrence !== undefined && JSON.stringify(value.recurrence) !== JSON.stringify(post.recurrence);
+}
+
+// Copies the schema fields of a post, leaving out server-managed ones
+function editableFields(post) {
+    const out = {};
+    for (const field of Object.keys(POST_SCHEMA)) {
+        if (post[field] !== undefined) out[field] = post[field];
+    }
+    return out;
+}
 
 /**
  * GET /api/posts
  * Fetches posts, optionally filtered by date range.
+ * With `start` and `end`, recurring posts are expanded into their occurrences in the range.
+ * The range is in the viewer's time zone `tz` (default: the instance's), so a post is
+ * included on the dates it falls on there; entries keep their own date, time and `timezone`.
  */
 router.get('/', async (req, res) => {
     try {
-        const { start, end } = req.query;
+        const { start, end, tz = DEFAULT_TIMEZONE } = req.query;
+        if (!isValidTimezone(tz)) return res.status(400).json({ error: 'tz must be a time zone (e.g. Europe/Rome)' });
         const posts = await readPostsOptimized();
 
         let filtered = posts;
 
         if (start && end) {
-            const s = new Date(start);
-            const e = new Date(end);
-            filtered = posts.filter((p) => {
-                const d = new Date(p.date);
-                return d >= s && d <= e;
-            });
+            if (!isValidDate(start) || !isValidDate(end)) {
+                return res.status(400).json({ error: 'start and end must be dates (YYYY-MM-DD)' });
+            }
+            // Recurring posts are expanded into one entry per occurrence
+            filtered = expandPostsInZone(posts, start, end, tz);
         }
 
         res.json(filtered);
@@ -48,20 +161,77 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/posts/search
+ * Searches the whole calendar. Supports `q` (all words must match, as word prefixes),
+ * `status`, `platform`, `creator`, `designer`, `editor`, `campaign` (comma-separated, any value matches),
+ * `from`/`to` (YYYY-MM-DD, in the time zone `tz`), `overdue=true` (production stages past their deadline),
+ * `sort` (`date`, `title`, `updated`; `-` prefix for descending),
+ * `limit` and `cursor` (the `nextCursor` of the previous page).
+ */
+router.get('/search', requireAuth, async (req, res) => {
+    const { from, to, tz, sort, cursor } = req.query;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+        return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+    if (tz && !isValidTimezone(tz)) return res.status(400).json({ error: 'tz must be a time zone (e.g. Europe/Rome)' });
+    if (sort && !SEARCH_SORTS.includes(String(sort).replace(/^-/, ''))) {
+        return res.status(400).json({ error: `sort must be one of: ${SEARCH_SORTS.join(', ')}` });
+    }
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) return res.status(400).json({ error: 'Invalid cursor' });
+
+    try {
+        const result = await searchPosts({ ...req.query, after });
+        res.json(result);
+    } catch (err) {
+        console.error('Search failed:', err);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
 /**
  * POST /api/posts
- * Creates a new post and notifies all clients via Socket.io.
+ * Creates a new post and notifies all clients via Socket.io. A `checklist` of `{ text, assignee }`
+ * items (e.g. from a template) is created as new, unticked items.
+ * Responds 422 with per-field messages when the body fails schema validation, and 403 when
+ * the approval workflow does not let new posts start in the submitted status.
  */
 router.post('/', requireAuth, async (req, res) => {
     try {
+        const lists = await withCampaignIds((await readJSON(LISTS_PATH)) || {});
+        const { value, errors } = validatePost(req.body, lists);
+        if (errors) return sendValidationError(res, errors);
+
+        const skeleton = req.body.checklist;
+        let checklist = [];
+        if (skeleton !== undefined) {
+            const { value: items, error } = validateSkeleton(skeleton, lists, { clearUnknown: true });
+            if (error) return sendValidationError(res, { checklist: error });
+            checklist = items.map(newItem);
+        }
+
         const newPost = {
-            ...req.body,
+            isAllDay: false,
+            timezone: DEFAULT_TIMEZONE,
+            creators: [],
+            designers: [],
+            editors: [],
+            platforms: [],
+            notes: '',
+            ...value,
+            ...(checklist.length ? { checklist } : {}),
             id: genId(),
             createdBy: req.user.username,
             createdAt: Date.now(),
+            version: 1,
         };
 
-        const result = await atomicCreatePost(newPost);
+        const denied = checkWorkflow(await getWorkflow(), null, newPost, req.user);
+        if (denied) return sendWorkflowError(res, denied);
+
+        const result = await atomicCreatePost(newPost, { user: req.user.username });
 
         if (result.success) {
             // Log the action
@@ -76,8 +246,11 @@ router.post('/', requireAuth, async (req, res) => {
 
             // BROADCAST: Signal all clients to refresh
             const io = req.app.get('socketio');
-            io.emit('data_updated', { type: 'posts', action: 'create', id: newPost.id });
+            broadcastChange(io, { type: 'posts', action: 'create', id: newPost.id, post: result.created });
+            notify(req, null, result.created);
+            discardDraft(req, NEW_POST_KEY);
 
+            setETag(res, result.created);
             return res.status(201).json(result.created);
         } else {
             return res.status(500).json({ error: 'Failed to save post' });
@@ -88,17 +261,163 @@ router.post('/', requireAuth, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/posts/bulk
+ * Applies `operations` (see utils/bulk-ops.js) to the posts in `ids` in a single locked
+ * write, then logs once and broadcasts once. An optional `versions` map (`{ [id]: version }`)
+ * makes the batch all-or-nothing: any stale post yields 409 with the ids in `conflicts`.
+ * Posts the approval workflow rejects are listed in `denied` (403/422) and nothing is written.
+ */
+router.post('/bulk', requireAuth, async (req, res) => {
+    const { ids, operations, versions } = req.body || {};
+
+    if (!Array.isArray(ids) || !ids.length || ids.some((id) => typeof id !== 'string')) {
+        return sendValidationError(res, { ids: 'Must be a non-empty list of post ids' });
+    }
+    if (ids.length > MAX_BULK_IDS) {
+        return sendValidationError(res, { ids: `At most ${MAX_BULK_IDS} posts per request` });
+    }
+    if (versions !== undefined && (typeof versions !== 'object' || versions === null || Array.isArray(versions))) {
+        return sendValidationError(res, { versions: 'Must be an object of post id to version' });
+    }
+
+    try {
+        const lists = (await readJSON(LISTS_PATH)) || {};
+        const { ops, errors } = validateOperations(operations, lists);
+        if (errors) return sendValidationError(res, errors);
+
+        const uniqueIds = Array.from(new Set(ids));
+
+        // Workflow rules are checked per post up front so a rejected batch writes nothing
+        const workflow = await getWorkflow();
+        if (workflow.enabled) {
+            const denied = {};
+            let status = 422;
+            for (const post of (await readPostsOptimized()).filter((p) => uniqueIds.includes(p.id))) {
+                const next = applyOperations(post, ops);
+                const check = next && checkWorkflow(workflow, post, next, req.user);
+                if (!check) continue;
+                denied[post.id] = check.body.fields;
+                if (check.status === 403) status = 403;
+            }
+            if (Object.keys(denied).length) {
+                return res.status(status).json({ error: 'Workflow rules rejected some posts', denied });
+            }
+        }
+
+        const now = Date.now();
+        const result = await atomicBulkUpdate(
+            uniqueIds,
+            (post) => {
+                const next = applyOperations(post, ops);
+                return next && { ...next, updatedBy: req.user.username, updatedAt: now };
+            },
+            { expectedVersions: versions, user: req.user.username }
+        );
+
+        if (result.conflict) {
+            return res
+                .status(409)
+                .json({ error: 'Some posts were modified by someone else', conflicts: result.conflicts });
+        }
+        if (!result.success) return res.status(500).json({ error: 'Bulk update failed' });
+
+        appendLog({
+            type: 'post',
+            action: 'bulk',
+            user: req.user.username,
+            time: Date.now(),
+            item: uniqueIds,
+            summary: {
+                operations: ops,
+                updated: result.updated.length,
+                deleted: result.deleted.length,
+                missing: result.missing,
+            },
+        }).catch((err) => console.error('Log failed', err));
+
+        // BROADCAST: one signal for the whole batch
+        const io = req.app.get('socketio');
+        broadcastChange(io, {
+            type: 'posts',
+            action: 'bulk',
+            ids: uniqueIds,
+            posts: result.updated,
+            deleted: result.deleted.map((p) => p.id),
+        });
+        for (const post of result.updated) notify(req, result.previous.get(post.id), post);
+        for (const post of result.deleted) dispatchWebhookEvent('post.deleted', { post }, req.user.username);
+
+        return res.json({
+            updated: result.updated.map((p) => p.id),
+            deleted: result.deleted.map((p) => p.id),
+            missing: result.missing,
+        });
+    } catch (err) {
+        console.error('Error applying bulk operations:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * PUT /api/posts/:id
  * Updates an existing post and notifies all clients.
+ * Only the submitted fields are validated and merged into the stored post.
+ * Requires `If-Match` with the post version the client edited (428 when missing);
+ * a stale version yields 409 with the current server copy in `current`.
+ * Status changes must follow the approval workflow (utils/workflow.js): 403 for a transition
+ * the user may not perform, 422 for fields the new status requires.
+ *
+ * For recurring posts, `?scope=&occurrence=` selects what the edit applies to:
+ * - `this`: the occurrence is excluded from the series and saved as a separate post (201)
+ * - `following`: the series ends before the occurrence and a new series starts there (201)
+ * - `all`: the series itself; moving the occurrence shifts the whole series
  */
 router.put('/:id', requireAuth, async (req, res) => {
     const { id } = req.params;
 
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    if (expectedVersion === null) {
+        return res.status(428).json({ error: 'If-Match header with the post version is required' });
+    }
+
     try {
-        const result = await atomicUpdatePost(id, (oldPost) => {
-            return { ...oldPost, ...req.body, id }; // Ensure ID remains unchanged
-        });
+        const existing = (await readPostsOptimized()).find((p) => p.id === id);
+        if (!existing) return res.status(404).json({ error: 'Post not found' });
+
+        const lists = await withCampaignIds((await readJSON(LISTS_PATH)) || {});
+        const { value, errors } = validatePost(req.body, lists, { partial: true, existing });
+        if (errors) return sendValidationError(res, errors);
+
+        const denied = checkWorkflow(await getWorkflow(), existing, { ...existing, ...value }, req.user);
+        if (denied) return sendWorkflowError(res, denied);
+
+        const target = parseScope(req, existing);
+        if (target && target.error) return res.status(400).json({ error: target.error });
+        if (target) {
+            const { scope, occurrence } = target;
+            if (scope === 'this' || (scope === 'following' && occurrence !== existing.date)) {
+                return splitSeries(req, res, { existing, value, scope, occurrence, expectedVersion });
+            }
+            // Occurrences are edited with their own date; moving one moves the whole series
+            const days = value.date ? daysBetweenISO(occurrence, value.date) : 0;
+            value.date = addDaysISO(existing.date, days);
+            if (days && !ruleEdited(value, existing)) value.recurrence = shiftRule(existing.recurrence, days);
+        }
+
+        const result = await atomicUpdatePost(
+            id,
+            (oldPost) => {
+                // Ensure ID remains unchanged
+                return { ...oldPost, ...value, id, updatedBy: req.user.username, updatedAt: Date.now() };
+            },
+            { expectedVersion, user: req.user.username }
+        );
+
+        if (result.conflict) {
+            setETag(res, result.current);
+            return res.status(409).json({ error: 'Post was modified by someone else', current: result.current });
+        }
 
         if (result.success) {
             // Log the update
@@ -108,13 +427,16 @@ router.put('/:id', requireAuth, async (req, res) => {
                 user: req.user.username,
                 time: Date.now(),
                 item: id,
-                changes: req.body,
+                changes: value,
             }).catch((err) => console.error('Log failed', err));
 
             // BROADCAST: Signal all clients to refresh
             const io = req.app.get('socketio');
-            io.emit('data_updated', { type: 'posts', action: 'update', id });
+            broadcastChange(io, { type: 'posts', action: 'update', id, post: result.updatedPost });
+            notify(req, result.oldPost, result.updatedPost);
+            discardDraft(req, id);
 
+            setETag(res, result.updatedPost);
             return res.json(result.updatedPost);
         } else {
             return res.status(404).json({ error: 'Post not found or update failed' });
@@ -125,15 +447,204 @@ router.put('/:id', requireAuth, async (req, res) => {
     }
 });
 
+/**
+ * Detaches one occurrence (`this`) or the rest of a series (`following`) into a new post.
+ * The series is updated first, under the client's `If-Match`, then the new post is created
+ * with the submitted changes and `seriesId` pointing back to the original.
+ */
+async function splitSeries(req, res, { existing, value, scope, occurrence, expectedVersion }) {
+    const { id } = existing;
+    let original = existing;
+
+    const result = await atomicUpdatePost(
+        id,
+        (oldPost) => {
+            original = oldPost;
+            const recurrence =
+                scope === 'this' ? withException(oldPost.recurrence, occurrence) : endingBefore(oldPost, occurrence);
+            return { ...oldPost, recurrence, updatedBy: req.user.username, updatedAt: Date.now() };
+        },
+        { expectedVersion, user: req.user.username }
+    );
+
+    if (result.conflict) {
+        setETag(res, result.current);
+        return res.status(409).json({ error: 'Post was modified by someone else', current: result.current });
+    }
+    if (!result.success) return res.status(404).json({ error: 'Post not found or update failed' });
+
+    let recurrence = null;
+    if (scope === 'following') {
+        recurrence = ruleEdited(value, original) ? value.recurrence : continuingFrom(original, occurrence);
+    }
+
+    const newPost = {
+        ...editableFields(original),
+        ...(original.attachments ? { attachments: original.attachments } : {}),
+        ...(original.checklist ? { checklist: original.checklist } : {}),
+        date: occurrence,
+        ...value,
+        recurrence,
+        id: genId(),
+        seriesId: id,
+        createdBy: req.user.username,
+        createdAt: Date.now(),
+        version: 1,
+    };
+    if (!newPost.recurrence) delete newPost.recurrence;
+
+    const created = await atomicCreatePost(newPost, { user: req.user.username });
+    if (!created.success) return res.status(500).json({ error: 'Failed to save post' });
+
+    appendLog({
+        type: 'post',
+        action: 'update',
+        user: req.user.username,
+        time: Date.now(),
+        item: id,
+        details: { scope, occurrence, created: newPost.id },
+        changes: value,
+    }).catch((err) => console.error('Log failed', err));
+
+    const io = req.app.get('socketio');
+    broadcastChange(io, { type: 'posts', action: 'update', id, post: result.updatedPost });
+    broadcastChange(io, { type: 'posts', action: 'create', id: newPost.id, post: created.created });
+    // People are notified of the differences from the series; webhooks see an update and a new post
+    notifyPostChange(io, original, created.created, req.user.username).catch((err) =>
+        console.error('Notifications failed', err)
+    );
+    dispatchPostChange(original, result.updatedPost, req.user.username);
+    dispatchPostChange(null, created.created, req.user.username);
+    discardDraft(req, id);
+
+    setETag(res, created.created);
+    return res.status(201).json(created.created);
+}
+
+/**
+ * GET /api/posts/:id/revisions
+ * Returns the revision history of a post, oldest first.
+ */
+router.get('/:id/revisions', requireAuth, async (req, res) => {
+    try {
+        const revisions = await getRevisions(req.params.id);
+        res.json(revisions);
+    } catch (err) {
+        console.error('Failed to read revisions:', err);
+        res.status(500).json({ error: 'Failed to read revisions' });
+    }
+});
+
+/**
+ * POST /api/posts/:id/revisions/:rev/restore
+ * Restores the editable fields of a past revision as a new version of the post.
+ * An optional `If-Match` guards against restoring over changes the client has not seen.
+ */
+router.post('/:id/revisions/:rev/restore', requireAuth, async (req, res) => {
+    const { id } = req.params;
+    const rev = parseInt(req.params.rev, 10);
+
+    const expectedVersion = req.get('If-Match') ? parseIfMatch(req.get('If-Match')) : undefined;
+    if (expectedVersion === null) return res.status(400).json({ error: 'Malformed If-Match header' });
+
+    try {
+        const revision = await getRevision(id, rev);
+        if (!revision) return res.status(404).json({ error: 'Revision not found' });
+
+        const restored = {};
+        for (const field of Object.keys(POST_SCHEMA)) {
+            if (revision.post[field] !== undefined) restored[field] = revision.post[field];
+        }
+
+        const existing = (await readPostsOptimized()).find((p) => p.id === id);
+        if (!existing) return res.status(404).json({ error: 'Post not found' });
+        const denied = checkWorkflow(await getWorkflow(), existing, { ...existing, ...restored }, req.user);
+        if (denied) return sendWorkflowError(res, denied);
+
+        const result = await atomicUpdatePost(
+            id,
+            (oldPost) => ({ ...oldPost, ...restored, id, updatedBy: req.user.username, updatedAt: Date.now() }),
+            { expectedVersion, user: req.user.username, action: 'restore' }
+        );
+
+        if (result.conflict) {
+            setETag(res, result.current);
+            return res.status(409).json({ error: 'Post was modified by someone else', current: result.current });
+        }
+        if (!result.success) return res.status(404).json({ error: 'Post not found' });
+
+        appendLog({
+            type: 'post',
+            action: 'restore',
+            user: req.user.username,
+            time: Date.now(),
+            item: id,
+            details: { rev },
+        }).catch((err) => console.error('Log failed', err));
+
+        const io = req.app.get('socketio');
+        broadcastChange(io, { type: 'posts', action: 'update', id, post: result.updatedPost });
+        notify(req, result.oldPost, result.updatedPost);
+
+        setETag(res, result.updatedPost);
+        return res.json(result.updatedPost);
+    } catch (err) {
+        console.error('Error restoring revision:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * DELETE /api/posts/:id
- * Removes a post and notifies all clients.
+ * Moves a post to the trash and notifies all clients.
+ * For recurring posts, `?scope=this|following&occurrence=` removes only that occurrence or
+ * ends the series before it; `all` (or `following` from the first date) trashes the series.
  */
 router.delete('/:id', requireAuth, async (req, res) => {
     const { id } = req.params;
 
     try {
-        const result = await atomicDeletePost(id);
+        const existing = (await readPostsOptimized()).find((p) => p.id === id);
+        const target = existing ? parseScope(req, existing) : null;
+        if (target && target.error) return res.status(400).json({ error: target.error });
+
+        if (
+            target &&
+            (target.scope === 'this' || (target.scope === 'following' && target.occurrence !== existing.date))
+        ) {
+            const { scope, occurrence } = target;
+            const result = await atomicUpdatePost(
+                id,
+                (oldPost) => ({
+                    ...oldPost,
+                    recurrence:
+                        scope === 'this'
+                            ? withException(oldPost.recurrence, occurrence)
+                            : endingBefore(oldPost, occurrence),
+                    updatedBy: req.user.username,
+                    updatedAt: Date.now(),
+                }),
+                { user: req.user.username }
+            );
+            if (!result.success) return res.status(404).json({ error: 'Post not found' });
+            dispatchPostChange(result.oldPost, result.updatedPost, req.user.username);
+
+            appendLog({
+                type: 'post',
+                action: 'delete',
+                user: req.user.username,
+                time: Date.now(),
+                item: id,
+                details: { title: existing.title, scope, occurrence },
+            }).catch((err) => console.error('Log failed', err));
+
+            const io = req.app.get('socketio');
+            broadcastChange(io, { type: 'posts', action: 'update', id, post: result.updatedPost });
+
+            return res.json({ ok: true });
+        }
+
+        const result = await atomicDeletePost(id, { user: req.user.username });
 
         if (result.success) {
             // Log the deletion
@@ -143,11 +654,13 @@ router.delete('/:id', requireAuth, async (req, res) => {
                 user: req.user.username,
                 time: Date.now(),
                 item: id,
+                details: { title: result.deleted.title },
             }).catch((err) => console.error('Log failed', err));
 
             // BROADCAST: Signal all clients to refresh
             const io = req.app.get('socketio');
-            io.emit('data_updated', { type: 'posts', action: 'delete', id });
+            broadcastChange(io, { type: 'posts', action: 'delete', id });
+            dispatchWebhookEvent('post.deleted', { post: result.deleted }, req.user.username);
 
             return res.json({ ok: true });
         } else {
@@ -0,0 +1,78 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { readPostsOptimized } = require('../utils/db-cache');
+const { appendLog } = require('../utils/db');
+const { requireAuth } = require('../middleware/auth');
+const { broadcastChange } = require('../utils/live-sync');
+const { listConnectors } = require('../connectors');
+const { PUBLISH_STATUSES, PUBLISHED_STATUS, runPublisher, retryFailed } = require('../utils/publisher');
+
+router.use(requireAuth);
+
+/**
+ * GET /api/publishing
+ * Returns the registered `connectors` (`[{ name, label }]`), the statuses in which due posts
+ * are published and the status they move to once published.
+ */
+router.get('/', (req, res) => {
+    res.json({
+        connectors: listConnectors(),
+        publishStatuses: PUBLISH_STATUSES,
+        publishedStatus: PUBLISHED_STATUS,
+    });
+});
+
+/**
+ * POST /api/publishing/:postId/retry
+ * Clears the failed publications of a post and runs the scheduler again. 409 when none failed.
+ */
+router.post('/:postId/retry', async (req, res) => {
+    const { postId } = req.params;
+    try {
+        const post = (await readPostsOptimized()).find((p) => p.id === postId);
+        if (!post) return res.status(404).json({ error: 'Post not found' });
+        if (!(post.publications || []).some((r) => r.state === 'failed')) {
+            return res.status(409).json({ error: 'No failed publications to retry' });
+        }
+
+        const updated = await retryFailed(postId, req.user.username);
+        if (!updated) return res.status(404).json({ error: 'Post not found' });
+
+        appendLog({
+            type: 'post',
+            action: 'publish-retry',
+            user: req.user.username,
+            time: Date.now(),
+            item: postId,
+            details: { title: updated.title },
+        }).catch((err) => console.error('Log failed', err));
+
+        const io = req.app.get('socketio');
+        broadcastChange(io, { type: 'posts', action: 'update', id: postId, post: updated });
+        runPublisher(io).catch((err) => console.error('Publishing failed:', err));
+
+        res.json(updated);
+    } catch (err) {
+        console.error('Failed to retry publishing:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
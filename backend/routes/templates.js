@@ -0,0 +1,188 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { readJSON, appendLog, LISTS_PATH } = require('../utils/db');
+const { requireAuth } = require('../middleware/auth');
+const { broadcastChange } = require('../utils/live-sync');
+const { withCampaignIds } = require('../utils/campaigns');
+const {
+    getTemplates,
+    getTemplate,
+    templateVariables,
+    validateTemplate,
+    addTemplate,
+    updateTemplate,
+    removeTemplate,
+    instantiateTemplate,
+} = require('../utils/templates');
+
+router.use(requireAuth);
+
+// Templates are returned with the placeholder names they use
+const withVariables = (template) => ({ ...template, variables: templateVariables(template.post) });
+
+/**
+ * Logs a template change and signals all clients to refresh.
+ */
+function publish(req, action, template) {
+    appendLog({
+        type: 'template',
+        action,
+        user: req.user.username,
+        time: Date.now(),
+        item: template.id,
+        details: { name: template.name },
+    }).catch((err) => console.error('Log failed', err));
+
+    const io = req.app.get('socketio');
+    broadcastChange(io, { type: 'templates', action, id: template.id });
+}
+
+async function findTemplate(req, res) {
+    const template = await getTemplate(req.params.id);
+    if (!template) res.status(404).json({ error: 'Template not found' });
+    return template;
+}
+
+function canModify(req, template) {
+    return template.createdBy === req.user.username || req.user.role === 'admin';
+}
+
+/**
+ * GET /api/templates
+ * Lists all templates, sorted by name.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const templates = await getTemplates();
+        res.json(templates.map(withVariables).sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (err) {
+        console.error('Failed to read templates:', err);
+        res.status(500).json({ error: 'Failed to read templates' });
+    }
+});
+
+/**
+ * GET /api/templates/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const template = await findTemplate(req, res);
+        if (template) res.json(withVariables(template));
+    } catch (err) {
+        console.error('Failed to read template:', err);
+        res.status(500).json({ error: 'Failed to read template' });
+    }
+});
+
+/**
+ * POST /api/templates
+ * Creates a template from `{ name, description, post }`. `post` holds the prefilled post
+ * fields (without `date`) and is validated like a post; 422 with per-field messages otherwise.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const lists = await withCampaignIds((await readJSON(LISTS_PATH)) || {});
+        const { value, errors } = validateTemplate(req.body, lists, await getTemplates());
+        if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+        const template = await addTemplate(value, req.user.username);
+        publish(req, 'create', template);
+        res.status(201).json(withVariables(template));
+    } catch (err) {
+        console.error('Failed to create template:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PUT /api/templates/:id
+ * Updates the submitted fields of a template. Its author or an administrator only.
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const existing = await findTemplate(req, res);
+        if (!existing) return;
+        if (!canModify(req, existing)) {
+            return res.status(403).json({ error: 'Only the author or an administrator can change this template' });
+        }
+
+        const lists = await withCampaignIds((await readJSON(LISTS_PATH)) || {});
+        const { value, errors } = validateTemplate(req.body, lists, await getTemplates(), existing);
+        if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+        const template = await updateTemplate(existing.id, value, req.user.username);
+        if (!template) return res.status(404).json({ error: 'Template not found' });
+
+        publish(req, 'update', template);
+        res.json(withVariables(template));
+    } catch (err) {
+        console.error('Failed to update template:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Deletes a template. Its author or an administrator only.
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const existing = await findTemplate(req, res);
+        if (!existing) return;
+        if (!canModify(req, existing)) {
+            return res.status(403).json({ error: 'Only the author or an administrator can delete this template' });
+        }
+
+        const removed = await removeTemplate(existing.id);
+        if (!removed) return res.status(404).json({ error: 'Template not found' });
+
+        publish(req, 'delete', removed);
+        res.status(204).end();
+    } catch (err) {
+        console.error('Failed to delete template:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * POST /api/templates/:id/instantiate
+ * Fills the template placeholders from `{ variables }` and returns the resulting post fields
+ * (not saved), ready for POST /api/posts. 422 lists the variables that are missing.
+ */
+router.post('/:id/instantiate', async (req, res) => {
+    const { variables = {} } = req.body || {};
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+        return res.status(422).json({ error: 'Validation failed', fields: { variables: 'Must be an object' } });
+    }
+
+    try {
+        const template = await findTemplate(req, res);
+        if (!template) return;
+
+        const { post, errors } = instantiateTemplate(template, variables);
+        if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+        res.json(post);
+    } catch (err) {
+        console.error('Failed to instantiate template:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { readPostsOptimized, atomicCreatePost, postVersion } = require('../utils/db-cache');
+const { appendLog } = require('../utils/db');
+const { dispatchWebhookEvent } = require('../utils/webhooks');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { broadcastChange } = require('../utils/live-sync');
+const { readTrash, takeFromTrash, purgeFromTrash, TRASH_RETENTION_DAYS } = require('../utils/trash');
+
+router.use(requireAuth, requireAdmin);
+
+/**
+ * GET /api/trash
+ * Lists trashed posts, most recently deleted first, with the retention period.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const items = (await readTrash()).sort((a, b) => b.deletedAt - a.deletedAt);
+        res.json({ retentionDays: TRASH_RETENTION_DAYS, items });
+    } catch (err) {
+        console.error('Failed to read trash:', err);
+        res.status(500).json({ error: 'Failed to read trash' });
+    }
+});
+
+/**
+ * POST /api/trash/:id/restore
+ * Puts a trashed post back into the calendar and notifies all clients.
+ */
+router.post('/:id/restore', async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const entry = (await readTrash()).find((e) => e.post.id === id);
+        if (!entry) return res.status(404).json({ error: 'Not in trash' });
+
+        const posts = await readPostsOptimized();
+        if (posts.some((p) => p.id === id))
+            return res.status(409).json({ error: 'A post with this id already exists' });
+
+        const restored = {
+            ...entry.post,
+            version: postVersion(entry.post) + 1,
+            updatedBy: req.user.username,
+            updatedAt: Date.now(),
+        };
+        const result = await atomicCreatePost(restored, { user: req.user.username, action: 'restore' });
+        if (!result.success) return res.status(500).json({ error: 'Failed to restore post' });
+
+        await takeFromTrash(id);
+
+        appendLog({
+            type: 'post',
+            action: 'restore-trash',
+            user: req.user.username,
+            time: Date.now(),
+            item: id,
+            details: { title: restored.title },
+        }).catch((err) => console.error('Log failed', err));
+
+        // BROADCAST: Signal all clients to refresh
+        const io = req.app.get('socketio');
+        broadcastChange(io, { type: 'posts', action: 'create', id, post: result.created });
+        dispatchWebhookEvent('post.created', { post: result.created, restored: true }, req.user.username);
+
+        res.json(result.created);
+    } catch (err) {
+        console.error('Error restoring post:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * DELETE /api/trash/:id
+ * Permanently purges a single post from the trash.
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const purged = await purgeFromTrash((e) => e.post.id === id, req.user.username);
+        if (!purged.length) return res.status(404).json({ error: 'Not in trash' });
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Error purging post:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * DELETE /api/trash
+ * Empties the trash.
+ */
+router.delete('/', async (req, res) => {
+    try {
+        const purged = await purgeFromTrash(() => true, req.user.username);
+        res.json({ ok: true, purged: purged.length });
+    } catch (err) {
+        console.error('Error emptying trash:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
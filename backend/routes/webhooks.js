@@ -0,0 +1,156 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { appendLog } = require('../utils/db');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const {
+    WEBHOOK_EVENTS,
+    getWebhooks,
+    getWebhook,
+    validateWebhook,
+    addWebhook,
+    updateWebhook,
+    removeWebhook,
+    getDeliveries,
+    sendTestEvent,
+} = require('../utils/webhooks');
+
+router.use(requireAuth, requireAdmin);
+
+function log(req, action, hook, details) {
+    appendLog({
+        type: 'webhook',
+        action,
+        user: req.user.username,
+        time: Date.now(),
+        item: hook.id,
+        details: { url: hook.url, ...details },
+    }).catch((err) => console.error('Log failed', err));
+}
+
+async function findWebhook(req, res) {
+    const hook = await getWebhook(req.params.id);
+    if (!hook) res.status(404).json({ error: 'Webhook not found' });
+    return hook;
+}
+
+/**
+ * GET /api/webhooks
+ * Lists the webhook subscriptions (with their signing secrets) and the subscribable `events`.
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({ webhooks: await getWebhooks(), events: WEBHOOK_EVENTS });
+    } catch (err) {
+        console.error('Failed to read webhooks:', err);
+        res.status(500).json({ error: 'Failed to read webhooks' });
+    }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribes `{ url, events, description, active }`; a signing secret is generated.
+ */
+router.post('/', async (req, res) => {
+    const { value, errors } = validateWebhook(req.body);
+    if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+    try {
+        const hook = await addWebhook(value, req.user.username);
+        log(req, 'create', hook, { events: hook.events });
+        res.status(201).json(hook);
+    } catch (err) {
+        console.error('Failed to create webhook:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Updates the submitted fields of a subscription; `rotateSecret: true` issues a new secret.
+ */
+router.put('/:id', async (req, res) => {
+    const { rotateSecret, ...input } = req.body || {};
+
+    try {
+        const existing = await findWebhook(req, res);
+        if (!existing) return;
+
+        const { value, errors } = validateWebhook(input, existing);
+        if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+        const hook = await updateWebhook(existing.id, value, req.user.username, { rotateSecret: !!rotateSecret });
+        if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+
+        log(req, 'update', hook, { ...value, rotateSecret: !!rotateSecret });
+        res.json(hook);
+    } catch (err) {
+        console.error('Failed to update webhook:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Removes a subscription and drops its pending deliveries.
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const removed = await removeWebhook(req.params.id);
+        if (!removed) return res.status(404).json({ error: 'Webhook not found' });
+
+        log(req, 'delete', removed);
+        res.status(204).end();
+    } catch (err) {
+        console.error('Failed to delete webhook:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * The latest delivery attempts of a subscription, newest first.
+ */
+router.get('/:id/deliveries', async (req, res) => {
+    try {
+        const hook = await findWebhook(req, res);
+        if (!hook) return;
+        res.json(await getDeliveries(hook.id));
+    } catch (err) {
+        console.error('Failed to read webhook deliveries:', err);
+        res.status(500).json({ error: 'Failed to read webhook deliveries' });
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Sends a `webhook.test` event now and responds with the delivery record.
+ */
+router.post('/:id/test', async (req, res) => {
+    try {
+        const hook = await findWebhook(req, res);
+        if (!hook) return;
+        res.json(await sendTestEvent(hook, req.user.username));
+    } catch (err) {
+        console.error('Failed to send test event:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { readJSON, appendLog, LISTS_PATH } = require('../utils/db');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { broadcastChange } = require('../utils/live-sync');
+const { getWorkflow, saveWorkflow, validateWorkflow } = require('../utils/workflow');
+
+/**
+ * GET /api/workflow
+ * Returns the approval workflow (statuses, transitions and required fields).
+ */
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        res.json(await getWorkflow());
+    } catch (err) {
+        console.error('Failed to read workflow:', err);
+        res.status(500).json({ error: 'Failed to read workflow' });
+    }
+});
+
+/**
+ * PUT /api/workflow
+ * Replaces the approval workflow. Admins only; responds 422 with per-field messages
+ * when it refers to unknown statuses, roles or fields.
+ */
+router.put('/', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const lists = (await readJSON(LISTS_PATH)) || {};
+        const { value, errors } = validateWorkflow(req.body, lists);
+        if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+        const saved = await saveWorkflow(value);
+
+        appendLog({
+            type: 'workflow',
+            action: 'update',
+            user: req.user.username,
+            time: Date.now(),
+            item: 'workflow',
+            changes: saved,
+        }).catch((err) => console.error('Log failed', err));
+
+        const io = req.app.get('socketio');
+        broadcastChange(io, { type: 'workflow', action: 'update' });
+
+        res.json(saved);
+    } catch (err) {
+        console.error('Failed to save workflow:', err);
+        res.status(500).json({ error: 'Failed to save workflow' });
+    }
+});
+
+module.exports = router;
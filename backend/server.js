@@ -24,8 +24,27 @@ const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 
 const { readJSON, writeJSON, USERS_PATH, LISTS_PATH, POSTS_PATH, appendLog, readLogs, LOCK_OPTIONS } = require('./utils/db');
-const { requireAuth, requireAdmin, createSession, revokeSessionsForUser, SESSION_TTL_MS } = require('./middleware/auth');
+const {
+    requireAuth,
+    requireAdmin,
+    createSession,
+    revokeSessionsForUser,
+    onSessionsRevoked,
+    authenticateSocket,
+    getSessionUser,
+    SESSION_TTL_MS,
+} = require('./middleware/auth');
 const { readPostsOptimized } = require('./utils/db-cache');
+const { DEFAULT_TIMEZONE, isValidTimezone, postTimezone, localizePost, expandPostsInZone } = require('./utils/timezones');
+const { getCampaigns } = require('./utils/campaigns');
+const { purgeExpired } = require('./utils/trash');
+const { userRoom, roleRoom, notifyOverdueStages } = require('./utils/notifications');
+const { trackPresence } = require('./utils/presence');
+const { broadcastChange, joinFeed } = require('./utils/live-sync');
+const { isValidEmail, flushOutbox } = require('./utils/mail');
+const { sendWeeklyDigests } = require('./utils/digest');
+const { processWebhookQueue, dispatchWebhookEvent } = require('./utils/webhooks');
+const { runPublisher } = require('./utils/publisher');
 
 // SHA-256 Hashing (legacy - only used for migration)
 const hash = (text) => crypto.createHash('sha256').update(text).digest('hex');
@@ -61,6 +80,7 @@ const allowed = process.env.CORS_ALLOWED_ORIGINS ? process.env.CORS_ALLOWED_ORIG
 const corsOptions = {
     origin: allowed.length === 1 ? allowed[0] : allowed,
     credentials: true,
+    exposedHeaders: ['ETag'],
 };
 app.use(cors(corsOptions));
 app.use(express.json());
@@ -73,10 +93,20 @@ app.use('/api/change-password', authLimiter);
 const usersLimiter = rateLimit({ windowMs: 60 * 1000, max: 30 });
 const listsLimiter = rateLimit({ windowMs: 60 * 1000, max: 60 });
 const postsLimiter = rateLimit({ windowMs: 60 * 1000, max: 60 });
+// Drafts are autosaved while typing
+const draftsLimiter = rateLimit({ windowMs: 60 * 1000, max: 120 });
 
 app.use('/api/users', usersLimiter);
 app.use('/api/lists', listsLimiter);
+app.use('/api/workflow', listsLimiter);
+app.use('/api/templates', listsLimiter);
+app.use('/api/campaigns', listsLimiter);
+app.use('/api/notifications', listsLimiter);
+app.use('/api/webhooks', listsLimiter);
+app.use('/api/publishing', postsLimiter);
 app.use('/api/posts', postsLimiter);
+app.use('/api/trash', postsLimiter);
+app.use('/api/drafts', draftsLimiter);
 
 // Input validation
 const USERNAME_RE = /^[a-z0-9_.-]{3,32}$/i;
@@ -143,15 +173,99 @@ if (!fs.existsSync(LOGS_ND)) fs.writeFileSync(LOGS_ND, '');
 })();
 
 // Socket Connection
+// Only signed-in sockets are accepted. They join the live sync feed, their user's room (for
+// targeted events such as notifications) and their role's room, and take part in editing presence
+io.engine.use(cookieParser());
+io.use(authenticateSocket);
 io.on('connection', (socket) => {
-    console.log(`Live sync: User connected ${socket.id}`);
+    const { user } = socket.data;
+    console.log(`Live sync: ${user.username} connected ${socket.id}`);
+    joinFeed(socket);
+    socket.join([userRoom(user.username), roleRoom(user.role)]);
+    trackPresence(io, socket, user);
 });
 
+// Revoked sessions (new password, changed role, deleted user, logout) lose their live connections at once
+onSessionsRevoked((username, token) => {
+    if (!token) return io.in(userRoom(username)).disconnectSockets(true);
+    for (const socket of io.sockets.sockets.values()) {
+        if (socket.data.token === token) socket.disconnect(true);
+    }
+});
+
+// Expired sessions lose theirs within a minute
+setInterval(() => {
+    for (const socket of io.sockets.sockets.values()) {
+        if (!getSessionUser(socket.data.token)) socket.disconnect(true);
+    }
+}, 60 * 1000);
+
 // Routers
 const postsRouter = require('./routes/posts');
 const listsRouter = require('./routes/lists');
+const trashRouter = require('./routes/trash');
+const commentsRouter = require('./routes/comments');
+const mediaRouter = require('./routes/media');
+const workflowRouter = require('./routes/workflow');
+const templatesRouter = require('./routes/templates');
+const campaignsRouter = require('./routes/campaigns');
+const checklistRouter = require('./routes/checklist');
+const notificationsRouter = require('./routes/notifications');
+const webhooksRouter = require('./routes/webhooks');
+const publishingRouter = require('./routes/publishing');
+const draftsRouter = require('./routes/drafts');
+app.use('/api/posts/:postId/comments', commentsRouter);
+app.use('/api/posts/:postId/checklist', checklistRouter);
+app.use('/api', mediaRouter);
 app.use('/api/posts', postsRouter);
 app.use('/api/lists', listsRouter);
+app.use('/api/trash', trashRouter);
+app.use('/api/workflow', workflowRouter);
+app.use('/api/templates', templatesRouter);
+app.use('/api/campaigns', campaignsRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/publishing', publishingRouter);
+app.use('/api/drafts', draftsRouter);
+
+// Trash retention: purge posts deleted longer ago than TRASH_RETENTION_DAYS (checked hourly)
+async function purgeExpiredTrash() {
+    try {
+        const expired = await purgeExpired();
+        if (expired.length > 0) {
+            console.log(`Purged ${expired.length} expired post(s) from the trash`);
+        }
+    } catch (err) {
+        console.error('Trash purge failed:', err);
+    }
+}
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, 60 * 60 * 1000);
+
+// Deadline notifications: tell assignees when a production stage becomes overdue (checked hourly)
+function checkDeadlines() {
+    notifyOverdueStages(io).catch((err) => console.error('Deadline notifications failed:', err));
+}
+checkDeadlines();
+setInterval(checkDeadlines, 60 * 60 * 1000);
+
+// E-mail: retry queued messages every minute; the Monday digest is checked hourly
+setInterval(() => flushOutbox().catch((err) => console.error('Mail delivery failed:', err)), 60 * 1000);
+function checkDigests() {
+    sendWeeklyDigests().catch((err) => console.error('Weekly digest failed:', err));
+}
+checkDigests();
+setInterval(checkDigests, 60 * 60 * 1000);
+
+// Webhooks: attempt queued deliveries whose retry time has come (every 15 seconds)
+setInterval(() => processWebhookQueue().catch((err) => console.error('Webhook delivery failed:', err)), 15 * 1000);
+
+// Publishing: hand due posts to their platforms' connectors (checked every minute)
+function publishDuePosts() {
+    runPublisher(io).catch((err) => console.error('Publishing failed:', err));
+}
+publishDuePosts();
+setInterval(publishDuePosts, 60 * 1000);
 
 // CSV Export
 function escapeCsv(value) {
@@ -163,44 +277,51 @@ function escapeCsv(value) {
 
 app.get('/api/export/csv', requireAuth, async (req, res) => {
     try {
-        const { dateFrom, dateTo, status } = req.query;
-        const posts = await readPostsOptimized();
+        const { dateFrom, dateTo, status, campaign, tz = DEFAULT_TIMEZONE } = req.query;
+        if (!isValidTimezone(tz)) return res.status(400).send('Invalid time zone');
+        const [posts, campaigns] = await Promise.all([readPostsOptimized(), getCampaigns()]);
+        const campaignNames = new Map(campaigns.map((c) => [c.id, c.name]));
         let filtered = posts;
         if (dateFrom && dateTo) {
-            const from = new Date(dateFrom),
-                to = new Date(dateTo);
-            filtered = filtered.filter((p) => {
-                const d = new Date(p.date);
-                return d >= from && d <= to;
-            });
+            // One row per occurrence for recurring posts, on the dates they fall on in `tz`
+            filtered = expandPostsInZone(filtered, dateFrom, dateTo, tz);
         }
         if (status) filtered = filtered.filter((p) => p.status === status);
+        if (campaign) filtered = filtered.filter((p) => p.campaignId === campaign);
         const headers = [
             'ID',
             'Title',
             'Date',
             'Time',
             'All Day',
+            'Post Time Zone',
             'Status',
             'Creators',
             'Designers',
             'Editors',
             'Platforms',
+            'Campaign',
             'Notes',
         ];
-        const rows = filtered.map((p) => [
-            escapeCsv(p.id),
-            escapeCsv(p.title),
-            escapeCsv(p.date),
-            escapeCsv(p.time),
-            escapeCsv(p.isAllDay ? 'Yes' : 'No'),
-            escapeCsv(p.status),
-            escapeCsv((p.creators || []).join('; ')),
-            escapeCsv((p.designers || []).join('; ')),
-            escapeCsv((p.editors || []).join('; ')),
-            escapeCsv((p.platforms || []).join('; ')),
-            escapeCsv(p.notes),
-        ]);
+        // Date and time as seen from `tz`; the post's own zone is kept in its column
+        const rows = filtered.map((p) => {
+            const local = localizePost(p, tz);
+            return [
+                escapeCsv(p.id),
+                escapeCsv(p.title),
+                escapeCsv(local.date),
+                escapeCsv(local.time),
+                escapeCsv(p.isAllDay ? 'Yes' : 'No'),
+                escapeCsv(postTimezone(p)),
+                escapeCsv(p.status),
+                escapeCsv((p.creators || []).join('; ')),
+                escapeCsv((p.designers || []).join('; ')),
+                escapeCsv((p.editors || []).join('; ')),
+                escapeCsv((p.platforms || []).join('; ')),
+                escapeCsv(campaignNames.get(p.campaignId) || ''),
+                escapeCsv(p.notes),
+            ];
+        });
         const csv = [headers, ...rows].map((r) => r.join(',')).join('\n');
         res.setHeader('Content-Type', 'text/csv; charset=utf-8');
         res.setHeader('Content-Disposition', `attachment; filename="posts-${new Date().toISOString().split('T')[0]}.csv"`);
@@ -238,7 +359,12 @@ app.put('/api/lists/:type/color', requireAuth, requireAdmin, async (req, res) =>
                 }).catch((e) => console.error(e));
 
                 // BROADCAST
-                req.app.get('socketio').emit('data_updated', { type: 'lists' });
+                broadcastChange(req.app.get('socketio'), { type: 'lists' });
+                dispatchWebhookEvent(
+                    'list.updated',
+                    { list: type, action: 'color-change', item: name, color },
+                    req.user.username
+                );
 
                 return res.json({ success: true, name, color });
             }
@@ -310,6 +436,27 @@ app.post('/api/change-password', requireAuth, async (req, res) => {
     }
 });
 
+// Own E-mail Address (used for notifications and the weekly digest; empty clears it)
+app.put('/api/email', requireAuth, async (req, res) => {
+    const { email } = req.body || {};
+    if (email !== '' && email !== null && !isValidEmail(email)) return res.status(400).send('Invalid');
+    let release;
+    try {
+        release = await lockfile.lock(USERS_PATH, LOCK_OPTIONS);
+        const users = (await readJSON(USERS_PATH)) || [];
+        const idx = users.findIndex((u) => u.username === req.user.username);
+        if (idx === -1) return res.status(404).send('Not found');
+        users[idx].email = email || null;
+        await writeJSON(USERS_PATH, users);
+        res.json({ email: users[idx].email });
+    } catch (err) {
+        console.error('Failed to save e-mail address:', err);
+        res.status(500).send('Error');
+    } finally {
+        if (release) await release();
+    }
+});
+
 // Admin User Management
 app.get('/api/users', requireAuth, requireAdmin, async (req, res) => {
     try {
@@ -318,6 +465,7 @@ app.get('/api/users', requireAuth, requireAdmin, async (req, res) => {
             users.map((u) => ({
                 username: u.username,
                 role: u.role,
+                email: u.email || null,
                 mustChangePassword: !!u.mustChangePassword,
             }))
         );
@@ -327,8 +475,8 @@ app.get('/api/users', requireAuth, requireAdmin, async (req, res) => {
 });
 
 app.post('/api/users', requireAuth, requireAdmin, async (req, res) => {
-    const { username, role, tempPassword } = req.body || {};
-    if (!isValidUsername(username) || !isStrongPassword(tempPassword)) {
+    const { username, role, tempPassword, email } = req.body || {};
+    if (!isValidUsername(username) || !isStrongPassword(tempPassword) || (email && !isValidEmail(email))) {
         return res.status(400).send('Invalid');
     }
     let release;
@@ -343,6 +491,7 @@ app.post('/api/users', requireAuth, requireAdmin, async (req, res) => {
             role: role || 'user',
             password: bcrypt.hashSync(tempPassword, 10),
             mustChangePassword: true,
+            email: email || null,
         });
         await writeJSON(USERS_PATH, users);
         res.json({ ok: true });
@@ -357,11 +506,12 @@ app.post('/api/users', requireAuth, requireAdmin, async (req, res) => {
 app.put('/api/users/:username', requireAuth, requireAdmin, async (req, res) => {
     const targetUsername = req.params.username.toLowerCase();
     const requesterUsername = req.user.username.toLowerCase(); // The person making the call
-    const { role, mustChangePassword } = req.body;
+    const { role, mustChangePassword, email } = req.body;
 
     if (targetUsername === requesterUsername && role !== undefined) {
         return res.status(400).send('Security Policy: You cannot change your own role. Another administrator must do this.');
     }
+    if (email && !isValidEmail(email)) return res.status(400).send('Invalid e-mail address');
 
     let release;
     try {
@@ -378,6 +528,7 @@ app.put('/api/users/:username', requireAuth, requireAdmin, async (req, res) => {
 
         users[idx].role = role || users[idx].role;
         if (mustChangePassword !== undefined) users[idx].mustChangePassword = !!mustChangePassword;
+        if (email !== undefined) users[idx].email = email || null;
 
         await writeJSON(USERS_PATH, users);
 
@@ -0,0 +1,124 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { LIST_FIELDS, listNames } = require('./post-schema');
+const { addDaysISO, shiftRule } = require('./recurrence');
+
+/**
+ * Operations accepted by POST /api/posts/bulk, applied in order to every selected post:
+ * - `{ op: 'setStatus', status }`
+ * - `{ op: 'shiftDays', days }` (recurring posts move as a whole series)
+ * - `{ op: 'add', field, values }` / `{ op: 'remove', field, values }` on creators,
+ *   designers, editors or platforms
+ * - `{ op: 'delete' }` (moves the posts to the trash; cannot be combined)
+ */
+const OPS = ['setStatus', 'shiftDays', 'add', 'remove', 'delete'];
+
+const MAX_SHIFT_DAYS = 3650;
+
+/**
+ * Validates a list of bulk operations against the current lists.
+ * @returns {{ ops: Array, errors: Object|null }} Errors are keyed `operations[i]`.
+ */
+function validateOperations(operations, lists) {
+    const errors = {};
+    const ops = [];
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+        return { ops, errors: { operations: 'At least one operation is required' } };
+    }
+
+    operations.forEach((raw, i) => {
+        const key = `operations[${i}]`;
+        if (!raw || typeof raw !== 'object' || !OPS.includes(raw.op)) {
+            errors[key] = `op must be one of: ${OPS.join(', ')}`;
+            return;
+        }
+
+        switch (raw.op) {
+            case 'setStatus':
+                if (!listNames(lists.statuses).includes(raw.status)) errors[key] = `Unknown status: ${raw.status}`;
+                else ops.push({ op: 'setStatus', status: raw.status });
+                break;
+            case 'shiftDays':
+                if (!Number.isInteger(raw.days) || raw.days === 0 || Math.abs(raw.days) > MAX_SHIFT_DAYS) {
+                    errors[key] = `days must be a non-zero whole number up to ${MAX_SHIFT_DAYS}`;
+                } else ops.push({ op: 'shiftDays', days: raw.days });
+                break;
+            case 'add':
+            case 'remove': {
+                if (!LIST_FIELDS.includes(raw.field)) {
+                    errors[key] = `field must be one of: ${LIST_FIELDS.join(', ')}`;
+                    break;
+                }
+                if (!Array.isArray(raw.values) || !raw.values.length || raw.values.some((v) => typeof v !== 'string')) {
+                    errors[key] = 'values must be a non-empty list of names';
+                    break;
+                }
+                // Removing names no longer in the lists is allowed, adding them is not
+                const known = listNames(lists[raw.field]);
+                const unknown = raw.op === 'add' ? raw.values.filter((v) => !known.includes(v)) : [];
+                if (unknown.length) errors[key] = `Unknown ${raw.field}: ${unknown.join(', ')}`;
+                else ops.push({ op: raw.op, field: raw.field, values: Array.from(new Set(raw.values)) });
+                break;
+            }
+            case 'delete':
+                if (operations.length > 1) errors[key] = 'delete cannot be combined with other operations';
+                else ops.push({ op: 'delete' });
+                break;
+            default:
+                break;
+        }
+    });
+
+    return { ops, errors: Object.keys(errors).length ? errors : null };
+}
+
+/**
+ * Applies validated operations to a copy of `post`. Returns `null` when the post is deleted.
+ */
+function applyOperations(post, ops) {
+    let next = { ...post };
+    for (const o of ops) {
+        switch (o.op) {
+            case 'delete':
+                return null;
+            case 'setStatus':
+                next.status = o.status;
+                break;
+            case 'shiftDays':
+                next.date = addDaysISO(next.date, o.days);
+                if (next.recurrence) next.recurrence = shiftRule(next.recurrence, o.days);
+                break;
+            case 'add':
+                next[o.field] = Array.from(new Set([...(next[o.field] || []), ...o.values]));
+                break;
+            case 'remove':
+                next[o.field] = (next[o.field] || []).filter((v) => !o.values.includes(v));
+                break;
+            default:
+                break;
+        }
+    }
+    return next;
+}
+
+module.exports = {
+    OPS,
+    validateOperations,
+    applyOperations,
+};
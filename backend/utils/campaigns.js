@@ -0,0 +1,173 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const path = require('path');
+const { DB_DIR, USERS_PATH, genId, readJSON, updateJSON } = require('./db');
+const { isValidDate, listNames } = require('./post-schema');
+
+/**
+ * Campaigns group posts: db/campaigns.json holds a list of
+ * `{ id, name, color, startDate, endDate, goal, owner, createdBy, createdAt, updatedBy, updatedAt }`
+ * and posts point to theirs with `campaignId`.
+ */
+const CAMPAIGNS_PATH = path.join(DB_DIR, 'campaigns.json');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_GOAL_LENGTH = 1000;
+const DEFAULT_COLOR = '#6bc6ff';
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+async function getCampaigns() {
+    return (await readJSON(CAMPAIGNS_PATH)) || [];
+}
+
+async function getCampaign(id) {
+    return (await getCampaigns()).find((c) => c.id === id) || null;
+}
+
+/**
+ * Post validation lists extended with the ids of existing campaigns (for `campaignId`).
+ */
+async function withCampaignIds(lists) {
+    return { ...lists, campaigns: (await getCampaigns()).map((c) => c.id) };
+}
+
+/**
+ * Validates a submitted campaign. With `existing`, only the submitted keys are checked.
+ * @returns {Promise<{ value: Object, errors: Object|null }>}
+ */
+async function validateCampaign(input, campaigns, existing = null) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: {}, errors: { _body: 'Expected a JSON object' } };
+    }
+
+    const errors = {};
+    const value = {};
+    const check = (field) => input[field] !== undefined || !existing;
+
+    if (check('name')) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name) errors.name = 'Required';
+        else if (name.length > MAX_NAME_LENGTH) errors.name = `Must be at most ${MAX_NAME_LENGTH} characters`;
+        else if (
+            campaigns.some((c) => c.name.toLowerCase() === name.toLowerCase() && (!existing || c.id !== existing.id))
+        ) {
+            errors.name = 'A campaign with this name already exists';
+        } else value.name = name;
+    }
+
+    if (input.color !== undefined) {
+        if (typeof input.color !== 'string' || !COLOR_RE.test(input.color)) errors.color = 'Must be a #rrggbb colour';
+        else value.color = input.color.toLowerCase();
+    }
+
+    for (const field of ['startDate', 'endDate']) {
+        if (!check(field)) continue;
+        if (!isValidDate(input[field])) errors[field] = 'Must be a valid date (YYYY-MM-DD)';
+        else value[field] = input[field];
+    }
+    const startDate = value.startDate || (existing && existing.startDate);
+    const endDate = value.endDate || (existing && existing.endDate);
+    if (!errors.startDate && !errors.endDate && startDate > endDate) {
+        errors.endDate = 'Must not be before the start date';
+    }
+
+    if (input.goal !== undefined) {
+        if (typeof input.goal !== 'string') errors.goal = 'Must be a string';
+        else if (input.goal.length > MAX_GOAL_LENGTH) errors.goal = `Must be at most ${MAX_GOAL_LENGTH} characters`;
+        else value.goal = input.goal.trim();
+    }
+
+    if (input.owner !== undefined) {
+        const users = (await readJSON(USERS_PATH)) || [];
+        if (typeof input.owner !== 'string' || !users.some((u) => u.username === input.owner)) {
+            errors.owner = 'Unknown user';
+        } else value.owner = input.owner;
+    }
+
+    return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+async function addCampaign(fields, user) {
+    const created = {
+        color: DEFAULT_COLOR,
+        goal: '',
+        owner: user,
+        ...fields,
+        id: genId(),
+        createdBy: user,
+        createdAt: Date.now(),
+        updatedBy: null,
+        updatedAt: null,
+    };
+    await updateJSON(CAMPAIGNS_PATH, [], (campaigns) => [...campaigns, created]);
+    return created;
+}
+
+/**
+ * Applies `changes` to a campaign. Resolves to the updated campaign, or null if it is missing.
+ */
+async function updateCampaign(id, changes, user) {
+    let updated = null;
+    await updateJSON(CAMPAIGNS_PATH, [], (campaigns) => {
+        const idx = campaigns.findIndex((c) => c.id === id);
+        if (idx === -1) return undefined;
+        updated = { ...campaigns[idx], ...changes, id, updatedBy: user, updatedAt: Date.now() };
+        return campaigns.map((c, i) => (i === idx ? updated : c));
+    });
+    return updated;
+}
+
+async function removeCampaign(id) {
+    let removed = null;
+    await updateJSON(CAMPAIGNS_PATH, [], (campaigns) => {
+        removed = campaigns.find((c) => c.id === id) || null;
+        return removed ? campaigns.filter((c) => c.id !== id) : undefined;
+    });
+    return removed;
+}
+
+/**
+ * Status that counts as finished for campaign progress: the last workflow status while the
+ * approval workflow is enabled, otherwise the last configured status.
+ */
+function doneStatus(lists, workflow) {
+    if (workflow && workflow.enabled && workflow.statuses.length) return workflow.statuses.at(-1);
+    return listNames(lists.statuses).at(-1) || null;
+}
+
+/**
+ * Post counts of a campaign: `{ total, done, byStatus: { [status]: count } }`.
+ */
+function campaignStats(posts, done) {
+    const byStatus = {};
+    for (const p of posts) byStatus[p.status] = (byStatus[p.status] || 0) + 1;
+    return { total: posts.length, done: done ? byStatus[done] || 0 : 0, byStatus };
+}
+
+module.exports = {
+    CAMPAIGNS_PATH,
+    getCampaigns,
+    getCampaign,
+    withCampaignIds,
+    validateCampaign,
+    addCampaign,
+    updateCampaign,
+    removeCampaign,
+    doneStatus,
+    campaignStats,
+};
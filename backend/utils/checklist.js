@@ -0,0 +1,134 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { genId } = require('./db');
+const { listNames } = require('./post-schema');
+
+/**
+ * Per-post checklists. A post's `checklist` is an ordered array of
+ * `{ id, text, assignee, done, doneBy, doneAt }` items, changed only through the
+ * checklist endpoints so toggling an item never rewrites the rest of the post.
+ */
+
+const MAX_ITEMS = 50;
+const MAX_TEXT_LENGTH = 200;
+
+// Items are assigned to the people of the assignee lists
+const ASSIGNEE_LISTS = ['creators', 'designers', 'editors'];
+
+function assigneeNames(lists) {
+    return new Set(ASSIGNEE_LISTS.flatMap((type) => listNames(lists[type])));
+}
+
+/**
+ * Validates the editable fields of an item: `text`, `assignee` (a name from the
+ * assignee lists, or null) and `done`.
+ * @param {Object} input - Raw request body.
+ * @param {Object} lists - Contents of lists.json.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.partial] - Only validate the submitted fields (updates).
+ * @param {Object} [opts.existing] - Stored item; its assignee is accepted even if since removed from the lists.
+ * @returns {{ value: Object, errors: Object|null }}
+ */
+function validateItem(input, lists, { partial = false, existing = null } = {}) {
+    const errors = {};
+    const value = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value, errors: { _body: 'Expected a JSON object' } };
+    }
+
+    if (input.text !== undefined || !partial) {
+        const text = typeof input.text === 'string' ? input.text.trim() : '';
+        if (!text) errors.text = 'Required';
+        else if (text.length > MAX_TEXT_LENGTH) errors.text = `Must be at most ${MAX_TEXT_LENGTH} characters`;
+        else value.text = text;
+    }
+
+    if (input.assignee !== undefined) {
+        const { assignee } = input;
+        if (assignee === null || assignee === '') value.assignee = null;
+        else if (typeof assignee !== 'string') errors.assignee = 'Must be a name or null';
+        else if (!assigneeNames(lists).has(assignee) && !(existing && existing.assignee === assignee)) {
+            errors.assignee = `Unknown assignee: ${assignee}`;
+        } else value.assignee = assignee;
+    }
+
+    if (input.done !== undefined) {
+        if (typeof input.done !== 'boolean') errors.done = 'Must be true or false';
+        else value.done = input.done;
+    }
+
+    return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+/**
+ * Applies validated changes to an item, recording who completed it and when.
+ */
+function applyItemChanges(item, changes, user) {
+    const next = { ...item, ...changes };
+    if (changes.done !== undefined && changes.done !== item.done) {
+        next.doneBy = changes.done ? user : null;
+        next.doneAt = changes.done ? Date.now() : null;
+    }
+    return next;
+}
+
+/**
+ * Validates a checklist skeleton, as kept in templates: up to MAX_ITEMS `{ text, assignee }`
+ * items (other item fields are ignored). With `clearUnknown`, assignees no longer in the
+ * lists are dropped instead of rejected.
+ * @returns {{ value: Array, error: string|null }}
+ */
+function validateSkeleton(input, lists, { clearUnknown = false } = {}) {
+    if (!Array.isArray(input)) return { value: [], error: 'Must be a list of items' };
+    if (input.length > MAX_ITEMS) return { value: [], error: `At most ${MAX_ITEMS} items` };
+
+    const names = assigneeNames(lists);
+    const value = [];
+    for (const [i, item] of input.entries()) {
+        if (!item || typeof item !== 'object') return { value: [], error: `Item ${i + 1}: Expected an object` };
+        const assignee = clearUnknown && !names.has(item.assignee) ? null : item.assignee;
+        const { value: valid, errors } = validateItem({ text: item.text, assignee }, lists);
+        if (errors) return { value: [], error: `Item ${i + 1}: ${Object.values(errors)[0]}` };
+        value.push({ text: valid.text, assignee: valid.assignee ?? null });
+    }
+    return { value, error: null };
+}
+
+function newItem({ text, assignee = null }) {
+    return { id: genId(), text, assignee, done: false, doneBy: null, doneAt: null };
+}
+
+/**
+ * Returns the checklist in the order of `ids`, or null unless `ids` lists every item exactly once.
+ */
+function reorderItems(checklist, ids) {
+    if (!Array.isArray(ids) || ids.length !== checklist.length || new Set(ids).size !== ids.length) return null;
+    const byId = new Map(checklist.map((item) => [item.id, item]));
+    if (!ids.every((id) => byId.has(id))) return null;
+    return ids.map((id) => byId.get(id));
+}
+
+module.exports = {
+    MAX_ITEMS,
+    validateItem,
+    validateSkeleton,
+    applyItemChanges,
+    newItem,
+    reorderItems,
+};
@@ -0,0 +1,158 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DB_DIR, USERS_PATH, genId, readJSON, updateJSON } = require('./db');
+const { POST_ID_RE } = require('./revisions');
+
+/**
+ * Per-post comment store: one JSON file per post under db/comments, holding a flat array of
+ * `{ id, parentId, author, body, mentions, createdAt, updatedAt, resolved, resolvedBy, resolvedAt }`.
+ * Threads are rebuilt from `parentId`; only top-level comments can be resolved.
+ */
+const COMMENTS_DIR = path.join(DB_DIR, 'comments');
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// `@name` preceded by start of text or a non-name character (so e-mail addresses are skipped)
+const MENTION_RE = /(^|[^A-Za-z0-9_.-])@([A-Za-z0-9_.-]{3,32})/g;
+
+function commentsPath(postId) {
+    if (!POST_ID_RE.test(String(postId))) throw new Error('Invalid post id');
+    return path.join(COMMENTS_DIR, `${postId}.json`);
+}
+
+async function getComments(postId) {
+    if (!POST_ID_RE.test(String(postId))) return [];
+    return (await readJSON(commentsPath(postId))) || [];
+}
+
+/**
+ * Validates a comment body; returns the trimmed text or an error message.
+ */
+function validateBody(body) {
+    if (typeof body !== 'string' || !body.trim()) return { error: 'Required' };
+    if (body.length > MAX_COMMENT_LENGTH) return { error: `Must be at most ${MAX_COMMENT_LENGTH} characters` };
+    return { value: body.trim() };
+}
+
+/**
+ * Returns the existing usernames mentioned as `@username` in `body` (case-insensitive,
+ * normalised to the stored spelling).
+ */
+async function resolveMentions(body) {
+    const names = new Set();
+    for (const m of body.matchAll(MENTION_RE)) names.add(m[2].replace(/\.+$/, '').toLowerCase());
+    if (!names.size) return [];
+    const users = (await readJSON(USERS_PATH)) || [];
+    return users.map((u) => u.username).filter((u) => names.has(String(u).toLowerCase()));
+}
+
+/**
+ * Adds a comment (or a reply when `parentId` is set). Resolves to null if the parent is missing.
+ */
+async function addComment(postId, { author, body, parentId = null, mentions = [] }) {
+    let created = null;
+    await updateJSON(commentsPath(postId), [], (comments) => {
+        if (parentId && !comments.some((c) => c.id === parentId && !c.deleted)) return undefined;
+        created = {
+            id: genId(),
+            parentId,
+            author,
+            body,
+            mentions,
+            createdAt: Date.now(),
+            updatedAt: null,
+            resolved: false,
+            resolvedBy: null,
+            resolvedAt: null,
+        };
+        return [...comments, created];
+    });
+    return created;
+}
+
+/**
+ * Applies `patch` to a comment; resolves to the updated comment or null if not found.
+ */
+async function updateComment(postId, commentId, patch) {
+    let updated = null;
+    await updateJSON(commentsPath(postId), [], (comments) => {
+        const idx = comments.findIndex((c) => c.id === commentId && !c.deleted);
+        if (idx === -1) return undefined;
+        updated = { ...comments[idx], ...patch };
+        const next = comments.slice();
+        next[idx] = updated;
+        return next;
+    });
+    return updated;
+}
+
+/**
+ * Deletes a comment. A comment with replies is kept as a tombstone so the thread stays
+ * readable; tombstones left without replies are dropped. Resolves to false if not found.
+ */
+async function removeComment(postId, commentId) {
+    let found = false;
+    await updateJSON(commentsPath(postId), [], (comments) => {
+        const target = comments.find((c) => c.id === commentId && !c.deleted);
+        if (!target) return undefined;
+        found = true;
+
+        const hasReplies = (id, list) => list.some((c) => c.parentId === id);
+        let next = hasReplies(commentId, comments)
+            ? comments.map((c) => (c.id === commentId ? { ...c, body: '', mentions: [], deleted: true } : c))
+            : comments.filter((c) => c.id !== commentId);
+
+        // Drop tombstoned ancestors that no longer have replies
+        let parentId = target.parentId;
+        while (parentId) {
+            const parent = next.find((c) => c.id === parentId);
+            if (!parent || !parent.deleted || hasReplies(parent.id, next)) break;
+            next = next.filter((c) => c.id !== parent.id);
+            parentId = parent.parentId;
+        }
+        return next;
+    });
+    return found;
+}
+
+/**
+ * Removes all comments of a post (used when a post is permanently purged).
+ */
+async function deleteComments(postId) {
+    if (!POST_ID_RE.test(String(postId))) return;
+    const file = commentsPath(postId);
+    for (const p of [file, `${file}.sha256`, `${file}.backup`]) {
+        try {
+            await fs.unlink(p);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+}
+
+module.exports = {
+    getComments,
+    validateBody,
+    resolveMentions,
+    addComment,
+    updateComment,
+    removeComment,
+    deleteComments,
+};
@@ -19,6 +19,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const lockfile = require('proper-lockfile');
 const crypto = require('crypto');
+const { recordRevision } = require('./revisions');
+const { addToTrash } = require('./trash');
 
 const POSTS_PATH = path.join(__dirname, '..', 'db', 'posts.json');
 
@@ -94,7 +96,40 @@ function invalidateCache() {
     cacheVersion++;
 }
 
-async function atomicUpdatePost(postId, updateFn) {
+/**
+ * Counter bumped on every change to the posts cache; derived caches (the search index)
+ * compare it to know when to rebuild.
+ */
+function getCacheVersion() {
+    return cacheVersion;
+}
+
+/**
+ * Returns the optimistic-concurrency version of a post (posts predating versioning count as 0).
+ */
+function postVersion(post) {
+    return Number.isInteger(post && post.version) ? post.version : 0;
+}
+
+/**
+ * Snapshots a post into its revision history. Failures are logged, never thrown:
+ * the post itself has already been written.
+ */
+async function snapshot(post, meta) {
+    try {
+        await recordRevision(post, meta);
+    } catch (err) {
+        console.error(`Failed to record revision for ${post.id}:`, err);
+    }
+}
+
+/**
+ * Applies `updateFn` to a post under the posts lock and bumps its version.
+ * When `expectedVersion` is given and no longer matches the stored post, nothing is
+ * written and `{ conflict: true, current }` is returned instead.
+ * `user` and `action` are recorded with the revision snapshot.
+ */
+async function atomicUpdatePost(postId, updateFn, { expectedVersion, user, action = 'update' } = {}) {
     let release;
     try {
         const { LOCK_OPTIONS } = require('./db');
@@ -106,8 +141,12 @@ async function atomicUpdatePost(postId, updateFn) {
         const idx = posts.findIndex((p) => p.id === postId);
         if (idx === -1) return { success: false, error: 'Post not found' };
 
+        if (expectedVersion !== undefined && postVersion(posts[idx]) !== expectedVersion) {
+            return { success: false, conflict: true, error: 'Version conflict', current: posts[idx] };
+        }
+
         const oldPost = { ...posts[idx] };
-        posts[idx] = updateFn(posts[idx]);
+        posts[idx] = { ...updateFn(posts[idx]), version: postVersion(oldPost) + 1 };
 
         const sorted = posts.sort((a, b) => {
             const da = new Date(a.date).getTime();
@@ -129,7 +168,10 @@ async function atomicUpdatePost(postId, updateFn) {
 
         postsCache = sorted;
         cacheVersion++;
-        return { success: true, oldPost, updatedPost: posts[idx], allPosts: sorted };
+
+        const updatedPost = sorted.find((p) => p.id === postId);
+        await snapshot(updatedPost, { user, action, previous: oldPost });
+        return { success: true, oldPost, updatedPost, allPosts: sorted };
     } catch (err) {
         invalidateCache();
         return { success: false, error: err.message };
@@ -138,7 +180,11 @@ async function atomicUpdatePost(postId, updateFn) {
     }
 }
 
-async function atomicDeletePost(postId) {
+/**
+ * Removes a post from posts.json after moving it into the trash store.
+ * The trash entry is written first so a failed write never loses the post.
+ */
+async function atomicDeletePost(postId, { user } = {}) {
     let release;
     try {
         const { LOCK_OPTIONS } = require('./db');
@@ -151,6 +197,8 @@ async function atomicDeletePost(postId) {
         if (idx === -1) return { success: false, error: 'Post not found' };
 
         const deleted = posts.splice(idx, 1)[0];
+        await addToTrash(deleted, user);
+
         const payload = JSON.stringify(posts, null, 2);
         const checksum = crypto.createHash('sha256').update(payload).digest('hex');
         const tmpPath = POSTS_PATH + '.tmp.' + Date.now();
@@ -171,7 +219,7 @@ async function atomicDeletePost(postId) {
     }
 }
 
-async function atomicCreatePost(newPost) {
+async function atomicCreatePost(newPost, { user, action = 'create' } = {}) {
     let release;
     try {
         const { LOCK_OPTIONS } = require('./db');
@@ -201,6 +249,8 @@ async function atomicCreatePost(newPost) {
 
         postsCache = sorted;
         cacheVersion++;
+
+        await snapshot(newPost, { user, action });
         return { success: true, created: newPost, allPosts: sorted };
     } catch (err) {
         invalidateCache();
@@ -210,11 +260,95 @@ async function atomicCreatePost(newPost) {
     }
 }
 
+/**
+ * Applies `updateFn` to several posts in a single locked write of posts.json.
+ * `updateFn(post)` returns the updated post, or `null` to move the post to the trash.
+ * With `expectedVersions` (`{ [id]: version }`), any mismatch aborts the whole batch and
+ * returns `{ conflict: true, conflicts }` without writing. `previous` maps the id of each
+ * updated post to its stored version before the change.
+ */
+async function atomicBulkUpdate(postIds, updateFn, { expectedVersions, user, action = 'bulk' } = {}) {
+    let release;
+    try {
+        const { LOCK_OPTIONS } = require('./db');
+        release = await lockfile.lock(POSTS_PATH, LOCK_OPTIONS);
+
+        const data = await fs.readFile(POSTS_PATH, 'utf-8');
+        const posts = JSON.parse(data || '[]');
+
+        const wanted = new Set(postIds);
+        const found = posts.filter((p) => wanted.has(p.id));
+        const missing = postIds.filter((id) => !found.some((p) => p.id === id));
+
+        if (expectedVersions) {
+            const conflicts = found
+                .filter((p) => expectedVersions[p.id] !== undefined && postVersion(p) !== expectedVersions[p.id])
+                .map((p) => p.id);
+            if (conflicts.length) return { success: false, conflict: true, error: 'Version conflict', conflicts };
+        }
+
+        const updated = [];
+        const deleted = [];
+        const previous = new Map();
+        const kept = [];
+        for (const post of posts) {
+            if (!wanted.has(post.id)) {
+                kept.push(post);
+                continue;
+            }
+            const next = updateFn({ ...post });
+            if (next === null) {
+                deleted.push(post);
+                continue;
+            }
+            const bumped = { ...next, id: post.id, version: postVersion(post) + 1 };
+            previous.set(post.id, post);
+            updated.push(bumped);
+            kept.push(bumped);
+        }
+
+        // Trash entries first, so a failed write never loses a post
+        for (const post of deleted) await addToTrash(post, user);
+
+        const sorted = kept.sort((a, b) => {
+            const da = new Date(a.date).getTime();
+            const db = new Date(b.date).getTime();
+            if (da !== db) return da - db;
+            const ta = (a.time || '00:00').split(':').map(Number);
+            const tb = (b.time || '00:00').split(':').map(Number);
+            return ta[0] * 60 + ta[1] - (tb[0] * 60 + tb[1]);
+        });
+
+        const payload = JSON.stringify(sorted, null, 2);
+        const checksum = crypto.createHash('sha256').update(payload).digest('hex');
+        const tmpPath = POSTS_PATH + '.tmp.' + Date.now();
+
+        await fs.writeFile(tmpPath, payload);
+        await fs.writeFile(tmpPath + '.sha256', checksum);
+        await fs.rename(tmpPath, POSTS_PATH);
+        await fs.rename(tmpPath + '.sha256', `${POSTS_PATH}.sha256`);
+
+        postsCache = sorted;
+        cacheVersion++;
+
+        for (const post of updated) await snapshot(post, { user, action, previous: previous.get(post.id) });
+        return { success: true, updated, deleted, missing, previous, allPosts: sorted };
+    } catch (err) {
+        invalidateCache();
+        return { success: false, error: err.message };
+    } finally {
+        if (release) await release();
+    }
+}
+
 module.exports = {
     readPostsOptimized,
     writePostsOptimized,
     invalidateCache,
+    getCacheVersion,
     atomicUpdatePost,
     atomicDeletePost,
     atomicCreatePost,
+    atomicBulkUpdate,
+    postVersion,
 };
@@ -26,6 +26,7 @@ const LISTS_PATH = path.join(DB_DIR, 'lists.json');
 const USERS_PATH = path.join(DB_DIR, 'users.json');
 const SESSIONS_PATH = path.join(DB_DIR, 'sessions.json');
 const LOGS_PATH = path.join(DB_DIR, 'logs.json');
+const TRASH_PATH = path.join(DB_DIR, 'trash.json');
 
 // Configuration for file locking behavior
 const LOCK_OPTIONS = {
@@ -158,6 +159,32 @@ async function writeJSON(filePath, data) {
         }
     }
 }
+/**
+ * Read-modify-write of a JSON store under an exclusive lock.
+ * `mutate` receives the current contents (or `fallback` when the file does not exist)
+ * and returns the data to persist, or `undefined` to leave the file untouched.
+ * Locks a sibling `.update` path so the nested writeJSON call can take its own lock.
+ */
+async function updateJSON(filePath, fallback, mutate) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    let release;
+    try {
+        release = await lockfile.lock(`${filePath}.update`, LOCK_OPTIONS);
+        const current = await readJSON(filePath);
+        const next = await mutate(current === null ? fallback : current);
+        if (next !== undefined) await writeJSON(filePath, next);
+        return next;
+    } finally {
+        if (release) {
+            try {
+                await release();
+            } catch (releaseErr) {
+                console.warn('Warning: Failed to release update lock:', releaseErr.message);
+            }
+        }
+    }
+}
+
 function genId() {
     // Simple unique id generator: timestamp + random component
     return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
@@ -235,13 +262,16 @@ async function readLogs() {
 }
 
 module.exports = {
+    DB_DIR,
     POSTS_PATH,
     LISTS_PATH,
     USERS_PATH,
     SESSIONS_PATH,
     LOGS_PATH,
+    TRASH_PATH,
     readJSON,
     writeJSON,
+    updateJSON,
     genId,
     appendLog,
     readLogs,
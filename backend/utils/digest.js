@@ -0,0 +1,93 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const path = require('path');
+const { DB_DIR, USERS_PATH, readJSON, updateJSON } = require('./db');
+const { readPostsOptimized } = require('./db-cache');
+const { expandPosts, addDaysISO, daysBetweenISO } = require('./recurrence');
+const { todayISO } = require('./stages');
+const { getInbox, assignedRoles } = require('./notifications');
+const { mailEnabled, queueMail, appLink } = require('./mail');
+
+/**
+ * Monday digest: every user with an e-mail address (and the `digest` preference on) receives the
+ * posts of the week they created or are assigned to. Sent once per week, from DIGEST_HOUR
+ * (server time, default 8); the last sent Monday is kept in db/digest.json.
+ */
+const DIGEST_STATE_PATH = path.join(DB_DIR, 'digest.json');
+
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR, 10) || 8;
+
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * The plain-text digest for `username`, or null when they have no posts this week.
+ */
+function composeDigest(username, posts, monday) {
+    const lines = posts
+        .map((p) => {
+            const roles = assignedRoles(p, username);
+            if (p.createdBy === username) roles.unshift('author');
+            if (!roles.length) return null;
+            const when = [WEEKDAY_NAMES[daysBetweenISO(monday, p.date)], p.date, p.time].filter(Boolean).join(' ');
+            return `- ${when}: ${p.title} (${p.status || 'no status'}) as ${roles.join(', ')}`;
+        })
+        .filter(Boolean);
+    if (!lines.length) return null;
+
+    const text = [`Hi ${username},`, '', `Your posts for the week of ${monday}:`, '', ...lines];
+    const link = appLink();
+    if (link) text.push('', link);
+    return text.join('\n');
+}
+
+/**
+ * Queues this week's digests if today is Monday, it is past DIGEST_HOUR and they were
+ * not sent yet. Resolves to the number of digests queued.
+ */
+async function sendWeeklyDigests(now = new Date()) {
+    const monday = todayISO(now);
+    if (!mailEnabled() || now.getDay() !== 1 || now.getHours() < DIGEST_HOUR) return 0;
+
+    // Claim the week first so an overlapping run (or a restart) does not send twice
+    let claimed = false;
+    await updateJSON(DIGEST_STATE_PATH, {}, (state) => {
+        if (state.lastSent === monday) return undefined;
+        claimed = true;
+        return { ...state, lastSent: monday };
+    });
+    if (!claimed) return 0;
+
+    const posts = expandPosts(await readPostsOptimized(), monday, addDaysISO(monday, 6));
+    const users = ((await readJSON(USERS_PATH)) || []).filter((u) => u.email);
+    let sent = 0;
+
+    for (const user of users) {
+        const { preferences } = await getInbox(user.username);
+        if (!preferences.digest) continue;
+        const text = composeDigest(user.username, posts, monday);
+        if (!text) continue;
+        await queueMail({ to: user.email, subject: `Your posts for the week of ${monday}`, text });
+        sent++;
+    }
+    if (sent) console.log(`Queued ${sent} weekly digest(s)`);
+    return sent;
+}
+
+module.exports = {
+    sendWeeklyDigests,
+};
@@ -0,0 +1,123 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const path = require('path');
+const { DB_DIR, readJSON, updateJSON } = require('./db');
+const { isValidDate } = require('./post-schema');
+
+/**
+ * Per-user drafts of the post form: one JSON file per user under db/drafts, mapping a key
+ * to `{ key, postId, occurrence, data, version, updatedAt }`. The key is `new` for the form
+ * of a post not created yet, or the id of the post being edited (`occurrence`: the date of
+ * the occurrence being edited, for recurring posts). `data` holds the form fields as typed,
+ * unvalidated; `version` is the post version the edit started from.
+ */
+const DRAFTS_DIR = path.join(DB_DIR, 'drafts');
+
+const NEW_POST_KEY = 'new';
+
+// Oldest drafts are dropped beyond this
+const MAX_DRAFTS = 50;
+const MAX_DRAFT_BYTES = 100 * 1024;
+
+const USERNAME_RE = /^[a-z0-9_.-]{3,32}$/i;
+const KEY_RE = /^[\w-]{1,64}$/;
+
+function draftsPath(username) {
+    if (!USERNAME_RE.test(String(username))) throw new Error('Invalid username');
+    return path.join(DRAFTS_DIR, `${username}.json`);
+}
+
+function isValidKey(key) {
+    return typeof key === 'string' && KEY_RE.test(key);
+}
+
+/**
+ * Validates a draft payload: `{ data, occurrence?, version? }`.
+ */
+function validateDraft(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: null, errors: { _body: 'Expected a JSON object' } };
+    }
+    const { data, occurrence = null, version = null } = input;
+    const errors = {};
+    if (!data || typeof data !== 'object' || Array.isArray(data)) errors.data = 'Must be an object';
+    else if (JSON.stringify(data).length > MAX_DRAFT_BYTES) errors.data = 'Draft is too large';
+    if (occurrence !== null && !isValidDate(occurrence)) errors.occurrence = 'Must be a date (YYYY-MM-DD) or null';
+    if (version !== null && !(Number.isInteger(version) && version >= 0)) {
+        errors.version = 'Must be a post version or null';
+    }
+    return Object.keys(errors).length
+        ? { value: null, errors }
+        : { value: { data, occurrence, version }, errors: null };
+}
+
+/**
+ * The user's drafts, most recently saved first.
+ */
+async function getDrafts(username) {
+    const drafts = (await readJSON(draftsPath(username))) || {};
+    return Object.values(drafts).sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+async function getDraft(username, key) {
+    const drafts = (await readJSON(draftsPath(username))) || {};
+    return drafts[key] || null;
+}
+
+async function saveDraft(username, key, { data, occurrence, version }) {
+    const draft = {
+        key,
+        postId: key === NEW_POST_KEY ? null : key,
+        occurrence,
+        data,
+        version,
+        updatedAt: Date.now(),
+    };
+    await updateJSON(draftsPath(username), {}, (drafts) => {
+        const kept = Object.values({ ...drafts, [key]: draft })
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .slice(0, MAX_DRAFTS);
+        return Object.fromEntries(kept.map((d) => [d.key, d]));
+    });
+    return draft;
+}
+
+/**
+ * Removes a draft. Resolves to false if there was none.
+ */
+async function removeDraft(username, key) {
+    let removed = false;
+    await updateJSON(draftsPath(username), {}, (drafts) => {
+        if (!drafts[key]) return undefined;
+        removed = true;
+        const rest = { ...drafts };
+        delete rest[key];
+        return rest;
+    });
+    return removed;
+}
+
+module.exports = {
+    NEW_POST_KEY,
+    isValidKey,
+    validateDraft,
+    getDrafts,
+    getDraft,
+    saveDraft,
+    removeDraft,
+};
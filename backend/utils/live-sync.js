@@ -0,0 +1,56 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { genId } = require('./db');
+
+/**
+ * Live sync feed. Every change to shared data is pushed to the signed-in sockets that joined
+ * the feed (see joinFeed) as a `data_updated` event `{ type, action, ..., seq, epoch }`:
+ * `seq` is one more than that of the previous event and `epoch` changes when the server
+ * restarts. Post events carry what is needed to apply them in place: `post` for `create` and
+ * `update`, just the `id` for `delete`, and the changed `posts` plus the `deleted` ids for
+ * `bulk`. Other types only name what changed. A client whose next event does not follow the
+ * last `seq` it saw (or whose `epoch` differs) has missed events and reloads. Sockets get
+ * `live_state` `{ seq, epoch }` on joining.
+ */
+const epoch = genId();
+let seq = 0;
+
+// Events carry whole posts, so they only go to this room and never to every connection
+const FEED_ROOM = 'live-sync';
+
+function broadcastChange(io, change) {
+    seq += 1;
+    io.to(FEED_ROOM).emit('data_updated', { ...change, seq, epoch });
+}
+
+function liveState() {
+    return { seq, epoch };
+}
+
+/**
+ * Adds an authenticated socket to the feed and sends it the current `live_state`.
+ */
+function joinFeed(socket) {
+    socket.join(FEED_ROOM);
+    socket.emit('live_state', liveState());
+}
+
+module.exports = {
+    broadcastChange,
+    joinFeed,
+};
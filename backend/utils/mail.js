@@ -0,0 +1,182 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { DB_DIR, genId, readJSON, updateJSON } = require('./db');
+
+/**
+ * Outgoing e-mail. Messages are queued in db/outbox.json and sent by `flushOutbox`, which
+ * retries failures with a growing delay. The transport is chosen with MAIL_TRANSPORT:
+ * - `smtp`: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * - `file`: writes each message as an .eml file to MAIL_DIR (default db/mail), for testing
+ * Without MAIL_TRANSPORT, e-mail is disabled and nothing is queued.
+ */
+const OUTBOX_PATH = path.join(DB_DIR, 'outbox.json');
+
+// Delay before each retry; a message is given up after the last one
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+function isValidEmail(value) {
+    return typeof value === 'string' && value.length <= MAX_EMAIL_LENGTH && EMAIL_RE.test(value);
+}
+
+function mailConfig() {
+    return {
+        transport: process.env.MAIL_TRANSPORT || '',
+        from: process.env.MAIL_FROM || 'Content Planner <planner@localhost>',
+        appUrl: process.env.APP_URL || '',
+        dir: process.env.MAIL_DIR || path.join(DB_DIR, 'mail'),
+        smtp: {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        },
+    };
+}
+
+/**
+ * Writes messages as .eml files instead of sending them.
+ */
+function fileTransport(dir) {
+    const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return {
+        async sendMail(message) {
+            const info = await builder.sendMail(message);
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, `${Date.now()}-${genId()}.eml`), info.message);
+            return info;
+        },
+    };
+}
+
+// Transport factories by MAIL_TRANSPORT name; each returns an object with `sendMail(message)`
+const TRANSPORTS = {
+    smtp: (config) => nodemailer.createTransport(config.smtp),
+    file: (config) => fileTransport(config.dir),
+};
+
+/**
+ * Adds a transport (e.g. for another mail service) selectable with MAIL_TRANSPORT=<name>.
+ */
+function registerTransport(name, factory) {
+    TRANSPORTS[name] = factory;
+}
+
+let transport = null;
+let transportName = null;
+
+function getTransport() {
+    const config = mailConfig();
+    if (!config.transport) return null;
+    if (!TRANSPORTS[config.transport]) throw new Error(`Unknown MAIL_TRANSPORT: ${config.transport}`);
+    if (transportName !== config.transport) {
+        transport = TRANSPORTS[config.transport](config);
+        transportName = config.transport;
+    }
+    return transport;
+}
+
+function mailEnabled() {
+    return !!mailConfig().transport;
+}
+
+/**
+ * Link to the app included in messages (APP_URL), or an empty string when it is not configured.
+ */
+function appLink() {
+    return mailConfig().appUrl;
+}
+
+/**
+ * Queues a plain-text message and starts sending it. Resolves to the outbox entry,
+ * or null when e-mail is disabled.
+ */
+async function queueMail({ to, subject, text }) {
+    if (!mailEnabled()) return null;
+    const entry = {
+        id: genId(),
+        to,
+        subject,
+        text,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        failed: false,
+        createdAt: Date.now(),
+    };
+    await updateJSON(OUTBOX_PATH, [], (outbox) => [...outbox, entry]);
+    flushOutbox().catch((err) => console.error('Mail delivery failed:', err));
+    return entry;
+}
+
+let flushing = false;
+
+/**
+ * Sends the queued messages that are due. Sent messages leave the outbox; failed ones are
+ * retried later and kept with `failed: true` once the attempts run out.
+ */
+async function flushOutbox() {
+    if (flushing || !mailEnabled()) return;
+    flushing = true;
+    try {
+        const now = Date.now();
+        const due = ((await readJSON(OUTBOX_PATH)) || []).filter((m) => !m.failed && m.nextAttemptAt <= now);
+        const { from } = mailConfig();
+
+        for (const message of due) {
+            let update;
+            try {
+                await getTransport().sendMail({ from, to: message.to, subject: message.subject, text: message.text });
+                update = null;
+            } catch (err) {
+                const attempts = message.attempts + 1;
+                update = {
+                    ...message,
+                    attempts,
+                    lastError: err.message,
+                    failed: attempts >= MAX_ATTEMPTS,
+                    nextAttemptAt: Date.now() + (RETRY_DELAYS_MS[attempts - 1] || 0),
+                };
+                console.error(`Mail to ${message.to} failed (attempt ${attempts}):`, err.message);
+            }
+            await updateJSON(OUTBOX_PATH, [], (outbox) =>
+                update
+                    ? outbox.map((m) => (m.id === message.id ? update : m))
+                    : outbox.filter((m) => m.id !== message.id)
+            );
+        }
+    } finally {
+        flushing = false;
+    }
+}
+
+module.exports = {
+    OUTBOX_PATH,
+    isValidEmail,
+    mailEnabled,
+    appLink,
+    registerTransport,
+    queueMail,
+    flushOutbox,
+};
@@ -0,0 +1,186 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { DB_DIR, TRASH_PATH, readJSON, updateJSON } = require('./db');
+
+/**
+ * Content-addressed media store. Files live in db/media as `<sha256>.<ext>` (identical
+ * uploads are stored once), image thumbnails in db/media/thumbs as `<sha256>.webp`, and
+ * metadata in db/media.json keyed by hash. Posts reference files through `attachments`.
+ */
+const MEDIA_DIR = path.join(DB_DIR, 'media');
+const THUMBS_DIR = path.join(MEDIA_DIR, 'thumbs');
+const MEDIA_INDEX_PATH = path.join(DB_DIR, 'media.json');
+
+const MEDIA_MAX_BYTES = (parseInt(process.env.MEDIA_MAX_MB, 10) || 10) * 1024 * 1024;
+const MAX_ATTACHMENTS = 20;
+const THUMB_SIZE = 320;
+
+// Accepted types, identified from the file content rather than the client-supplied MIME type
+const MEDIA_TYPES = {
+    'image/jpeg': { ext: 'jpg', image: true, magic: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    'image/png': {
+        ext: 'png',
+        image: true,
+        magic: (b) => b.subarray(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex')),
+    },
+    'image/gif': { ext: 'gif', image: true, magic: (b) => /^GIF8[79]a/.test(b.subarray(0, 6).toString('latin1')) },
+    'image/webp': {
+        ext: 'webp',
+        image: true,
+        magic: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP',
+    },
+    'application/pdf': { ext: 'pdf', image: false, magic: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' },
+    'video/mp4': { ext: 'mp4', image: false, magic: (b) => b.subarray(4, 8).toString('latin1') === 'ftyp' },
+};
+
+const HASH_RE = /^[a-f0-9]{64}$/;
+
+function isValidHash(hash) {
+    return HASH_RE.test(String(hash));
+}
+
+function sniffMime(buffer) {
+    return Object.keys(MEDIA_TYPES).find((mime) => buffer.length >= 12 && MEDIA_TYPES[mime].magic(buffer)) || null;
+}
+
+function filePath(entry) {
+    return path.join(MEDIA_DIR, `${entry.hash}.${MEDIA_TYPES[entry.mime].ext}`);
+}
+
+function thumbPath(hash) {
+    return path.join(THUMBS_DIR, `${hash}.webp`);
+}
+
+async function readIndex() {
+    return (await readJSON(MEDIA_INDEX_PATH)) || {};
+}
+
+async function getMedia(hash) {
+    if (!isValidHash(hash)) return null;
+    const entry = (await readIndex())[hash];
+    return entry ? { ...entry, path: filePath(entry), thumbPath: entry.thumb ? thumbPath(hash) : null } : null;
+}
+
+/**
+ * Stores an uploaded file, reusing the existing copy when the same content was uploaded before.
+ * Resolves to `{ entry }`, or `{ error }` when the content is not an accepted type.
+ */
+async function storeMedia(buffer, { originalName, uploadedBy }) {
+    const mime = sniffMime(buffer);
+    if (!mime) return { error: `Unsupported file type. Allowed: ${Object.keys(MEDIA_TYPES).join(', ')}` };
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const existing = (await readIndex())[hash];
+    if (existing) return { entry: existing };
+
+    await fs.mkdir(THUMBS_DIR, { recursive: true });
+    const entry = {
+        hash,
+        mime,
+        size: buffer.length,
+        name: originalName,
+        uploadedBy,
+        uploadedAt: Date.now(),
+        thumb: false,
+    };
+
+    // Write to a temp name first so a half-written file never carries a valid hash name
+    const target = filePath(entry);
+    const tmp = `${target}.tmp.${Date.now()}`;
+    await fs.writeFile(tmp, buffer);
+    await fs.rename(tmp, target);
+
+    if (MEDIA_TYPES[mime].image) {
+        try {
+            const info = await sharp(buffer)
+                .rotate()
+                .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 75 })
+                .toFile(thumbPath(hash));
+            entry.thumb = true;
+            entry.thumbWidth = info.width;
+            entry.thumbHeight = info.height;
+        } catch (err) {
+            // Corrupt or exotic images are still stored, just without a preview
+            console.error(`Thumbnail generation failed for ${hash}:`, err.message);
+        }
+    }
+
+    await updateJSON(MEDIA_INDEX_PATH, {}, (index) => ({ ...index, [hash]: index[hash] || entry }));
+    return { entry };
+}
+
+/**
+ * Attachment record kept on a post.
+ */
+function toAttachment(entry, name) {
+    return { hash: entry.hash, name: name || entry.name, mime: entry.mime, size: entry.size, thumb: entry.thumb };
+}
+
+/**
+ * Deletes the given files (and thumbnails) unless a post, or a post in the trash, still
+ * references them. Resolves to the hashes removed.
+ */
+async function cleanupOrphans(hashes) {
+    const candidates = Array.from(new Set(hashes)).filter(isValidHash);
+    if (!candidates.length) return [];
+
+    // Required lazily: db-cache depends on the trash module, which calls back into this one
+    const { readPostsOptimized } = require('./db-cache');
+    const posts = await readPostsOptimized();
+    const trash = (await readJSON(TRASH_PATH)) || [];
+    const referenced = new Set();
+    for (const p of [...posts, ...trash.map((e) => e.post)]) {
+        for (const a of p.attachments || []) referenced.add(a.hash);
+    }
+
+    const orphans = candidates.filter((h) => !referenced.has(h));
+    if (!orphans.length) return [];
+
+    let removed = [];
+    await updateJSON(MEDIA_INDEX_PATH, {}, async (index) => {
+        removed = orphans.filter((h) => index[h]);
+        if (!removed.length) return undefined;
+        for (const h of removed) {
+            for (const p of [filePath(index[h]), thumbPath(h)]) {
+                await fs.unlink(p).catch((err) => {
+                    if (err.code !== 'ENOENT') throw err;
+                });
+            }
+        }
+        const next = { ...index };
+        removed.forEach((h) => delete next[h]);
+        return next;
+    });
+    return removed;
+}
+
+module.exports = {
+    MEDIA_TYPES,
+    MEDIA_MAX_BYTES,
+    MAX_ATTACHMENTS,
+    isValidHash,
+    getMedia,
+    storeMedia,
+    toAttachment,
+    cleanupOrphans,
+};
@@ -0,0 +1,294 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const path = require('path');
+const { DB_DIR, USERS_PATH, genId, readJSON, updateJSON } = require('./db');
+const { readPostsOptimized } = require('./db-cache');
+const { STAGE_ROLES, OVERDUE_LOOKBACK_DAYS, missedDeadlines, todayISO } = require('./stages');
+const { addDaysISO } = require('./recurrence');
+const { queueMail, appLink } = require('./mail');
+
+/**
+ * Per-user notification store: one JSON file per user under db/notifications, holding
+ * `{ items, preferences, sentKeys }`. Items are `{ id, type, message, postId, date, actor, key, time, read }`,
+ * newest last; `key` de-duplicates notifications that must be sent only once (deadlines).
+ * `sentKeys` maps each such key to the time it was sent, so trimming `items` does not forget it.
+ * New items are pushed to the user's Socket.io room as a `notification` event, and assignment
+ * and status notifications are also e-mailed to users with an address in users.json.
+ */
+const NOTIFICATIONS_DIR = path.join(DB_DIR, 'notifications');
+
+const NOTIFICATION_TYPES = ['assignment', 'status', 'mention', 'deadline'];
+
+// Types also sent by e-mail (when the `email` preference is on)
+const EMAIL_TYPES = ['assignment', 'status'];
+
+// `email`: e-mail copies of EMAIL_TYPES; `digest`: the Monday summary of the week's posts
+const PREFERENCE_KEYS = [...NOTIFICATION_TYPES, 'email', 'digest'];
+
+// Oldest notifications are dropped beyond this
+const MAX_NOTIFICATIONS = 200;
+
+// Sent keys are forgotten after this, once their deadline is past the lookback
+const SENT_KEY_TTL = (OVERDUE_LOOKBACK_DAYS + 1) * 24 * 60 * 60 * 1000;
+
+const USERNAME_RE = /^[a-z0-9_.-]{3,32}$/i;
+
+// Singular role names used in messages
+const ROLE_NAMES = { creators: 'creator', designers: 'designer', editors: 'editor' };
+
+const emptyInbox = () => ({ items: [], preferences: {}, sentKeys: {} });
+
+/**
+ * Socket.io room joined by every signed-in socket of `username`.
+ */
+function userRoom(username) {
+    return `user:${username}`;
+}
+
+/**
+ * Socket.io room joined by every signed-in socket of a user with `role` (`admin` or `user`).
+ */
+function roleRoom(role) {
+    return `role:${role}`;
+}
+
+function inboxPath(username) {
+    if (!USERNAME_RE.test(String(username))) throw new Error('Invalid username');
+    return path.join(NOTIFICATIONS_DIR, `${username}.json`);
+}
+
+/**
+ * Every preference is enabled unless the user turned it off.
+ */
+function effectivePreferences(preferences = {}) {
+    return Object.fromEntries(PREFERENCE_KEYS.map((key) => [key, preferences[key] !== false]));
+}
+
+async function getInbox(username) {
+    const inbox = (await readJSON(inboxPath(username))) || emptyInbox();
+    return { items: inbox.items || [], preferences: effectivePreferences(inbox.preferences) };
+}
+
+/**
+ * Validates a preferences object: `{ [key]: boolean }` for any notification type, `email` or `digest`.
+ */
+function validatePreferences(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: null, errors: { _body: 'Expected a JSON object' } };
+    }
+    const errors = {};
+    const value = {};
+    for (const [type, enabled] of Object.entries(input)) {
+        if (!PREFERENCE_KEYS.includes(type)) errors[type] = 'Unknown preference';
+        else if (typeof enabled !== 'boolean') errors[type] = 'Must be true or false';
+        else value[type] = enabled;
+    }
+    return Object.keys(errors).length ? { value: null, errors } : { value, errors: null };
+}
+
+async function savePreferences(username, preferences) {
+    const saved = await updateJSON(inboxPath(username), emptyInbox(), (inbox) => ({
+        ...inbox,
+        preferences: { ...inbox.preferences, ...preferences },
+    }));
+    return effectivePreferences(saved.preferences);
+}
+
+/**
+ * Marks the given notification ids as read (all of them when `ids` is null).
+ * Resolves to the number of unread notifications left.
+ */
+async function markRead(username, ids) {
+    const wanted = ids ? new Set(ids) : null;
+    let unread = 0;
+    await updateJSON(inboxPath(username), emptyInbox(), (inbox) => {
+        let changed = false;
+        const items = (inbox.items || []).map((n) => {
+            if (n.read || (wanted && !wanted.has(n.id))) return n;
+            changed = true;
+            return { ...n, read: true };
+        });
+        unread = items.filter((n) => !n.read).length;
+        return changed ? { ...inbox, items } : undefined;
+    });
+    return unread;
+}
+
+/**
+ * The e-mail address stored for `username` in users.json, or null.
+ */
+async function userEmail(username) {
+    const user = ((await readJSON(USERS_PATH)) || []).find((u) => u.username === username);
+    return (user && user.email) || null;
+}
+
+async function emailNotification(username, { message, date }) {
+    const to = await userEmail(username);
+    if (!to) return;
+    const lines = [`Hi ${username},`, '', date ? `${message} (scheduled for ${date}).` : `${message}.`];
+    const link = appLink();
+    if (link) lines.push('', link);
+    await queueMail({ to, subject: message, text: lines.join('\n') });
+}
+
+/**
+ * Stores a notification for `username` and emits it to their room, unless they turned the
+ * type off or a notification with the same `key` was already sent. Resolves to the stored item or null.
+ */
+async function deliver(io, username, { type, message, postId = null, date = null, actor = null, key = null }) {
+    let created = null;
+    let email = false;
+    await updateJSON(inboxPath(username), emptyInbox(), (inbox) => {
+        const preferences = effectivePreferences(inbox.preferences);
+        if (!preferences[type]) return undefined;
+        const items = inbox.items || [];
+        const sentKeys = inbox.sentKeys || {};
+        if (key && (sentKeys[key] || items.some((n) => n.key === key))) return undefined;
+        const now = Date.now();
+        created = { id: genId(), type, message, postId, date, actor, key, time: now, read: false };
+        email = preferences.email && EMAIL_TYPES.includes(type);
+        const kept = Object.entries(sentKeys).filter(([, time]) => now - time < SENT_KEY_TTL);
+        return {
+            ...inbox,
+            items: [...items, created].slice(-MAX_NOTIFICATIONS),
+            sentKeys: Object.fromEntries(key ? [...kept, [key, now]] : kept),
+        };
+    });
+    if (created) io.to(userRoom(username)).emit('notification', created);
+    if (email) await emailNotification(username, created);
+    return created;
+}
+
+/**
+ * Maps people named in the assignee lists to registered usernames (matched case-insensitively).
+ */
+async function usersForNames(names) {
+    const wanted = new Set([...names].map((n) => String(n).toLowerCase()));
+    if (!wanted.size) return [];
+    const users = (await readJSON(USERS_PATH)) || [];
+    return users.map((u) => u.username).filter((u) => wanted.has(String(u).toLowerCase()));
+}
+
+const assigneesOf = (post, roles = STAGE_ROLES) => roles.flatMap((role) => (post && post[role]) || []);
+
+/**
+ * The roles (singular names) `username` is assigned to on a post, matched like `usersForNames`.
+ */
+function assignedRoles(post, username) {
+    const wanted = String(username).toLowerCase();
+    return STAGE_ROLES.filter((role) => assigneesOf(post, [role]).some((n) => String(n).toLowerCase() === wanted)).map(
+        (role) => ROLE_NAMES[role]
+    );
+}
+
+/**
+ * Notifies people newly assigned to a post, and the author and assignees of a post whose
+ * status changed. `before` is null for a new post; `actor` is never notified of their own change.
+ */
+async function notifyPostChange(io, before, after, actor) {
+    const base = { postId: after.id, date: after.date, actor };
+    const sends = [];
+
+    for (const role of STAGE_ROLES) {
+        const previous = new Set((before && before[role]) || []);
+        const added = (after[role] || []).filter((name) => !previous.has(name));
+        for (const username of await usersForNames(added)) {
+            if (username === actor) continue;
+            sends.push([
+                username,
+                {
+                    ...base,
+                    type: 'assignment',
+                    message: `You were assigned to “${after.title}” as ${ROLE_NAMES[role]}`,
+                },
+            ]);
+        }
+    }
+
+    if (before && before.status !== after.status) {
+        const people = await usersForNames(assigneesOf(after));
+        const recipients = new Set([after.createdBy, ...people].filter((u) => u && u !== actor));
+        for (const username of recipients) {
+            sends.push([
+                username,
+                { ...base, type: 'status', message: `${actor} moved “${after.title}” to ${after.status}` },
+            ]);
+        }
+    }
+
+    await Promise.all(sends.map(([username, n]) => deliver(io, username, n)));
+}
+
+/**
+ * Notifies the users mentioned in a comment (except its author). `previous` lists the users
+ * already notified when the comment is edited.
+ */
+async function notifyMentions(io, post, comment, previous = []) {
+    const recipients = (comment.mentions || []).filter((u) => u !== comment.author && !previous.includes(u));
+    await Promise.all(
+        recipients.map((username) =>
+            deliver(io, username, {
+                type: 'mention',
+                message: `${comment.author} mentioned you on “${post.title}”`,
+                postId: post.id,
+                date: post.date,
+                actor: comment.author,
+            })
+        )
+    );
+}
+
+/**
+ * Notifies the assignees of every production stage that has passed its deadline within the
+ * last OVERDUE_LOOKBACK_DAYS. Each stage deadline is notified once per user; a relative
+ * deadline of a recurring post once per occurrence.
+ */
+async function notifyOverdueStages(io) {
+    const today = todayISO();
+    const since = addDaysISO(today, -OVERDUE_LOOKBACK_DAYS);
+    for (const post of await readPostsOptimized()) {
+        for (const { role, due, post: occurrence } of missedDeadlines(post, today)) {
+            if (due < since) continue;
+            const id = occurrence.occurrenceDate ? `${post.id}@${occurrence.occurrenceDate}` : post.id;
+            for (const username of await usersForNames(assigneesOf(post, [role]))) {
+                await deliver(io, username, {
+                    type: 'deadline',
+                    message: `The ${ROLE_NAMES[role]} deadline of “${post.title}” passed on ${due}`,
+                    postId: post.id,
+                    date: occurrence.date,
+                    key: `deadline:${id}:${role}:${due}`,
+                });
+            }
+        }
+    }
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    userRoom,
+    roleRoom,
+    userEmail,
+    assignedRoles,
+    getInbox,
+    validatePreferences,
+    savePreferences,
+    markRead,
+    notifyPostChange,
+    notifyMentions,
+    notifyOverdueStages,
+};
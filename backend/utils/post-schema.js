@@ -0,0 +1,223 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { validateRecurrence } = require('./recurrence');
+const { validateVariants } = require('./variants');
+const { validateStages } = require('./stages');
+const { isValidTimezone } = require('./timezones');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 5000;
+
+// Fields managed by the server: silently dropped from client payloads
+// (`occurrenceDate` and `seriesStart` only exist on expanded occurrences; `seriesId` links
+// a detached occurrence back to its series; `attachments` and `checklist` change through their own endpoints)
+const READ_ONLY_FIELDS = [
+    'id',
+    'createdBy',
+    'createdAt',
+    'updatedBy',
+    'updatedAt',
+    'version',
+    'occurrenceDate',
+    'seriesStart',
+    'seriesId',
+    'attachments',
+    'checklist',
+    'publications',
+];
+
+// Multi-select fields whose values must exist in the list of the same name
+const LIST_FIELDS = ['creators', 'designers', 'editors', 'platforms'];
+
+/**
+ * Post field definitions. `required` fields must be present on create;
+ * on update only the submitted fields are checked.
+ */
+const POST_SCHEMA = {
+    title: { type: 'string', required: true },
+    date: { type: 'date', required: true },
+    time: { type: 'time', required: true },
+    isAllDay: { type: 'boolean' },
+    timezone: { type: 'timezone' },
+    creators: { type: 'list' },
+    designers: { type: 'list' },
+    editors: { type: 'list' },
+    platforms: { type: 'list' },
+    status: { type: 'status', required: true },
+    notes: { type: 'string' },
+    recurrence: { type: 'recurrence' },
+    campaignId: { type: 'campaign' },
+    variants: { type: 'variants' },
+    stages: { type: 'stages' },
+};
+
+/**
+ * Returns the names of a list, whether items are plain strings or { name, color } objects.
+ */
+function listNames(items) {
+    return (Array.isArray(items) ? items : [])
+        .map((i) => (i && typeof i === 'object' ? i.name || i.value || '' : String(i)))
+        .filter(Boolean);
+}
+
+/**
+ * Checks that a `YYYY-MM-DD` string is also a real calendar date (e.g. rejects 2026-02-30).
+ */
+function isValidDate(value) {
+    if (typeof value !== 'string' || !DATE_RE.test(value)) return false;
+    const [y, m, d] = value.split('-').map(Number);
+    const dt = new Date(Date.UTC(y, m - 1, d));
+    return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+function isValidTime(value) {
+    return typeof value === 'string' && TIME_RE.test(value);
+}
+
+/**
+ * Validates a post payload against the schema and the current lists.
+ *
+ * @param {Object} input - Raw request body.
+ * @param {Object} lists - Contents of lists.json, plus `campaigns` (existing campaign ids).
+ * @param {Object} [opts]
+ * @param {boolean} [opts.partial] - Only validate the submitted fields (updates).
+ * @param {Object} [opts.existing] - Stored post; values it already holds are accepted
+ *   even if they have since been removed from the lists.
+ * @returns {{ value: Object, errors: Object|null }} Sanitised fields, or per-field error messages.
+ */
+function validatePost(input, lists, { partial = false, existing = null } = {}) {
+    const errors = {};
+    const value = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value, errors: { _body: 'Expected a JSON object' } };
+    }
+
+    for (const key of Object.keys(input)) {
+        if (READ_ONLY_FIELDS.includes(key)) continue;
+        // Legacy keys already stored on the post are ignored rather than rejected
+        if (existing && Object.prototype.hasOwnProperty.call(existing, key)) continue;
+        if (!POST_SCHEMA[key]) errors[key] = 'Unknown field';
+    }
+
+    const allowedFor = (field) => {
+        const names = field === 'status' ? listNames(lists.statuses) : listNames(lists[field]);
+        const kept = existing ? [].concat(existing[field] || []) : [];
+        return new Set([...names, ...kept]);
+    };
+
+    for (const [field, rule] of Object.entries(POST_SCHEMA)) {
+        const raw = input[field];
+
+        if (raw === undefined) {
+            if (rule.required && !partial) errors[field] = 'Required';
+            continue;
+        }
+
+        switch (rule.type) {
+            case 'string': {
+                if (typeof raw !== 'string') {
+                    errors[field] = 'Must be a string';
+                    break;
+                }
+                const trimmed = field === 'title' ? raw.trim() : raw;
+                const max = field === 'title' ? MAX_TITLE_LENGTH : MAX_NOTES_LENGTH;
+                if (rule.required && !trimmed) errors[field] = 'Required';
+                else if (trimmed.length > max) errors[field] = `Must be at most ${max} characters`;
+                else value[field] = trimmed;
+                break;
+            }
+            case 'date':
+                if (!isValidDate(raw)) errors[field] = 'Must be a valid date (YYYY-MM-DD)';
+                else value[field] = raw;
+                break;
+            case 'time':
+                if (!isValidTime(raw)) errors[field] = 'Must be a valid time (HH:MM)';
+                else value[field] = raw;
+                break;
+            case 'timezone':
+                if (!isValidTimezone(raw)) errors[field] = 'Must be a time zone (e.g. Europe/Rome)';
+                else value[field] = raw;
+                break;
+            case 'boolean':
+                if (typeof raw !== 'boolean') errors[field] = 'Must be true or false';
+                else value[field] = raw;
+                break;
+            case 'list': {
+                if (!Array.isArray(raw) || raw.some((x) => typeof x !== 'string')) {
+                    errors[field] = 'Must be a list of names';
+                    break;
+                }
+                const allowed = allowedFor(field);
+                const unknown = raw.filter((x) => !allowed.has(x));
+                if (unknown.length) errors[field] = `Unknown ${field}: ${unknown.join(', ')}`;
+                else value[field] = Array.from(new Set(raw));
+                break;
+            }
+            case 'status':
+                if (typeof raw !== 'string' || !raw) errors[field] = 'Required';
+                else if (!allowedFor('status').has(raw)) errors[field] = `Unknown status: ${raw}`;
+                else value[field] = raw;
+                break;
+            case 'campaign':
+                // `lists.campaigns` holds the ids of existing campaigns; null detaches the post
+                if (raw === null) value[field] = null;
+                else if (typeof raw !== 'string') errors[field] = 'Must be a campaign id or null';
+                else if (!(lists.campaigns || []).includes(raw) && !(existing && existing[field] === raw)) {
+                    errors[field] = 'Unknown campaign';
+                } else value[field] = raw;
+                break;
+            case 'variants': {
+                const { value: variants, errors: variantErrors } = validateVariants(raw, lists);
+                if (variantErrors) Object.assign(errors, variantErrors);
+                else value[field] = variants;
+                break;
+            }
+            case 'stages': {
+                const previous = existing && existing[field];
+                const { value: stages, errors: stageErrors } = validateStages(raw, isValidDate, previous);
+                if (stageErrors) Object.assign(errors, stageErrors);
+                else value[field] = stages;
+                break;
+            }
+            case 'recurrence': {
+                const { value: rule, error } = validateRecurrence(raw, isValidDate);
+                if (error) errors[field] = error;
+                else value[field] = rule;
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+module.exports = {
+    POST_SCHEMA,
+    LIST_FIELDS,
+    READ_ONLY_FIELDS,
+    listNames,
+    isValidDate,
+    isValidTime,
+    validatePost,
+};
@@ -0,0 +1,121 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Live editing presence. Signed-in sockets announce the posts they open in the post form;
+ * the editors of a post are kept in the order they arrived, and the first one holds its soft
+ * lock. The others are warned and may take the lock over. Nothing is enforced on save (the
+ * post version still catches conflicting writes), and presence lives in memory only: a
+ * socket's entries go away when it disconnects, so the lock passes to the next editor.
+ *
+ * Client events, each with `{ postId }`: `editing_start`, `editing_stop`, `editing_takeover`.
+ * Server events: `presence` `{ postId, editors }` to everyone after a change, and
+ * `presence_state` `{ [postId]: editors }` to a socket when it connects. `editors` is
+ * `[{ id, username, since }]` (`id`: the socket), lock holder first.
+ */
+
+const POST_ID_RE = /^[\w-]{1,64}$/;
+
+// Posts a single socket may hold open at once
+const MAX_POSTS_PER_SOCKET = 20;
+
+// postId -> [{ id, username, since }]
+const editing = new Map();
+
+function editorsOf(postId) {
+    return editing.get(postId) || [];
+}
+
+function snapshot() {
+    return Object.fromEntries(editing);
+}
+
+function broadcast(io, postId) {
+    io.emit('presence', { postId, editors: editorsOf(postId) });
+}
+
+function setEditors(postId, editors) {
+    if (editors.length) editing.set(postId, editors);
+    else editing.delete(postId);
+}
+
+function postsOf(socketId) {
+    return [...editing.keys()].filter((postId) => editorsOf(postId).some((e) => e.id === socketId));
+}
+
+// The edit functions below return whether anything changed
+
+function startEditing(socket, postId, username) {
+    const editors = editorsOf(postId);
+    if (editors.some((e) => e.id === socket.id)) return false;
+    setEditors(postId, [...editors, { id: socket.id, username, since: Date.now() }]);
+    return true;
+}
+
+function stopEditing(socket, postId) {
+    const editors = editorsOf(postId);
+    if (!editors.some((e) => e.id === socket.id)) return false;
+    const rest = editors.filter((e) => e.id !== socket.id);
+    setEditors(postId, rest);
+    return true;
+}
+
+/**
+ * Moves the socket to the front of the editors of a post, giving it the lock.
+ */
+function takeOver(socket, postId) {
+    const editors = editorsOf(postId);
+    const mine = editors.find((e) => e.id === socket.id);
+    if (!mine || editors[0] === mine) return false;
+    setEditors(postId, [mine, ...editors.filter((e) => e !== mine)]);
+    return true;
+}
+
+/**
+ * Wires the presence events of a signed-in socket. `ack`, when the client passes one,
+ * receives `{ editors }` or `{ error }`.
+ */
+function trackPresence(io, socket, user) {
+    const handle = (action) => (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        const postId = payload && payload.postId;
+        if (typeof postId !== 'string' || !POST_ID_RE.test(postId)) return reply({ error: 'Invalid post id' });
+        if (action === startEditing && postsOf(socket.id).length >= MAX_POSTS_PER_SOCKET) {
+            return reply({ error: 'Too many posts open' });
+        }
+        if (action(socket, postId, user.username)) broadcast(io, postId);
+        reply({ editors: editorsOf(postId) });
+    };
+
+    socket.on('editing_start', handle(startEditing));
+    socket.on('editing_stop', handle(stopEditing));
+    socket.on('editing_takeover', handle(takeOver));
+
+    // Soft locks expire with the connection
+    socket.on('disconnect', () => {
+        for (const postId of postsOf(socket.id)) {
+            stopEditing(socket, postId);
+            broadcast(io, postId);
+        }
+    });
+
+    socket.emit('presence_state', snapshot());
+}
+
+module.exports = {
+    trackPresence,
+};
@@ -0,0 +1,256 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { LISTS_PATH, readJSON, appendLog } = require('./db');
+const { readPostsOptimized, atomicUpdatePost } = require('./db-cache');
+const { expandPosts, addDaysISO } = require('./recurrence');
+const { listNames } = require('./post-schema');
+const { platformMeta } = require('./variants');
+const { todayISO } = require('./stages');
+const { postInstant } = require('./timezones');
+const { notifyPostChange } = require('./notifications');
+const { dispatchPostChange } = require('./webhooks');
+const { broadcastChange } = require('./live-sync');
+const { getConnector } = require('../connectors');
+
+/**
+ * Publishing scheduler. Once a post in one of PUBLISH_STATUSES (default "Approved,Scheduled") reaches
+ * its date and time in its time zone (all-day posts: the start of the day), each of its platforms that has a connector
+ * publishes it. Results are recorded on the post in `publications`:
+ * `[{ platform, date, connector, state, externalId, url, error, attempts, updatedAt }]`, one per
+ * platform and date (occurrence date for recurring posts), where `state` is `published`, `pending`
+ * (the platform finishes later; polled with `getStatus`), `retrying` or `failed`.
+ * A single post whose platforms all published moves to PUBLISHED_STATUS (default "Published")
+ * when that status exists.
+ */
+const PUBLISH_STATUSES = (process.env.PUBLISH_STATUSES || 'Approved,Scheduled')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+const PUBLISHED_STATUS = process.env.PUBLISHED_STATUS || 'Published';
+
+// The scheduler's name in logs, notifications and webhook events
+const PUBLISHER = 'publisher';
+
+// Posts due longer ago than this are left alone, so that enabling a connector does not publish old posts
+const LOOKBACK_DAYS = 7;
+
+// Attempts of a failing publish call before it is marked `failed`
+const MAX_ATTEMPTS = 3;
+
+const findRecord = (post, platform, date) =>
+    (post.publications || []).find((r) => r.platform === platform && r.date === date) || null;
+
+/**
+ * The copy published on a platform: the post's variant, or its title when there is none.
+ */
+function variantFor(post, platform) {
+    return (post.variants || {})[platform] || { caption: post.title, hashtags: [], link: '', firstComment: '' };
+}
+
+/**
+ * Publishes one post occurrence on one platform (or retries it) and returns the new record.
+ */
+async function publishOne(post, platform, connectorName, previous) {
+    const connector = getConnector(connectorName);
+    const context = { platform };
+    const variant = variantFor(post, platform);
+    const record = {
+        platform,
+        date: post.date,
+        connector: connectorName,
+        externalId: null,
+        url: null,
+        error: null,
+        attempts: (previous ? previous.attempts : 0) + 1,
+        updatedAt: Date.now(),
+    };
+
+    if (!connector) return { ...record, state: 'failed', error: `Unknown connector: ${connectorName}` };
+
+    try {
+        const problems = await connector.validate(post, variant, context);
+        if (problems.length) return { ...record, state: 'failed', error: problems.join('; ') };
+    } catch (err) {
+        // A validator that throws would otherwise abort the whole run
+        return { ...record, state: 'failed', error: err.message };
+    }
+
+    try {
+        const result = await connector.publish(post, variant, context);
+        return {
+            ...record,
+            state: result.state === 'pending' ? 'pending' : 'published',
+            externalId: result.externalId || null,
+            url: result.url || null,
+        };
+    } catch (err) {
+        return { ...record, state: record.attempts >= MAX_ATTEMPTS ? 'failed' : 'retrying', error: err.message };
+    }
+}
+
+/**
+ * Asks the connector how a `pending` publication ended; returns the updated record.
+ */
+async function checkPending(record) {
+    const connector = getConnector(record.connector);
+    if (!connector) return { ...record, state: 'failed', error: `Unknown connector: ${record.connector}` };
+    try {
+        const status = await connector.getStatus(record.externalId, { platform: record.platform });
+        if (status.state === 'pending') return null;
+        return {
+            ...record,
+            state: status.state === 'published' ? 'published' : 'failed',
+            url: status.url || record.url,
+            error: status.error || null,
+            updatedAt: Date.now(),
+        };
+    } catch (err) {
+        console.error(`Publication status check failed for ${record.externalId}:`, err.message);
+        return null;
+    }
+}
+
+function mergeRecords(existing, changed) {
+    const key = (r) => `${r.platform}|${r.date}`;
+    const replaced = new Set(changed.map(key));
+    return [...(existing || []).filter((r) => !replaced.has(key(r))), ...changed];
+}
+
+/**
+ * True when a single (non-recurring) post is published on every one of its platforms.
+ */
+function fullyPublished(post) {
+    if (post.recurrence || !(post.platforms || []).length) return false;
+    return post.platforms.every((platform) => {
+        const record = findRecord(post, platform, post.date);
+        return record && record.state === 'published';
+    });
+}
+
+/**
+ * Stores the changed publication records of a post, moves it to PUBLISHED_STATUS when it is
+ * done, then logs and broadcasts the change.
+ */
+async function saveRecords(io, postId, records, statuses) {
+    const result = await atomicUpdatePost(
+        postId,
+        (post) => {
+            const next = { ...post, publications: mergeRecords(post.publications, records) };
+            if (PUBLISH_STATUSES.includes(post.status) && statuses.includes(PUBLISHED_STATUS) && fullyPublished(next)) {
+                next.status = PUBLISHED_STATUS;
+                next.updatedBy = PUBLISHER;
+                next.updatedAt = Date.now();
+            }
+            return next;
+        },
+        { user: PUBLISHER, action: 'publish' }
+    );
+    if (!result.success) return;
+
+    appendLog({
+        type: 'post',
+        action: 'publish',
+        user: PUBLISHER,
+        time: Date.now(),
+        item: postId,
+        details: {
+            title: result.updatedPost.title,
+            publications: records.map((r) => `${r.platform} ${r.date}: ${r.state}${r.error ? ` (${r.error})` : ''}`),
+        },
+    }).catch((err) => console.error('Log failed', err));
+
+    broadcastChange(io, { type: 'posts', action: 'update', id: postId, post: result.updatedPost });
+    notifyPostChange(io, result.oldPost, result.updatedPost, PUBLISHER).catch((err) =>
+        console.error('Notifications failed', err)
+    );
+    dispatchPostChange(result.oldPost, result.updatedPost, PUBLISHER);
+}
+
+let running = false;
+
+/**
+ * Publishes the posts that are due and follows up on pending publications.
+ * Resolves to the number of publication records written.
+ */
+async function runPublisher(io, now = new Date()) {
+    if (running) return 0;
+    running = true;
+    try {
+        const lists = (await readJSON(LISTS_PATH)) || {};
+        const meta = platformMeta(lists);
+        const statuses = listNames(lists.statuses);
+        const today = todayISO(now);
+        const posts = await readPostsOptimized();
+        const changes = new Map();
+        const add = (id, record) => changes.set(id, [...(changes.get(id) || []), record]);
+
+        for (const post of posts) {
+            for (const record of (post.publications || []).filter((r) => r.state === 'pending')) {
+                const updated = await checkPending(record);
+                if (updated) add(post.id, updated);
+            }
+        }
+
+        // Posts dated up to two days ahead here can already be due in a zone ahead of the server's
+        const due = expandPosts(
+            posts.filter((p) => PUBLISH_STATUSES.includes(p.status)),
+            addDaysISO(today, -LOOKBACK_DAYS),
+            addDaysISO(today, 2)
+        ).filter((p) => postInstant(p) <= now.getTime());
+
+        for (const post of due) {
+            for (const platform of post.platforms || []) {
+                const connector = meta[platform] && meta[platform].connector;
+                if (!connector) continue;
+                const previous = findRecord(post, platform, post.date);
+                if (previous && previous.state !== 'retrying') continue;
+                add(post.id, await publishOne(post, platform, connector, previous));
+            }
+        }
+
+        for (const [id, records] of changes) await saveRecords(io, id, records, statuses);
+        return [...changes.values()].reduce((n, records) => n + records.length, 0);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Drops the failed publication records of a post so the next run tries them again.
+ * Resolves to the updated post, or null if it is missing.
+ */
+async function retryFailed(postId, user) {
+    const result = await atomicUpdatePost(
+        postId,
+        (post) => ({
+            ...post,
+            publications: (post.publications || []).filter((r) => r.state !== 'failed'),
+            updatedBy: user,
+            updatedAt: Date.now(),
+        }),
+        { user, action: 'publish' }
+    );
+    return result.success ? result.updatedPost : null;
+}
+
+module.exports = {
+    PUBLISH_STATUSES,
+    PUBLISHED_STATUS,
+    runPublisher,
+    retryFailed,
+};
@@ -0,0 +1,261 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * RRULE-style repetition for posts. A recurring post stores
+ * `recurrence: { freq, interval, byWeekday, until, count, exceptions }` and its own
+ * `date` is the first occurrence. All dates are `YYYY-MM-DD` strings handled in UTC
+ * so that expansion never shifts by a day.
+ */
+
+const FREQS = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Hard stop for rules without an end, so expansion is always bounded
+const MAX_ITERATIONS = 5000;
+const MAX_COUNT = 1000;
+const MAX_EXCEPTIONS = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseISO(date) {
+    const [y, m, d] = date.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+}
+
+function formatISO(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+function addDaysISO(date, n) {
+    return formatISO(parseISO(date) + n * DAY_MS);
+}
+
+function daysBetweenISO(from, to) {
+    return Math.round((parseISO(to) - parseISO(from)) / DAY_MS);
+}
+
+// 0 = Monday ... 6 = Sunday
+function weekdayIndex(date) {
+    return (new Date(parseISO(date)).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Validates and normalises a recurrence rule. `null` clears the rule.
+ * @param {*} raw - Rule as submitted.
+ * @param {Function} isValidDate - Date validator shared with the post schema.
+ * @returns {{ value: Object|null, error: string|null }}
+ */
+function validateRecurrence(raw, isValidDate) {
+    if (raw === null) return { value: null, error: null };
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { value: null, error: 'Must be an object or null' };
+
+    const freq = raw.freq;
+    if (!FREQS.includes(freq)) return { value: null, error: `Frequency must be one of: ${FREQS.join(', ')}` };
+
+    const interval = raw.interval === undefined ? 1 : raw.interval;
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        return { value: null, error: 'Interval must be a whole number between 1 and 365' };
+    }
+
+    let byWeekday = [];
+    if (raw.byWeekday !== undefined && raw.byWeekday !== null) {
+        if (!Array.isArray(raw.byWeekday) || raw.byWeekday.some((d) => !WEEKDAYS.includes(d))) {
+            return { value: null, error: `Weekdays must be among: ${WEEKDAYS.join(', ')}` };
+        }
+        if (freq !== 'weekly' && raw.byWeekday.length) {
+            return { value: null, error: 'Weekdays only apply to weekly repetition' };
+        }
+        byWeekday = WEEKDAYS.filter((d) => raw.byWeekday.includes(d));
+    }
+
+    const until = raw.until || null;
+    if (until !== null && !isValidDate(until)) return { value: null, error: 'End date must be YYYY-MM-DD' };
+
+    const count = raw.count === undefined || raw.count === null ? null : raw.count;
+    if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)) {
+        return { value: null, error: `Occurrence count must be between 1 and ${MAX_COUNT}` };
+    }
+    if (until && count) return { value: null, error: 'Use either an end date or an occurrence count, not both' };
+
+    const exceptions = raw.exceptions === undefined || raw.exceptions === null ? [] : raw.exceptions;
+    if (!Array.isArray(exceptions) || exceptions.length > MAX_EXCEPTIONS || exceptions.some((d) => !isValidDate(d))) {
+        return { value: null, error: 'Exceptions must be a list of YYYY-MM-DD dates' };
+    }
+
+    return {
+        value: { freq, interval, byWeekday, until, count, exceptions: Array.from(new Set(exceptions)).sort() },
+        error: null,
+    };
+}
+
+/**
+ * Walks the occurrence dates of a recurring post in chronological order, calling
+ * `visit(date)` for each one (exceptions included, as in RFC 5545 where EXDATE does
+ * not change COUNT). Stops when `visit` returns false or the rule ends.
+ */
+function walkOccurrences(post, visit) {
+    const rule = post.recurrence;
+    const start = post.date;
+    const interval = rule.interval || 1;
+    let emitted = 0;
+
+    const emit = (date) => {
+        if (rule.until && date > rule.until) return false;
+        if (rule.count && emitted >= rule.count) return false;
+        emitted++;
+        return visit(date) !== false;
+    };
+
+    if (rule.freq === 'daily') {
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            if (!emit(addDaysISO(start, i * interval))) return;
+        }
+    } else if (rule.freq === 'weekly') {
+        const days =
+            rule.byWeekday && rule.byWeekday.length
+                ? rule.byWeekday.map((d) => WEEKDAYS.indexOf(d))
+                : [weekdayIndex(start)];
+        const monday = addDaysISO(start, -weekdayIndex(start));
+        for (let w = 0; w < MAX_ITERATIONS; w++) {
+            for (const d of days) {
+                const date = addDaysISO(monday, w * 7 * interval + d);
+                if (date < start) continue;
+                if (!emit(date)) return;
+            }
+        }
+    } else if (rule.freq === 'monthly') {
+        const [y, m, d] = start.split('-').map(Number);
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            const dt = new Date(Date.UTC(y, m - 1 + i * interval, d));
+            // Skip months that do not have this day (e.g. the 31st)
+            if (dt.getUTCDate() !== d) continue;
+            if (!emit(formatISO(dt.getTime()))) return;
+        }
+    }
+}
+
+/**
+ * Returns the occurrence dates of a recurring post within [start, end] (inclusive),
+ * excluding exceptions.
+ */
+function expandOccurrences(post, start, end) {
+    const out = [];
+    const exceptions = new Set(post.recurrence.exceptions || []);
+    walkOccurrences(post, (date) => {
+        if (date > end) return false;
+        if (date >= start && !exceptions.has(date)) out.push(date);
+        return true;
+    });
+    return out;
+}
+
+function isOccurrence(post, date) {
+    return expandOccurrences(post, date, date).length === 1;
+}
+
+/**
+ * Number of generated occurrences strictly before `date` (exceptions included).
+ */
+function countOccurrencesBefore(post, date) {
+    let n = 0;
+    walkOccurrences(post, (d) => {
+        if (d >= date) return false;
+        n++;
+        return true;
+    });
+    return n;
+}
+
+/**
+ * Rule with a single occurrence removed ("this occurrence" edits and deletes).
+ */
+function withException(rule, date) {
+    return { ...rule, exceptions: Array.from(new Set([...(rule.exceptions || []), date])).sort() };
+}
+
+/**
+ * Rule of `post` cut so that the series ends just before `date` ("this and following").
+ */
+function endingBefore(post, date) {
+    const rule = post.recurrence;
+    const exceptions = (rule.exceptions || []).filter((d) => d < date);
+    if (rule.count) return { ...rule, count: countOccurrencesBefore(post, date), exceptions };
+    return { ...rule, until: addDaysISO(date, -1), exceptions };
+}
+
+/**
+ * Rule for a new series that picks up `post` from `date`, keeping the remaining count.
+ */
+function continuingFrom(post, date) {
+    const rule = post.recurrence;
+    const exceptions = (rule.exceptions || []).filter((d) => d >= date);
+    if (rule.count) return { ...rule, count: rule.count - countOccurrencesBefore(post, date), exceptions };
+    return { ...rule, exceptions };
+}
+
+/**
+ * Rule moved by `days` along with its series start: weekdays, exceptions and end date
+ * follow, so every occurrence shifts by the same amount.
+ */
+function shiftRule(rule, days) {
+    const offset = ((days % 7) + 7) % 7;
+    return {
+        ...rule,
+        byWeekday: (rule.byWeekday || [])
+            .map((d) => WEEKDAYS[(WEEKDAYS.indexOf(d) + offset) % 7])
+            .sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b)),
+        until: rule.until ? addDaysISO(rule.until, days) : null,
+        exceptions: (rule.exceptions || []).map((d) => addDaysISO(d, days)),
+    };
+}
+
+/**
+ * Returns the posts falling within [start, end]: single posts by date, and one entry per
+ * occurrence for recurring posts. Occurrences carry `occurrenceDate` (their own `date`)
+ * and `seriesStart` (the stored first date), and share the id of their series.
+ */
+function expandPosts(posts, start, end) {
+    const out = [];
+    for (const p of posts) {
+        if (!p.recurrence) {
+            if (p.date >= start && p.date <= end) out.push(p);
+            continue;
+        }
+        for (const date of expandOccurrences(p, start, end)) {
+            out.push({ ...p, date, occurrenceDate: date, seriesStart: p.date });
+        }
+    }
+    return out.sort((a, b) =>
+        a.date === b.date ? (a.time || '').localeCompare(b.time || '') : a.date < b.date ? -1 : 1
+    );
+}
+
+module.exports = {
+    FREQS,
+    WEEKDAYS,
+    addDaysISO,
+    daysBetweenISO,
+    shiftRule,
+    validateRecurrence,
+    expandOccurrences,
+    expandPosts,
+    isOccurrence,
+    withException,
+    endingBefore,
+    continuingFrom,
+};
@@ -0,0 +1,103 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DB_DIR, readJSON, updateJSON } = require('./db');
+
+/**
+ * Per-post revision store: one JSON file per post under db/revisions, holding
+ * an ordered array of full snapshots `{ rev, version, time, user, action, post }`.
+ */
+const REVISIONS_DIR = path.join(DB_DIR, 'revisions');
+
+// Oldest snapshots are dropped beyond this many per post
+const MAX_REVISIONS = 100;
+
+// Post ids come from genId(); refuse anything that could escape the directory
+const POST_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+function revisionsPath(postId) {
+    if (!POST_ID_RE.test(String(postId))) throw new Error('Invalid post id');
+    return path.join(REVISIONS_DIR, `${postId}.json`);
+}
+
+async function getRevisions(postId) {
+    if (!POST_ID_RE.test(String(postId))) return [];
+    return (await readJSON(revisionsPath(postId))) || [];
+}
+
+async function getRevision(postId, rev) {
+    const revisions = await getRevisions(postId);
+    return revisions.find((r) => r.rev === rev) || null;
+}
+
+/**
+ * Appends a snapshot of `post` to its history.
+ * When `previous` is given and the post has no history yet (posts created before
+ * revisions existed), the previous state is stored first as a baseline.
+ */
+async function recordRevision(post, { user, action, previous } = {}) {
+    return updateJSON(revisionsPath(post.id), [], (revisions) => {
+        const nextRev = () => (revisions.length ? revisions[revisions.length - 1].rev + 1 : 1);
+
+        if (previous && revisions.length === 0) {
+            revisions.push({
+                rev: nextRev(),
+                version: previous.version || 0,
+                time: previous.updatedAt || previous.createdAt || Date.now(),
+                user: previous.updatedBy || previous.createdBy || null,
+                action: 'baseline',
+                post: previous,
+            });
+        }
+
+        revisions.push({
+            rev: nextRev(),
+            version: post.version || 0,
+            time: Date.now(),
+            user: user || null,
+            action: action || 'update',
+            post,
+        });
+
+        return revisions.slice(-MAX_REVISIONS);
+    });
+}
+
+/**
+ * Removes the whole history of a post (used when a post is permanently purged).
+ */
+async function deleteRevisions(postId) {
+    if (!POST_ID_RE.test(String(postId))) return;
+    const file = revisionsPath(postId);
+    for (const p of [file, `${file}.sha256`, `${file}.backup`]) {
+        try {
+            await fs.unlink(p);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+}
+
+module.exports = {
+    POST_ID_RE,
+    getRevisions,
+    getRevision,
+    recordRevision,
+    deleteRevisions,
+};
@@ -0,0 +1,216 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { readPostsOptimized, getCacheVersion } = require('./db-cache');
+const { addDaysISO } = require('./recurrence');
+const { overdueStages, missedDeadlines, todayISO } = require('./stages');
+const { expandPostsInZone } = require('./timezones');
+
+/**
+ * In-memory search index over posts.json. It is rebuilt lazily whenever the posts cache
+ * version changes, so every write through db-cache is picked up on the next search.
+ */
+
+const SORTS = {
+    date: (p) => `${p.date} ${p.time || ''}`,
+    title: (p) => (p.title || '').toLowerCase(),
+    updated: (p) => String(p.updatedAt || p.createdAt || 0).padStart(15, '0'),
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// End of a range without `to`, still a YYYY-MM-DD date once expandPostsInZone adds two days
+const OPEN_END = '9999-12-01';
+
+// Filter name in the query string -> post field holding names
+const NAME_FILTERS = {
+    status: 'status',
+    platform: 'platforms',
+    creator: 'creators',
+    designer: 'designers',
+    editor: 'editors',
+    campaign: 'campaignId',
+};
+
+let index = null;
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+function buildIndex(posts, version) {
+    const docs = new Map();
+    const tokens = new Map();
+
+    for (const post of posts) {
+        const words = new Set(
+            tokenize(
+                [
+                    post.title,
+                    post.notes,
+                    post.status,
+                    ...(post.creators || []),
+                    ...(post.designers || []),
+                    ...(post.editors || []),
+                    ...(post.platforms || []),
+                ].join(' ')
+            )
+        );
+        docs.set(post.id, post);
+        for (const w of words) {
+            if (!tokens.has(w)) tokens.set(w, new Set());
+            tokens.get(w).add(post.id);
+        }
+    }
+
+    return { version, docs, tokens };
+}
+
+async function getIndex() {
+    const posts = await readPostsOptimized();
+    const version = getCacheVersion();
+    if (!index || index.version !== version) index = buildIndex(posts, version);
+    return index;
+}
+
+/**
+ * Ids of posts containing every query term (terms match word prefixes).
+ */
+function matchTerms(idx, terms) {
+    let result = null;
+    for (const term of terms) {
+        const ids = new Set();
+        for (const [word, postIds] of idx.tokens) {
+            if (word.startsWith(term)) postIds.forEach((id) => ids.add(id));
+        }
+        result = result ? new Set([...result].filter((id) => ids.has(id))) : ids;
+        if (!result.size) break;
+    }
+    return result;
+}
+
+function encodeCursor(key, id) {
+    return Buffer.from(JSON.stringify([key, id])).toString('base64url');
+}
+
+/**
+ * Decodes a `nextCursor` value into `[sortValue, id]`, or returns null when malformed.
+ */
+function decodeCursor(cursor) {
+    try {
+        const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (Array.isArray(value) && value.length === 2 && typeof value[0] === 'string') return value;
+    } catch {
+        // Malformed base64 or JSON
+    }
+    return null;
+}
+
+const asList = (v) => (Array.isArray(v) ? v : String(v).split(',')).map((x) => String(x).trim()).filter(Boolean);
+
+/**
+ * Searches posts.
+ *
+ * @param {Object} params - Query parameters: `q`, `status`, `platform`, `creator`, `designer`,
+ *   `editor`, `campaign` (each a comma-separated list, any value matches), `from`/`to`
+ *   (YYYY-MM-DD, dates in the time zone `tz`), `overdue` (`true`: only posts with a production
+ *   stage past its deadline, dated at the earliest missed one), `sort` (`date`, `title` or
+ *   `updated`, prefix `-` for descending) and `limit`. The caller validates these and passes a
+ *   decoded cursor as `after`.
+ * @returns {Promise<{ items: Array, total: number, nextCursor: string|null }>} Recurring posts are
+ *   returned once, dated at their first occurrence in the range.
+ */
+async function searchPosts(params = {}) {
+    const idx = await getIndex();
+
+    const sortParam = String(params.sort || 'date');
+    const desc = sortParam.startsWith('-');
+    const sortKey = SORTS[desc ? sortParam.slice(1) : sortParam];
+
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const terms = tokenize(params.q);
+    const candidates = terms.length ? matchTerms(idx, terms) : null;
+
+    const filters = Object.entries(NAME_FILTERS)
+        .filter(([param]) => params[param])
+        .map(([param, field]) => [field, asList(params[param])]);
+
+    const from = params.from || null;
+    const to = params.to || null;
+    const tz = params.tz || undefined;
+    const today = params.overdue === 'true' ? todayISO() : null;
+
+    let hits = [];
+    for (const post of idx.docs.values()) {
+        if (candidates && !candidates.has(post.id)) continue;
+        if (
+            filters.some(([field, wanted]) => {
+                const have = [].concat(post[field] || []);
+                return !wanted.some((w) => have.includes(w));
+            })
+        ) {
+            continue;
+        }
+
+        let hit = post;
+        if (from || to) {
+            // A post can fall up to two days before its own date in the viewer's zone
+            const occurrences = expandPostsInZone([post], from || addDaysISO(post.date, -2), to || OPEN_END, tz);
+            [hit] = today ? occurrences.filter((o) => overdueStages(o, today).length) : occurrences;
+        } else if (today) {
+            // Dated at the earliest missed deadline's post or occurrence
+            const missed = missedDeadlines(post, today).map((m) => m.post);
+            hit = missed.reduce((first, p) => (p.date < first.date ? p : first), missed[0]);
+        }
+        if (hit) hits.push(hit);
+    }
+
+    const compare = (a, b) => {
+        const ka = sortKey(a);
+        const kb = sortKey(b);
+        const c = ka < kb ? -1 : ka > kb ? 1 : a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+        return desc ? -c : c;
+    };
+    hits.sort(compare);
+    const total = hits.length;
+
+    if (params.after) {
+        const [key, id] = params.after;
+        const after = (h) => {
+            const k = sortKey(h);
+            const c = k < key ? -1 : k > key ? 1 : h.id < id ? -1 : h.id > id ? 1 : 0;
+            return desc ? c < 0 : c > 0;
+        };
+        hits = hits.filter(after);
+    }
+
+    const items = hits.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor = hits.length > limit ? encodeCursor(sortKey(last), last.id) : null;
+
+    return { items, total, nextCursor };
+}
+
+module.exports = {
+    SEARCH_SORTS: Object.keys(SORTS),
+    searchPosts,
+    decodeCursor,
+};
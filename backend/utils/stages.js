@@ -0,0 +1,154 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { addDaysISO, expandPosts } = require('./recurrence');
+
+/**
+ * Production stages of a post, one per assignee role. Each stage has a due date given either
+ * as an absolute `due` date or as `daysBefore` the publish date, and its own `done` flag,
+ * tracked separately from the post status.
+ */
+
+const STAGE_ROLES = ['creators', 'designers', 'editors'];
+
+const MAX_DAYS_BEFORE = 365;
+
+// Relative deadlines of the occurrences of a recurring post are checked this far back
+const OVERDUE_LOOKBACK_DAYS = 30;
+
+/**
+ * Validates and normalises the `stages` field of a post. `null` clears every deadline.
+ * @param {*} raw - Stages as submitted, keyed by role.
+ * @param {Function} isValidDate - Date validator shared with the post schema.
+ * @param {Object} [existing] - Stored stages, used to keep the time a stage was completed.
+ * @returns {{ value: Object|null, errors: Object|null }} Errors are keyed `stages.<role>`.
+ */
+function validateStages(raw, isValidDate, existing = null) {
+    if (raw === null) return { value: {}, errors: null };
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { value: null, errors: { stages: 'Must be an object keyed by role' } };
+    }
+
+    const errors = {};
+    const value = {};
+
+    for (const [role, stage] of Object.entries(raw)) {
+        const key = `stages.${role}`;
+        if (!STAGE_ROLES.includes(role)) {
+            errors[key] = `Unknown stage (expected ${STAGE_ROLES.join(', ')})`;
+            continue;
+        }
+        if (stage === null) continue;
+        if (typeof stage !== 'object' || Array.isArray(stage)) {
+            errors[key] = 'Must be an object';
+            continue;
+        }
+
+        const due = stage.due ?? null;
+        const daysBefore = stage.daysBefore ?? null;
+        if (due !== null && daysBefore !== null) {
+            errors[key] = 'Give either a due date or days before publishing, not both';
+        } else if (due !== null && !isValidDate(due)) {
+            errors[key] = 'Due date must be a valid date (YYYY-MM-DD)';
+        } else if (
+            daysBefore !== null &&
+            (!Number.isInteger(daysBefore) || daysBefore < 0 || daysBefore > MAX_DAYS_BEFORE)
+        ) {
+            errors[key] = `Days before publishing must be a whole number from 0 to ${MAX_DAYS_BEFORE}`;
+        } else if (stage.done !== undefined && typeof stage.done !== 'boolean') {
+            errors[key] = 'Done must be true or false';
+        } else {
+            const done = !!stage.done;
+            const previous = existing && existing[role];
+            const doneAt = done ? (previous && previous.done && previous.doneAt) || Date.now() : null;
+            value[role] = { due, daysBefore, done, doneAt };
+        }
+    }
+
+    return Object.keys(errors).length ? { value: null, errors } : { value, errors: null };
+}
+
+/**
+ * Due date of a stage for a post published on `date`, or null when the stage has no deadline.
+ */
+function stageDueDate(stage, date) {
+    if (!stage) return null;
+    if (stage.due) return stage.due;
+    if (stage.daysBefore !== null && stage.daysBefore !== undefined && date) {
+        return addDaysISO(date, -stage.daysBefore);
+    }
+    return null;
+}
+
+/**
+ * Roles whose stage is not done and was due before `today` (YYYY-MM-DD).
+ * Relative deadlines of a recurring occurrence follow the occurrence's own date.
+ */
+function overdueStages(post, today) {
+    const stages = post.stages || {};
+    return STAGE_ROLES.filter((role) => {
+        const stage = stages[role];
+        if (!stage || stage.done) return false;
+        const due = stageDueDate(stage, post.date);
+        return !!due && due < today;
+    });
+}
+
+/**
+ * Deadlines missed by `today` (YYYY-MM-DD), as `{ role, due, post }`, where `post` is the post or
+ * occurrence the deadline belongs to. An absolute `due` is a single deadline for a whole recurring
+ * series, dated at the series itself. A relative one is missed by each occurrence whose deadline
+ * fell within the last OVERDUE_LOOKBACK_DAYS; `done` covers the whole series either way.
+ */
+function missedDeadlines(post, today) {
+    const missed = [];
+    for (const role of STAGE_ROLES) {
+        const stage = (post.stages || {})[role];
+        if (!stage || stage.done) continue;
+        if (!post.recurrence || stage.due) {
+            const due = stageDueDate(stage, post.date);
+            if (due && due < today) missed.push({ role, due, post });
+            continue;
+        }
+        if (stage.daysBefore === null || stage.daysBefore === undefined) continue;
+        // Occurrences whose deadline (daysBefore earlier) is in the lookback, up to yesterday
+        const start = addDaysISO(today, stage.daysBefore - OVERDUE_LOOKBACK_DAYS);
+        for (const occurrence of expandPosts([post], start, addDaysISO(today, stage.daysBefore - 1))) {
+            missed.push({ role, due: stageDueDate(stage, occurrence.date), post: occurrence });
+        }
+    }
+    return missed;
+}
+
+/**
+ * Today's date (or the date of `d`) as YYYY-MM-DD in the server's local time zone.
+ */
+function todayISO(d = new Date()) {
+    const m = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${m}-${day}`;
+}
+
+module.exports = {
+    STAGE_ROLES,
+    validateStages,
+    stageDueDate,
+    OVERDUE_LOOKBACK_DAYS,
+    overdueStages,
+    missedDeadlines,
+    todayISO,
+};
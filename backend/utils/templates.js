@@ -0,0 +1,182 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const path = require('path');
+const { DB_DIR, genId, readJSON, updateJSON } = require('./db');
+const { validatePost, isValidDate } = require('./post-schema');
+const { validateSkeleton } = require('./checklist');
+
+/**
+ * Post templates, stored in db/templates.json as a list of
+ * `{ id, name, description, post, createdBy, createdAt, updatedBy, updatedAt }`.
+ * `post` holds any post fields except `date`; `title` and `notes` may contain
+ * `{{variable}}` placeholders that are filled in when the template is used.
+ * Its `checklist` is a skeleton of `{ text, assignee }` items, created afresh with each post.
+ */
+const TEMPLATES_PATH = path.join(DB_DIR, 'templates.json');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_VARIABLES = 20;
+
+// Post fields in which placeholders are substituted
+const TEXT_FIELDS = ['title', 'notes'];
+
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z][\w-]*)\s*\}\}/g;
+
+async function getTemplates() {
+    return (await readJSON(TEMPLATES_PATH)) || [];
+}
+
+async function getTemplate(id) {
+    return (await getTemplates()).find((t) => t.id === id) || null;
+}
+
+/**
+ * Placeholder names used by a template's post, in order of first appearance.
+ */
+function templateVariables(post) {
+    const names = new Set();
+    for (const field of TEXT_FIELDS) {
+        if (typeof post[field] !== 'string') continue;
+        for (const m of post[field].matchAll(PLACEHOLDER_RE)) names.add(m[1]);
+    }
+    return Array.from(names);
+}
+
+/**
+ * Validates a submitted template. With `existing`, only the submitted keys are checked.
+ * @returns {{ value: Object, errors: Object|null }}
+ */
+function validateTemplate(input, lists, templates, existing = null) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: {}, errors: { _body: 'Expected a JSON object' } };
+    }
+
+    const errors = {};
+    const value = {};
+
+    if (input.name !== undefined || !existing) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name) errors.name = 'Required';
+        else if (name.length > MAX_NAME_LENGTH) errors.name = `Must be at most ${MAX_NAME_LENGTH} characters`;
+        else if (
+            templates.some((t) => t.name.toLowerCase() === name.toLowerCase() && (!existing || t.id !== existing.id))
+        ) {
+            errors.name = 'A template with this name already exists';
+        } else value.name = name;
+    }
+
+    if (input.description !== undefined) {
+        if (typeof input.description !== 'string') errors.description = 'Must be a string';
+        else if (input.description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.description = `Must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+        } else value.description = input.description.trim();
+    }
+
+    if (input.post !== undefined || !existing) {
+        const raw = input.post === undefined ? {} : input.post;
+        if (raw && typeof raw === 'object' && !Array.isArray(raw) && raw.date !== undefined) {
+            errors['post.date'] = 'Templates are not dated; use a {{date}} placeholder instead';
+        } else {
+            const { value: post, errors: postErrors } = validatePost(raw, lists, { partial: true });
+            // The checklist is read-only on posts, so validatePost leaves it out
+            const skeleton = raw && raw.checklist !== undefined ? validateSkeleton(raw.checklist, lists) : null;
+            if (skeleton && skeleton.error) errors['post.checklist'] = skeleton.error;
+            else if (skeleton && skeleton.value.length) post.checklist = skeleton.value;
+            if (postErrors) {
+                for (const [field, message] of Object.entries(postErrors)) errors[`post.${field}`] = message;
+            } else if (templateVariables(post).length > MAX_VARIABLES) {
+                errors.post = `At most ${MAX_VARIABLES} different placeholders`;
+            } else value.post = post;
+        }
+    }
+
+    return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+async function addTemplate(fields, user) {
+    const created = {
+        description: '',
+        ...fields,
+        id: genId(),
+        createdBy: user,
+        createdAt: Date.now(),
+        updatedBy: null,
+        updatedAt: null,
+    };
+    await updateJSON(TEMPLATES_PATH, [], (templates) => [...templates, created]);
+    return created;
+}
+
+/**
+ * Applies `changes` to a template. Resolves to the updated template, or null if it is missing.
+ */
+async function updateTemplate(id, changes, user) {
+    let updated = null;
+    await updateJSON(TEMPLATES_PATH, [], (templates) => {
+        const idx = templates.findIndex((t) => t.id === id);
+        if (idx === -1) return undefined;
+        updated = { ...templates[idx], ...changes, id, updatedBy: user, updatedAt: Date.now() };
+        return templates.map((t, i) => (i === idx ? updated : t));
+    });
+    return updated;
+}
+
+async function removeTemplate(id) {
+    let removed = null;
+    await updateJSON(TEMPLATES_PATH, [], (templates) => {
+        removed = templates.find((t) => t.id === id) || null;
+        return removed ? templates.filter((t) => t.id !== id) : undefined;
+    });
+    return removed;
+}
+
+/**
+ * Fills a template's placeholders with `variables` and returns the post fields, ready to be
+ * submitted as a new post. A `date` variable holding a valid date also becomes the post date.
+ * @returns {{ post: Object|null, errors: Object|null }} `errors` names the missing variables.
+ */
+function instantiateTemplate(template, variables = {}) {
+    const errors = {};
+    for (const name of templateVariables(template.post)) {
+        const v = variables[name];
+        if (typeof v !== 'string' || !v.trim()) errors[`variables.${name}`] = 'Required';
+    }
+    if (Object.keys(errors).length) return { post: null, errors };
+
+    const post = { ...template.post };
+    for (const field of TEXT_FIELDS) {
+        if (typeof post[field] === 'string') {
+            post[field] = post[field].replace(PLACEHOLDER_RE, (_, name) => variables[name].trim());
+        }
+    }
+    if (isValidDate(variables.date)) post.date = variables.date;
+    return { post, errors: null };
+}
+
+module.exports = {
+    TEMPLATES_PATH,
+    getTemplates,
+    getTemplate,
+    templateVariables,
+    validateTemplate,
+    addTemplate,
+    updateTemplate,
+    removeTemplate,
+    instantiateTemplate,
+};
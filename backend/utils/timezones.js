@@ -0,0 +1,136 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Time zones of posts. A post's `date` and `time` are wall-clock values in its `timezone`
+ * (an IANA name such as `Europe/Rome`); posts saved before zones existed use the instance
+ * default. All-day posts are not tied to a zone and fall on the same date for everyone.
+ */
+
+const { addDaysISO, expandPosts } = require('./recurrence');
+
+function isValidTimezone(value) {
+    if (typeof value !== 'string' || !value) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function resolveDefault() {
+    const configured = process.env.DEFAULT_TIMEZONE;
+    if (configured && isValidTimezone(configured)) return configured;
+    if (configured) console.warn(`Unknown DEFAULT_TIMEZONE "${configured}", using the server's time zone`);
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+const DEFAULT_TIMEZONE = resolveDefault();
+
+const formatters = new Map();
+
+function formatterFor(tz) {
+    if (!formatters.has(tz)) {
+        formatters.set(
+            tz,
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: tz,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+            })
+        );
+    }
+    return formatters.get(tz);
+}
+
+/**
+ * Wall-clock date (YYYY-MM-DD) and time (HH:MM) of an instant in a zone.
+ */
+function zonedParts(ms, tz) {
+    const parts = {};
+    for (const { type, value } of formatterFor(tz).formatToParts(new Date(ms))) parts[type] = value;
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+function wallClockMs(date, time) {
+    const [y, m, d] = date.split('-').map(Number);
+    const [h, min] = time.split(':').map(Number);
+    return Date.UTC(y, m - 1, d, h, min);
+}
+
+/**
+ * The instant (ms) at which a wall-clock date and time occur in a zone. Times skipped by a
+ * daylight saving change resolve to the hour after.
+ */
+function zonedToUtc(date, time, tz) {
+    const wall = wallClockMs(date, time || '00:00');
+    const offsetAt = (ms) => {
+        const p = zonedParts(ms, tz);
+        return wallClockMs(p.date, p.time) - ms;
+    };
+    // Near a daylight saving change the offset at a first guess can differ from the one at the answer
+    const guess = wall - offsetAt(wall);
+    return wall - offsetAt(guess);
+}
+
+function postTimezone(post) {
+    return (post && post.timezone) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * The instant a post (or occurrence) is due: its time in its zone, or the start of its day for all-day posts.
+ */
+function postInstant(post) {
+    return zonedToUtc(post.date, post.isAllDay ? '00:00' : post.time, postTimezone(post));
+}
+
+/**
+ * Date and time of a post as seen from `tz`. All-day posts keep their date.
+ */
+function localizePost(post, tz) {
+    if (post.isAllDay || postTimezone(post) === tz) return { date: post.date, time: post.time };
+    return zonedParts(postInstant(post), tz);
+}
+
+/**
+ * `expandPosts` for a range of dates in the zone `tz`: a post belongs to the range if it
+ * falls on one of those dates there, whatever its own zone. The entries keep their own
+ * `date` and `time`.
+ */
+function expandPostsInZone(posts, start, end, tz = DEFAULT_TIMEZONE) {
+    // Zones are up to 26 hours apart (UTC-12 to UTC+14), so a local date can be two days off
+    return expandPosts(posts, addDaysISO(start, -2), addDaysISO(end, 2)).filter((p) => {
+        const { date } = localizePost(p, tz);
+        return date >= start && date <= end;
+    });
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    zonedParts,
+    zonedToUtc,
+    postTimezone,
+    postInstant,
+    localizePost,
+    expandPostsInZone,
+};
@@ -0,0 +1,103 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const { TRASH_PATH, readJSON, updateJSON, appendLog } = require('./db');
+const { deleteRevisions } = require('./revisions');
+const { deleteComments } = require('./comments');
+const { cleanupOrphans } = require('./media');
+
+/**
+ * Trash store for soft-deleted posts: an array of `{ post, deletedBy, deletedAt }`.
+ * Entries are purged automatically once older than the retention period.
+ */
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+async function readTrash() {
+    return (await readJSON(TRASH_PATH)) || [];
+}
+
+/**
+ * Moves a post into the trash, replacing any older entry with the same id.
+ */
+async function addToTrash(post, deletedBy) {
+    const entry = { post, deletedBy: deletedBy || null, deletedAt: Date.now() };
+    await updateJSON(TRASH_PATH, [], (items) => [...items.filter((e) => e.post.id !== post.id), entry]);
+    return entry;
+}
+
+/**
+ * Removes the entries matching `predicate` and returns them.
+ */
+async function removeFromTrash(predicate) {
+    let removed = [];
+    await updateJSON(TRASH_PATH, [], (items) => {
+        removed = items.filter(predicate);
+        if (!removed.length) return undefined;
+        return items.filter((e) => !predicate(e));
+    });
+    return removed;
+}
+
+/**
+ * Removes a single post from the trash; resolves to its entry or null.
+ */
+async function takeFromTrash(postId) {
+    const [entry] = await removeFromTrash((e) => e.post.id === postId);
+    return entry || null;
+}
+
+/**
+ * Permanently deletes the posts matching `predicate` together with their revision history,
+ * comments and any media no other post uses.
+ * Resolves to the purged entries.
+ */
+async function purgeFromTrash(predicate, username) {
+    const removed = await removeFromTrash(predicate);
+    for (const e of removed) {
+        await deleteRevisions(e.post.id).catch((err) => console.error('Failed to delete revisions', err));
+        await deleteComments(e.post.id).catch((err) => console.error('Failed to delete comments', err));
+        appendLog({
+            type: 'post',
+            action: 'purge',
+            user: username,
+            time: Date.now(),
+            item: e.post.id,
+            details: { title: e.post.title },
+        }).catch((err) => console.error('Log failed', err));
+    }
+    const hashes = removed.flatMap((e) => (e.post.attachments || []).map((a) => a.hash));
+    await cleanupOrphans(hashes).catch((err) => console.error('Failed to clean up media', err));
+    return removed;
+}
+
+/**
+ * Purges the entries deleted longer ago than the retention period.
+ */
+async function purgeExpired(now = Date.now()) {
+    return purgeFromTrash((e) => now - e.deletedAt > TRASH_RETENTION_MS, 'system');
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    TRASH_RETENTION_MS,
+    readTrash,
+    addToTrash,
+    takeFromTrash,
+    purgeFromTrash,
+    purgeExpired,
+};
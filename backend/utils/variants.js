@@ -0,0 +1,175 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Per-platform copy of a post. `post.variants` maps a platform name to
+ * `{ caption, hashtags, link, firstComment }`, checked against the platform's limits:
+ * `{ maxChars, maxHashtags, allowLinks }` from `lists.platformMeta`, falling back to the
+ * built-in defaults below. A null limit means "no limit". The metadata also names the
+ * publishing `connector` of the platform (null when posts are published by hand).
+ */
+
+const DEFAULT_PLATFORM_META = {
+    facebook: { maxChars: 63206, maxHashtags: null, allowLinks: true },
+    instagram: { maxChars: 2200, maxHashtags: 30, allowLinks: false },
+    x: { maxChars: 280, maxHashtags: null, allowLinks: true },
+    twitter: { maxChars: 280, maxHashtags: null, allowLinks: true },
+    linkedin: { maxChars: 3000, maxHashtags: null, allowLinks: true },
+    tiktok: { maxChars: 2200, maxHashtags: null, allowLinks: false },
+    threads: { maxChars: 500, maxHashtags: null, allowLinks: true },
+    bluesky: { maxChars: 300, maxHashtags: null, allowLinks: true },
+};
+
+const NO_LIMITS = { maxChars: null, maxHashtags: null, allowLinks: true, connector: null };
+
+const VARIANT_FIELDS = ['caption', 'hashtags', 'link', 'firstComment'];
+const MAX_TEXT_LENGTH = 100000;
+const HASHTAG_RE = /^[\p{L}\p{N}_]+$/u;
+
+/**
+ * Limits of every configured platform (explicit metadata first, then the defaults).
+ */
+function platformMeta(lists) {
+    const meta = lists.platformMeta || {};
+    const names = (lists.platforms || []).map((p) => (p && typeof p === 'object' ? p.name : p)).filter(Boolean);
+    return Object.fromEntries(
+        names.map((name) => [name, { ...NO_LIMITS, ...DEFAULT_PLATFORM_META[name.toLowerCase()], ...meta[name] }])
+    );
+}
+
+/**
+ * Validates platform limits submitted by an administrator. `connectors` are the names
+ * of the registered publishing connectors.
+ * @returns {{ value: Object|null, errors: Object|null }}
+ */
+function validatePlatformMeta(input, connectors = []) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: null, errors: { _body: 'Expected a JSON object' } };
+    }
+    const errors = {};
+    const limit = (field, max) => {
+        const v = input[field];
+        if (v === undefined || v === null) return null;
+        if (!Number.isInteger(v) || v < 0 || v > max) errors[field] = `Must be a whole number up to ${max}, or null`;
+        return v;
+    };
+    const value = {
+        maxChars: limit('maxChars', MAX_TEXT_LENGTH),
+        maxHashtags: limit('maxHashtags', 1000),
+        allowLinks: input.allowLinks === undefined ? true : input.allowLinks,
+        connector: input.connector === undefined ? null : input.connector,
+    };
+    if (typeof value.allowLinks !== 'boolean') errors.allowLinks = 'Must be true or false';
+    if (value.connector !== null && !connectors.includes(value.connector)) errors.connector = 'Unknown connector';
+    return Object.keys(errors).length ? { value: null, errors } : { value, errors: null };
+}
+
+function countChars(text) {
+    return Array.from(text || '').length;
+}
+
+/**
+ * The text published on the platform: caption, then hashtags, then the link.
+ */
+function composeVariant(variant) {
+    const tags = (variant.hashtags || []).map((h) => `#${h}`).join(' ');
+    return [variant.caption, tags, variant.link].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Checks one variant against its platform limits; returns `{ [field]: message }` (empty when valid).
+ */
+function checkVariantLimits(variant, meta) {
+    const errors = {};
+    const chars = countChars(composeVariant(variant));
+    if (meta.maxChars !== null && chars > meta.maxChars) {
+        errors.caption = `${chars} characters, over the limit of ${meta.maxChars}`;
+    }
+    if (meta.maxChars !== null && countChars(variant.firstComment) > meta.maxChars) {
+        errors.firstComment = `Over the limit of ${meta.maxChars} characters`;
+    }
+    const tags = (variant.hashtags || []).length;
+    if (meta.maxHashtags !== null && tags > meta.maxHashtags) {
+        errors.hashtags = `${tags} hashtags, over the limit of ${meta.maxHashtags}`;
+    }
+    if (variant.link && !meta.allowLinks) errors.link = 'Links are not allowed on this platform';
+    return errors;
+}
+
+/**
+ * Validates and normalises `post.variants`. Hashtags are stored without `#`.
+ * @returns {{ value: Object|null, errors: Object|null }} `errors` keys look like `variants.X.caption`.
+ */
+function validateVariants(raw, lists) {
+    if (raw === null) return { value: {}, errors: null };
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { value: null, errors: { variants: 'Must be an object of platform to variant' } };
+    }
+
+    const meta = platformMeta(lists);
+    const errors = {};
+    const value = {};
+
+    for (const [platform, input] of Object.entries(raw)) {
+        const key = `variants.${platform}`;
+        if (!meta[platform]) {
+            errors[key] = `Unknown platform: ${platform}`;
+            continue;
+        }
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            errors[key] = 'Must be an object';
+            continue;
+        }
+        const unknown = Object.keys(input).filter((f) => !VARIANT_FIELDS.includes(f));
+        if (unknown.length) {
+            errors[key] = `Unknown field: ${unknown.join(', ')}`;
+            continue;
+        }
+
+        const variant = { caption: '', hashtags: [], link: '', firstComment: '' };
+        for (const field of ['caption', 'link', 'firstComment']) {
+            const v = input[field];
+            if (v === undefined || v === null) continue;
+            if (typeof v !== 'string' || v.length > MAX_TEXT_LENGTH) errors[`${key}.${field}`] = 'Must be a string';
+            else variant[field] = field === 'link' ? v.trim() : v;
+        }
+        if (variant.link && !/^https?:\/\/\S+$/i.test(variant.link)) {
+            errors[`${key}.link`] = 'Must be an http(s) URL';
+        }
+        if (input.hashtags !== undefined && input.hashtags !== null) {
+            const tags = Array.isArray(input.hashtags) ? input.hashtags.map((h) => String(h).replace(/^#/, '')) : null;
+            if (!tags || tags.some((t) => !HASHTAG_RE.test(t))) {
+                errors[`${key}.hashtags`] = 'Must be a list of hashtags (letters, digits and _)';
+            } else variant.hashtags = Array.from(new Set(tags));
+        }
+
+        for (const [field, message] of Object.entries(checkVariantLimits(variant, meta[platform]))) {
+            if (!errors[`${key}.${field}`]) errors[`${key}.${field}`] = message;
+        }
+        value[platform] = variant;
+    }
+
+    return Object.keys(errors).length ? { value: null, errors } : { value, errors: null };
+}
+
+module.exports = {
+    DEFAULT_PLATFORM_META,
+    platformMeta,
+    validatePlatformMeta,
+    composeVariant,
+    validateVariants,
+};
@@ -0,0 +1,335 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { DB_DIR, genId, readJSON, updateJSON } = require('./db');
+
+/**
+ * Outbound webhooks. db/webhooks.json holds the admin-managed subscriptions
+ * `{ id, url, events, description, active, secret, createdBy, createdAt, updatedBy, updatedAt }`.
+ * Events are queued in db/webhook-queue.json and POSTed as JSON `{ id, event, time, actor, data }`,
+ * signed with the subscription's secret; failed deliveries are retried with exponential backoff.
+ * Every attempt is recorded in db/webhook-deliveries.json.
+ */
+const WEBHOOKS_PATH = path.join(DB_DIR, 'webhooks.json');
+const WEBHOOK_QUEUE_PATH = path.join(DB_DIR, 'webhook-queue.json');
+const WEBHOOK_DELIVERIES_PATH = path.join(DB_DIR, 'webhook-deliveries.json');
+
+const WEBHOOK_EVENTS = ['post.created', 'post.updated', 'post.deleted', 'post.status_changed', 'list.updated'];
+
+// Sent by "send test event" only; no subscription is needed
+const TEST_EVENT = 'webhook.test';
+
+// Retries wait 30 s, 1, 2, 4 and 8 minutes; the delivery is dropped after the last attempt
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 30 * 1000;
+
+const TIMEOUT_MS = 10 * 1000;
+const MAX_DELIVERIES = 500;
+const MAX_RESPONSE_LENGTH = 500;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+function newSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * `X-Webhook-Signature` value: HMAC-SHA256 of `<timestamp>.<body>` with the subscription's secret.
+ */
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function isValidUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+async function getWebhooks() {
+    return (await readJSON(WEBHOOKS_PATH)) || [];
+}
+
+async function getWebhook(id) {
+    return (await getWebhooks()).find((h) => h.id === id) || null;
+}
+
+/**
+ * Validates a submitted subscription. With `existing`, only the submitted keys are checked.
+ * @returns {{ value: Object, errors: Object|null }}
+ */
+function validateWebhook(input, existing = null) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: {}, errors: { _body: 'Expected a JSON object' } };
+    }
+
+    const errors = {};
+    const value = {};
+    const check = (field) => input[field] !== undefined || !existing;
+
+    if (check('url')) {
+        if (typeof input.url !== 'string' || !isValidUrl(input.url.trim())) errors.url = 'Must be an http(s) URL';
+        else value.url = input.url.trim();
+    }
+
+    if (check('events')) {
+        const { events } = input;
+        if (!Array.isArray(events) || !events.length) errors.events = 'Select at least one event';
+        else if (events.some((e) => !WEBHOOK_EVENTS.includes(e))) {
+            errors.events = `Must be among: ${WEBHOOK_EVENTS.join(', ')}`;
+        } else value.events = Array.from(new Set(events));
+    }
+
+    if (input.description !== undefined) {
+        if (typeof input.description !== 'string') errors.description = 'Must be a string';
+        else if (input.description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.description = `Must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+        } else value.description = input.description.trim();
+    }
+
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') errors.active = 'Must be true or false';
+        else value.active = input.active;
+    }
+
+    return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+async function addWebhook(fields, user) {
+    const created = {
+        description: '',
+        active: true,
+        ...fields,
+        id: genId(),
+        secret: newSecret(),
+        createdBy: user,
+        createdAt: Date.now(),
+        updatedBy: null,
+        updatedAt: null,
+    };
+    await updateJSON(WEBHOOKS_PATH, [], (hooks) => [...hooks, created]);
+    return created;
+}
+
+/**
+ * Applies `changes` to a subscription (`rotateSecret` issues a new secret).
+ * Resolves to the updated subscription, or null if it is missing.
+ */
+async function updateWebhook(id, changes, user, { rotateSecret = false } = {}) {
+    let updated = null;
+    await updateJSON(WEBHOOKS_PATH, [], (hooks) => {
+        const idx = hooks.findIndex((h) => h.id === id);
+        if (idx === -1) return undefined;
+        updated = { ...hooks[idx], ...changes, id, updatedBy: user, updatedAt: Date.now() };
+        if (rotateSecret) updated.secret = newSecret();
+        return hooks.map((h, i) => (i === idx ? updated : h));
+    });
+    return updated;
+}
+
+/**
+ * Deletes a subscription along with its pending deliveries. Its delivery log is kept.
+ */
+async function removeWebhook(id) {
+    let removed = null;
+    await updateJSON(WEBHOOKS_PATH, [], (hooks) => {
+        removed = hooks.find((h) => h.id === id) || null;
+        return removed ? hooks.filter((h) => h.id !== id) : undefined;
+    });
+    if (removed) {
+        await updateJSON(WEBHOOK_QUEUE_PATH, [], (queue) =>
+            queue.some((j) => j.webhookId === id) ? queue.filter((j) => j.webhookId !== id) : undefined
+        );
+    }
+    return removed;
+}
+
+/**
+ * The delivery attempts of a subscription, newest first.
+ */
+async function getDeliveries(webhookId, limit = 50) {
+    const deliveries = (await readJSON(WEBHOOK_DELIVERIES_PATH)) || [];
+    return deliveries
+        .filter((d) => d.webhookId === webhookId)
+        .slice(-limit)
+        .reverse();
+}
+
+function newJob(hook, event, data, actor) {
+    const id = genId();
+    return {
+        id,
+        webhookId: hook.id,
+        event,
+        payload: { id, event, time: Date.now(), actor, data },
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+    };
+}
+
+// The job to queue again after a `retrying` attempt
+function rescheduled(job, delivery) {
+    const delay = BASE_DELAY_MS * 2 ** (delivery.attempt - 1);
+    return { ...job, attempts: delivery.attempt, nextAttemptAt: Date.now() + delay };
+}
+
+/**
+ * POSTs a queued event once and records the attempt. Resolves to the delivery record,
+ * whose `status` is `delivered`, `retrying` or `failed` (out of attempts).
+ */
+async function attempt(job, hook) {
+    const body = JSON.stringify(job.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let statusCode = null;
+    let response = '';
+    let error = null;
+
+    try {
+        const res = await fetch(hook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ContentPlanner-Webhooks/1.0',
+                'X-Webhook-Event': job.event,
+                'X-Webhook-Delivery': job.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': sign(hook.secret, timestamp, body),
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS),
+        });
+        statusCode = res.status;
+        response = (await res.text()).slice(0, MAX_RESPONSE_LENGTH);
+        if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (err) {
+        error = err.message;
+    }
+
+    const attempts = job.attempts + 1;
+    const delivery = {
+        id: genId(),
+        deliveryId: job.id,
+        webhookId: hook.id,
+        event: job.event,
+        url: hook.url,
+        attempt: attempts,
+        status: !error ? 'delivered' : attempts >= MAX_ATTEMPTS ? 'failed' : 'retrying',
+        statusCode,
+        error,
+        response,
+        durationMs: Date.now() - started,
+        time: Date.now(),
+    };
+    await updateJSON(WEBHOOK_DELIVERIES_PATH, [], (log) => [...log, delivery].slice(-MAX_DELIVERIES));
+    return delivery;
+}
+
+let processing = false;
+
+/**
+ * Attempts every queued delivery that is due. Deliveries to deleted or disabled
+ * subscriptions are dropped.
+ */
+async function processWebhookQueue() {
+    if (processing) return;
+    processing = true;
+    try {
+        const now = Date.now();
+        const due = ((await readJSON(WEBHOOK_QUEUE_PATH)) || []).filter((j) => j.nextAttemptAt <= now);
+        if (!due.length) return;
+        const hooks = await getWebhooks();
+
+        for (const job of due) {
+            const hook = hooks.find((h) => h.id === job.webhookId && h.active);
+            const delivery = hook ? await attempt(job, hook) : null;
+            await updateJSON(WEBHOOK_QUEUE_PATH, [], (queue) => {
+                const rest = queue.filter((j) => j.id !== job.id);
+                return delivery && delivery.status === 'retrying' ? [...rest, rescheduled(job, delivery)] : rest;
+            });
+        }
+    } finally {
+        processing = false;
+    }
+}
+
+/**
+ * Queues `event` for every active subscription to it and starts delivering.
+ * Resolves to the number of deliveries queued.
+ */
+async function queueWebhookEvent(event, data, actor) {
+    const jobs = (await getWebhooks())
+        .filter((h) => h.active && h.events.includes(event))
+        .map((h) => newJob(h, event, data, actor));
+    if (!jobs.length) return 0;
+    await updateJSON(WEBHOOK_QUEUE_PATH, [], (queue) => [...queue, ...jobs]);
+    processWebhookQueue().catch((err) => console.error('Webhook delivery failed:', err));
+    return jobs.length;
+}
+
+/**
+ * Fire-and-forget `queueWebhookEvent` for route handlers; failures are only logged.
+ */
+function dispatchWebhookEvent(event, data, actor) {
+    queueWebhookEvent(event, data, actor).catch((err) => console.error('Webhook queueing failed:', err));
+}
+
+/**
+ * Dispatches the events for a saved post: `post.created` when `before` is null, otherwise
+ * `post.updated`, plus `post.status_changed` when the status differs.
+ */
+function dispatchPostChange(before, after, actor) {
+    if (!before) return dispatchWebhookEvent('post.created', { post: after }, actor);
+    dispatchWebhookEvent('post.updated', { post: after }, actor);
+    if (before.status !== after.status) {
+        dispatchWebhookEvent('post.status_changed', { post: after, from: before.status, to: after.status }, actor);
+    }
+}
+
+/**
+ * Sends a `webhook.test` event to a subscription right away, whatever its events and state.
+ * Resolves to the delivery record; a failed test is retried like any other delivery.
+ */
+async function sendTestEvent(hook, actor) {
+    const job = newJob(hook, TEST_EVENT, { message: 'Test event from Content Planner' }, actor);
+    const delivery = await attempt(job, hook);
+    if (delivery.status === 'retrying') {
+        await updateJSON(WEBHOOK_QUEUE_PATH, [], (queue) => [...queue, rescheduled(job, delivery)]);
+    }
+    return delivery;
+}
+
+module.exports = {
+    WEBHOOKS_PATH,
+    WEBHOOK_EVENTS,
+    getWebhooks,
+    getWebhook,
+    validateWebhook,
+    addWebhook,
+    updateWebhook,
+    removeWebhook,
+    getDeliveries,
+    processWebhookQueue,
+    dispatchWebhookEvent,
+    dispatchPostChange,
+    sendTestEvent,
+};
@@ -0,0 +1,204 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const path = require('path');
+const { DB_DIR, readJSON, writeJSON } = require('./db');
+const { listNames } = require('./post-schema');
+
+/**
+ * Admin-defined approval workflow, stored in db/workflow.json:
+ * `{ enabled, statuses, transitions: [{ from, to, roles, users }], requiredFields: { [status]: [field] } }`.
+ * `statuses` is ordered and its first entry is where new posts start. A transition with
+ * empty `roles` and `users` may be performed by anyone; `from: '*'` matches any status.
+ * While `enabled` is false every status change is allowed, as before workflows existed.
+ */
+const WORKFLOW_PATH = path.join(DB_DIR, 'workflow.json');
+
+const ANY_STATUS = '*';
+const ROLES = ['admin', 'user'];
+
+// Post fields that a status can require to be filled in
+const REQUIRABLE_FIELDS = ['time', 'creators', 'designers', 'editors', 'platforms', 'notes'];
+
+const MAX_TRANSITIONS = 200;
+
+const DEFAULT_WORKFLOW = { enabled: false, statuses: [], transitions: [], requiredFields: {} };
+
+async function getWorkflow() {
+    return (await readJSON(WORKFLOW_PATH)) || DEFAULT_WORKFLOW;
+}
+
+async function saveWorkflow(workflow) {
+    await writeJSON(WORKFLOW_PATH, workflow);
+    return workflow;
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every((v) => typeof v === 'string' && v.trim());
+}
+
+/**
+ * Validates a submitted workflow against the configured statuses.
+ * @returns {{ value: Object|null, errors: Object|null }} `errors` maps field paths to messages.
+ */
+function validateWorkflow(raw, lists) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { value: null, errors: { workflow: 'Must be an object' } };
+    }
+
+    const errors = {};
+    const known = listNames(lists.statuses);
+    const enabled = raw.enabled === undefined ? true : raw.enabled;
+    if (typeof enabled !== 'boolean') errors.enabled = 'Must be true or false';
+
+    const statuses = raw.statuses === undefined ? [] : raw.statuses;
+    if (!isStringList(statuses)) {
+        errors.statuses = 'Must be a list of status names';
+    } else if (new Set(statuses).size !== statuses.length) {
+        errors.statuses = 'Statuses must not repeat';
+    } else if (statuses.some((s) => !known.includes(s))) {
+        errors.statuses = `Unknown status: ${statuses.filter((s) => !known.includes(s)).join(', ')}`;
+    } else if (enabled && !statuses.length) {
+        errors.statuses = 'An enabled workflow needs at least one status';
+    }
+    const inWorkflow = (s) => Array.isArray(statuses) && statuses.includes(s);
+
+    const transitions = raw.transitions === undefined ? [] : raw.transitions;
+    if (!Array.isArray(transitions) || transitions.length > MAX_TRANSITIONS) {
+        errors.transitions = `Must be a list of at most ${MAX_TRANSITIONS} transitions`;
+    } else {
+        transitions.forEach((t, i) => {
+            const key = `transitions[${i}]`;
+            if (!t || typeof t !== 'object') {
+                errors[key] = 'Must be an object';
+            } else if (t.from !== ANY_STATUS && !inWorkflow(t.from)) {
+                errors[key] = `"from" must be a workflow status or "${ANY_STATUS}"`;
+            } else if (!inWorkflow(t.to)) {
+                errors[key] = '"to" must be a workflow status';
+            } else if (t.from === t.to) {
+                errors[key] = '"from" and "to" must differ';
+            } else if (t.roles !== undefined && (!isStringList(t.roles) || t.roles.some((r) => !ROLES.includes(r)))) {
+                errors[key] = `Roles must be among: ${ROLES.join(', ')}`;
+            } else if (t.users !== undefined && !isStringList(t.users)) {
+                errors[key] = 'Users must be a list of usernames';
+            }
+        });
+    }
+
+    const requiredFields = raw.requiredFields === undefined ? {} : raw.requiredFields;
+    if (!requiredFields || typeof requiredFields !== 'object' || Array.isArray(requiredFields)) {
+        errors.requiredFields = 'Must be an object of status to field names';
+    } else {
+        for (const [status, fields] of Object.entries(requiredFields)) {
+            const key = `requiredFields.${status}`;
+            if (!inWorkflow(status)) errors[key] = 'Not a workflow status';
+            else if (!isStringList(fields) || fields.some((f) => !REQUIRABLE_FIELDS.includes(f))) {
+                errors[key] = `Fields must be among: ${REQUIRABLE_FIELDS.join(', ')}`;
+            }
+        }
+    }
+
+    if (Object.keys(errors).length) return { value: null, errors };
+
+    return {
+        value: {
+            enabled,
+            statuses,
+            transitions: transitions.map((t) => ({
+                from: t.from,
+                to: t.to,
+                roles: Array.from(new Set(t.roles || [])),
+                users: Array.from(new Set((t.users || []).map((u) => u.trim()))),
+            })),
+            requiredFields: Object.fromEntries(
+                Object.entries(requiredFields)
+                    .filter(([, fields]) => fields.length)
+                    .map(([status, fields]) => [status, Array.from(new Set(fields))])
+            ),
+        },
+        errors: null,
+    };
+}
+
+function mayPerform(transition, user) {
+    if (!transition.roles.length && !transition.users.length) return true;
+    return transition.roles.includes(user.role) || transition.users.includes(user.username);
+}
+
+/**
+ * Statuses `user` may move a post to from `from`, excluding `from` itself.
+ * A post without a workflow status (new, or created before the workflow) may take the
+ * first status or any status `user` could move it to from there.
+ */
+function nextStatuses(workflow, from, user) {
+    if (!workflow.statuses.includes(from)) {
+        const first = workflow.statuses[0];
+        return first ? [first, ...nextStatuses(workflow, first, user)] : [];
+    }
+    const targets = new Set(
+        workflow.transitions
+            .filter((t) => (t.from === from || t.from === ANY_STATUS) && t.to !== from && mayPerform(t, user))
+            .map((t) => t.to)
+    );
+    return workflow.statuses.filter((s) => targets.has(s));
+}
+
+function isEmpty(value) {
+    if (Array.isArray(value)) return value.length === 0;
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function missingFields(workflow, post) {
+    return (workflow.requiredFields[post.status] || []).filter((f) => isEmpty(post[f]));
+}
+
+/**
+ * Checks a post write against the workflow. `before` is null for a new post.
+ * Changing status requires an allowed transition (403) and the target status's required
+ * fields (422); other edits are only rejected when they empty a field the current status requires.
+ * @returns {{ status: number, body: Object }|null} The error response, or null when allowed.
+ */
+function checkWorkflow(workflow, before, after, user) {
+    if (!workflow.enabled) return null;
+
+    const statusChanged = !before || before.status !== after.status;
+    if (statusChanged && !nextStatuses(workflow, before ? before.status : null, user).includes(after.status)) {
+        const message = before
+            ? `You are not allowed to move a post from "${before.status}" to "${after.status}"`
+            : `New posts cannot start as "${after.status}"`;
+        return { status: 403, body: { error: 'Status change not allowed', fields: { status: message } } };
+    }
+
+    const previouslyMissing = before && !statusChanged ? missingFields(workflow, before) : [];
+    const missing = missingFields(workflow, after).filter((f) => !previouslyMissing.includes(f));
+    if (missing.length) {
+        const fields = Object.fromEntries(missing.map((f) => [f, `Required for status "${after.status}"`]));
+        return { status: 422, body: { error: 'Validation failed', fields } };
+    }
+    return null;
+}
+
+module.exports = {
+    WORKFLOW_PATH,
+    ANY_STATUS,
+    REQUIRABLE_FIELDS,
+    getWorkflow,
+    saveWorkflow,
+    validateWorkflow,
+    nextStatuses,
+    checkWorkflow,
+};
@@ -23,38 +23,78 @@ import ChangePassword from './features/auth/ChangePassword';
 import LoginPage from './features/auth/LoginPage';
 import UserManagement from './features/admin/UserManagement';
 import AdminLog from './features/admin/AdminLog';
-import { getLists, initSocket } from './api.js';
+import TrashBin from './features/admin/TrashBin';
+import WorkflowEditor from './features/admin/WorkflowEditor';
+import WebhookManager from './features/admin/WebhookManager';
+import CampaignsView from './features/campaigns/CampaignsView';
+import SearchResults from './features/search/SearchResults';
+import OverdueFilter from './features/calendar/OverdueFilter';
+import {
+    getLists,
+    getWorkflow,
+    getCampaigns,
+    initSocket,
+    disconnectSocket,
+    isLive,
+    startOfflineMode,
+    onOfflineChange,
+} from './api.js';
+import { emptyWorkflow } from './utils/workflow.js';
 import { startOfWeek, addDays } from './utils/date.js';
 import { ConfirmProvider } from './context/ConfirmProvider';
 import { ToastProvider } from './context/ToastProvider';
+import { PresenceProvider } from './context/PresenceProvider';
 
 export default function App() {
     const [user, setUser] = useState(JSON.parse(localStorage.getItem('user')));
     const [view, setView] = useState('calendar');
 
     const [lists, setLists] = useState({ creators: [], designers: [], editors: [], statuses: [], platforms: [] });
+    const [workflow, setWorkflow] = useState(emptyWorkflow());
+    const [campaigns, setCampaigns] = useState([]);
     const [weekStart, setWeekStart] = useState(startOfWeek(new Date()));
     const [editingPost, setEditingPost] = useState(null);
+    // refreshTrigger: posts changed (search, overdue filter); resyncTrigger: reload the week
     const [refreshTrigger, setRefreshTrigger] = useState(0);
+    const [resyncTrigger, setResyncTrigger] = useState(0);
 
     const [searchTerm, setSearchTerm] = useState('');
     const [searchQuery, setSearchQuery] = useState('');
+    const [overdueOnly, setOverdueOnly] = useState(false);
 
     /**
-     * Centralised refresh logic.
-     * Increments refreshTrigger to force WeekView to re-fetch posts
-     * and manually re-fetches global lists.
+     * Centralised refresh logic, used on load and when live changes were missed.
+     * Increments the triggers to force WeekView and the post panels to re-fetch posts
+     * and manually re-fetches global lists, campaigns and the approval workflow.
      */
     const refreshAllData = useCallback(async () => {
         try {
-            const l = await getLists();
+            const [l, w, c] = await Promise.all([getLists(), getWorkflow(), getCampaigns()]);
             setLists(l);
+            setWorkflow(w);
+            setCampaigns(c);
             setRefreshTrigger((prev) => prev + 1);
+            setResyncTrigger((prev) => prev + 1);
         } catch (err) {
             console.error('Failed to refresh data', err);
         }
     }, []);
 
+    /**
+     * Applies a live change: only the data of the changed type is re-fetched.
+     * WeekView applies changes to posts in place (see onPostChange).
+     */
+    const applyChange = useCallback(async (data) => {
+        try {
+            if (data.type === 'lists') setLists(await getLists());
+            else if (data.type === 'workflow') setWorkflow(await getWorkflow());
+            else if (data.type === 'campaigns') setCampaigns(await getCampaigns());
+            else if (data.type === 'posts') setRefreshTrigger((prev) => prev + 1);
+        } catch (err) {
+            console.error(`Failed to refresh ${data.type}`, err);
+        }
+    }, []);
+
     // Debounced search logic
     useEffect(() => {
         const t = setTimeout(() => setSearchQuery(searchTerm.trim()), 250);
@@ -64,19 +104,38 @@ export default function App() {
     // Initial load and Socket.io setup
     useEffect(() => {
         if (user) {
+            // Sends any changes queued offline during an earlier visit
+            startOfflineMode(user.username);
+
             // Initial fetch
             refreshAllData();
 
             // LISTEN FOR LIVE UPDATES
-            // This connects to the backend and waits for 'data_updated' signals
-            initSocket((data) => {
-                console.log(`Live sync: ${data.type} updated by another user.`);
-                refreshAllData();
-            });
+            // This connects to the backend and waits for 'data_updated' changes
+            initSocket(
+                (data) => {
+                    console.log(`Live sync: ${data.type} updated by another user.`);
+                    applyChange(data);
+                },
+                () => {
+                    console.log('Live sync: missed changes, reloading.');
+                    refreshAllData();
+                }
+            );
         }
-    }, [user, refreshAllData]);
+    }, [user, refreshAllData, applyChange]);
+
+    // Once the changes made offline are sent, reload to replace their local copies
+    useEffect(() => {
+        let pending = 0;
+        return onOfflineChange((state) => {
+            if (pending && !state.pending) refreshAllData();
+            pending = state.pending;
+        });
+    }, [refreshAllData]);
 
     const handleLogout = () => {
+        disconnectSocket();
         localStorage.removeItem('user');
         setUser(null);
         setView('calendar');
@@ -84,8 +143,21 @@ export default function App() {
 
     const handleFinished = () => {
         setEditingPost(null);
-        // Local changes also trigger a refresh to ensure sync
-        refreshAllData();
+        // Local changes come back as live changes; without a connection, refresh to ensure sync
+        if (!isLive()) refreshAllData();
+    };
+
+    // Search hits: show the week that contains the post
+    const jumpToPost = (post) => {
+        setWeekStart(startOfWeek(new Date(`${post.date}T00:00:00`)));
+        setEditingPost(null);
+    };
+
+    // Campaign page: open a post in the editor on the calendar
+    const openPost = (post) => {
+        setView('calendar');
+        setWeekStart(startOfWeek(new Date(`${post.date}T00:00:00`)));
+        setEditingPost(post);
     };
 
     const nextWeek = () => {
@@ -116,70 +188,115 @@ export default function App() {
     return (
         <ToastProvider>
             <ConfirmProvider>
-                <div className="app">
-                    <Header
-                        user={user}
-                        view={view}
-                        setView={setView}
-                        weekStart={weekStart}
-                        prevWeek={prevWeek}
-                        nextWeek={nextWeek}
-                        handleLogout={handleLogout}
-                        setUser={setUser}
-                        searchTerm={searchTerm}
-                        setSearchTerm={setSearchTerm}
-                    />
-                    <main className="grid">
-                        {view === 'calendar' ? (
-                            <>
-                                <aside className="sidebar">
-                                    <div className="legend">
-                                        <h3 className="panel-title">Status</h3>
-                                        <ul>
-                                            {lists.statuses.map((s, idx) => {
-                                                const name = s && typeof s === 'object' ? s.name || s.value || '' : s;
-                                                const color =
-                                                    s && typeof s === 'object'
-                                                        ? s.color || 'var(--accent)'
-                                                        : 'var(--accent)';
-                                                return (
-                                                    <li key={`${name}-${idx}`} style={{ '--status-color': color }}>
-                                                        <span className="badge">{name}</span>
-                                                    </li>
-                                                );
-                                            })}
-                                        </ul>
-                                    </div>
-                                    <h3 className="panel-title">{editingPost ? 'Update' : 'Add'}</h3>
-                                    <PostForm
-                                        lists={lists}
-                                        onChangeLists={setLists}
-                                        weekStart={weekStart}
-                                        editingPost={editingPost}
-                                        onFinished={handleFinished}
-                                    />
-                                </aside>
-                                <section className="content">
-                                    <WeekView
-                                        weekStart={weekStart}
-                                        lists={lists}
-                                        onEditPost={setEditingPost}
-                                        refreshTrigger={refreshTrigger}
-                                        searchQuery={searchQuery}
-                                    />
+                <PresenceProvider>
+                    <div className="app">
+                        <Header
+                            user={user}
+                            view={view}
+                            setView={setView}
+                            weekStart={weekStart}
+                            prevWeek={prevWeek}
+                            nextWeek={nextWeek}
+                            handleLogout={handleLogout}
+                            setUser={setUser}
+                            searchTerm={searchTerm}
+                            setSearchTerm={setSearchTerm}
+                            onJumpToDate={(date) => {
+                                setView('calendar');
+                                jumpToPost({ date });
+                            }}
+                        />
+                        <main className="grid">
+                            {view === 'calendar' ? (
+                                <>
+                                    <aside className="sidebar">
+                                        <div className="legend">
+                                            <h3 className="panel-title">Status</h3>
+                                            <ul>
+                                                {lists.statuses.map((s, idx) => {
+                                                    const name =
+                                                        s && typeof s === 'object' ? s.name || s.value || '' : s;
+                                                    const color =
+                                                        s && typeof s === 'object'
+                                                            ? s.color || 'var(--accent)'
+                                                            : 'var(--accent)';
+                                                    return (
+                                                        <li key={`${name}-${idx}`} style={{ '--status-color': color }}>
+                                                            <span className="badge">{name}</span>
+                                                        </li>
+                                                    );
+                                                })}
+                                            </ul>
+                                        </div>
+                                        <div className="legend">
+                                            <h3 className="panel-title">Filter</h3>
+                                            <OverdueFilter
+                                                enabled={overdueOnly}
+                                                onToggle={setOverdueOnly}
+                                                refreshTrigger={refreshTrigger}
+                                                onJump={jumpToPost}
+                                            />
+                                        </div>
+                                        <h3 className="panel-title">{editingPost ? 'Update' : 'Add'}</h3>
+                                        <PostForm
+                                            lists={lists}
+                                            workflow={workflow}
+                                            campaigns={campaigns}
+                                            onChangeLists={setLists}
+                                            weekStart={weekStart}
+                                            editingPost={editingPost}
+                                            onFinished={handleFinished}
+                                        />
+                                    </aside>
+                                    <section className="content">
+                                        {searchQuery && (
+                                            <SearchResults
+                                                query={searchQuery}
+                                                lists={lists}
+                                                refreshTrigger={refreshTrigger}
+                                                onJump={jumpToPost}
+                                                onClose={() => setSearchTerm('')}
+                                            />
+                                        )}
+                                        <WeekView
+                                            weekStart={weekStart}
+                                            lists={lists}
+                                            campaigns={campaigns}
+                                            onEditPost={setEditingPost}
+                                            refreshTrigger={resyncTrigger}
+                                            searchQuery={searchQuery}
+                                            overdueOnly={overdueOnly}
+                                        />
+                                    </section>
+                                </>
+                            ) : view === 'users' ? (
+                                <section className="content" style={{ gridColumn: '1 / -1', padding: '20px' }}>
+                                    <UserManagement />
+                                </section>
+                            ) : view === 'logs' ? (
+                                <section className="content" style={{ gridColumn: '1 / -1', padding: '20px' }}>
+                                    <AdminLog />
+                                </section>
+                            ) : view === 'trash' ? (
+                                <section className="content" style={{ gridColumn: '1 / -1', padding: '20px' }}>
+                                    <TrashBin />
+                                </section>
+                            ) : view === 'campaigns' ? (
+                                <section className="content" style={{ gridColumn: '1 / -1', padding: '20px' }}>
+                                    <CampaignsView lists={lists} campaigns={campaigns} onOpenPost={openPost} />
+                                </section>
+                            ) : view === 'workflow' ? (
+                                <section className="content" style={{ gridColumn: '1 / -1', padding: '20px' }}>
+                                    <WorkflowEditor lists={lists} workflow={workflow} onSaved={setWorkflow} />
+                                </section>
+                            ) : view === 'webhooks' ? (
+                                <section className="content" style={{ gridColumn: '1 / -1', padding: '20px' }}>
+                                    <WebhookManager />
                                 </section>
-                            </>
-                        ) : view === 'users' ? (
-                            <section className="content" style={{ gridColumn: '1 / -1', padding: '20px' }}>
-                                <UserManagement />
-                            </section>
-                        ) : view === 'logs' ? (
-                            <section className="content" style={{ gridColumn: '1 / -1', padding: '20px' }}>
-                                <AdminLog />
-                            </section>
-                        ) : null}
-                    </main>
-                </div>
+                            ) : null}
+                        </main>
+                    </div>
+                </PresenceProvider>
             </ConfirmProvider>
         </ToastProvider>
     );
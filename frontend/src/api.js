@@ -16,33 +16,162 @@
  */
 
 import { io } from 'socket.io-client';
+import { VIEWER_TIMEZONE, localizePost } from './utils/date.js';
+import {
+    readCache,
+    writeCache,
+    pruneCache,
+    readQueue,
+    saveToQueue,
+    removeFromQueue,
+    clearOfflineStore,
+} from './utils/offline-store.js';
 
 const BASE = import.meta.env.VITE_API_BASE || 'http://localhost:4000/api';
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
 
 let socket;
+let liveSync = false;
 
-/**
- * Initialises the WebSocket connection for live updates.
- * @param {Function} onUpdate - Callback triggered when the server signals a change.
- */
-export const initSocket = (onUpdate) => {
+// Posts open in the form, announced again when the connection is re-established
+const editingPosts = new Set();
+
+// Position in the server's change feed: the `seq` of the last change seen and the feed's `epoch`
+let feed = null;
+const postListeners = new Set();
+
+// `subscribe` listeners as [event, handler], attached to every new connection
+const listeners = new Set();
+
+// The session is gone (expired or revoked): sign out
+let sessionEnded = false;
+const endSession = () => {
+    sessionEnded = true;
+    localStorage.removeItem('user');
+    window.location.reload();
+};
+
+// Opens the shared connection on first use; the server accepts it only with a valid session cookie
+const connect = () => {
     if (!socket) {
-        socket = io(SOCKET_URL, {
+        const s = io(SOCKET_URL, {
             withCredentials: true,
             transports: ['websocket', 'polling'],
         });
+        s.on('connect', () => {
+            setConnectivity(true);
+            editingPosts.forEach((postId) => s.emit('editing_start', { postId }));
+        });
+        // A refused handshake, or a disconnection by the server, means the session was revoked;
+        // a connection that retries by itself was lost
+        s.on('connect_error', () => !s.active && endSession());
+        s.on('disconnect', (reason) => {
+            if (reason === 'io server disconnect') endSession();
+            else if (s.active) setConnectivity(false);
+        });
+        listeners.forEach(([event, handler]) => s.on(event, handler));
+        socket = s;
+    }
+    return socket;
+};
+
+/**
+ * Initialises the WebSocket connection for live updates.
+ * Every `data_updated` event carries the next `seq` of the server's change feed. Changes to
+ * posts are passed to the `onPostChange` listeners and then to `onUpdate`. When events were
+ * missed (a gap in `seq` or a server restart), `onResync` is called instead to reload everything.
+ * @param {Function} onUpdate - Callback triggered when the server signals a change.
+ * @param {Function} onResync - Callback triggered when changes may have been missed.
+ */
+export const initSocket = (onUpdate, onResync) => {
+    if (!liveSync) {
+        liveSync = true;
+        const s = connect();
+        s.on('connect', () => console.log('Connected to Live Sync'));
 
-        socket.on('connect', () => console.log('Connected to Live Sync'));
+        // Sent on every connection: reload if the feed moved on while this client was away
+        s.on('live_state', ({ seq, epoch }) => {
+            const missed = feed && (feed.epoch !== epoch || feed.seq !== seq);
+            feed = { seq, epoch };
+            if (missed) onResync();
+        });
 
-        socket.on('data_updated', (data) => {
-            // Signals App.jsx to call refreshAllData()
+        s.on('data_updated', (data) => {
+            const missed = !feed || feed.epoch !== data.epoch || feed.seq + 1 !== data.seq;
+            feed = { seq: data.seq, epoch: data.epoch };
+            if (missed) {
+                onResync();
+                return;
+            }
+            if (data.type === 'posts') postListeners.forEach((handler) => handler(data));
             onUpdate(data);
         });
     }
     return socket;
 };
 
+/**
+ * Listens to changes to posts (`data_updated` events of type `posts`) received in sequence.
+ * Returns a function that removes the listener.
+ */
+export const onPostChange = (handler) => {
+    postListeners.add(handler);
+    return () => postListeners.delete(handler);
+};
+
+/**
+ * Whether this client is following the change feed, so its own changes come back as events.
+ */
+export const isLive = () => Boolean(socket?.connected && feed);
+
+/**
+ * Closes the connection (on logout), so the next user gets a socket in their own room.
+ */
+export const disconnectSocket = () => {
+    if (socket) socket.disconnect();
+    socket = null;
+    liveSync = false;
+    feed = null;
+    editingPosts.clear();
+};
+
+/**
+ * Id of this client's connection, as listed in editing presence (undefined while disconnected).
+ */
+export const socketId = () => socket?.id;
+
+/**
+ * Editing presence: announces that the post is open in the form (`startEditing`) or closed
+ * (`stopEditing`), or claims the soft lock held by another editor (`takeOverEditing`).
+ * Everyone receives the resulting `presence` event.
+ */
+export const startEditing = (postId) => {
+    editingPosts.add(postId);
+    connect().emit('editing_start', { postId });
+};
+
+export const stopEditing = (postId) => {
+    editingPosts.delete(postId);
+    if (socket) socket.emit('editing_stop', { postId });
+};
+
+export const takeOverEditing = (postId) => connect().emit('editing_takeover', { postId });
+
+/**
+ * Listens to a server-pushed Socket.io event (e.g. `comment_event`, `notification`), on the
+ * current connection and on those opened after it (e.g. after signing in again).
+ * Returns a function that removes the listener.
+ */
+export const subscribe = (event, handler) => {
+    const entry = [event, handler];
+    listeners.add(entry);
+    if (socket) socket.on(event, handler);
+    return () => {
+        listeners.delete(entry);
+        if (socket) socket.off(event, handler);
+    };
+};
+
 /**
  * Helper to get the username from localStorage for optional server-side convenience headers.
  */
@@ -58,51 +187,440 @@ const getAuthHeaders = () => {
 };
 
 /**
- * Centralised HTTP helper that handles Auth and 401s
+ * Centralised HTTP helper that handles Auth and 401s.
+ * `FormData` bodies are sent as multipart (the browser sets the Content-Type).
+ * When the server cannot be reached it throws an error with `offline` set.
  */
-async function http(path, { method = 'GET', body } = {}) {
+async function http(path, { method = 'GET', body, headers } = {}) {
+    const isForm = body instanceof FormData;
+    const baseHeaders = getAuthHeaders();
+    if (isForm) delete baseHeaders['Content-Type'];
+
     const opts = {
         method,
-        headers: getAuthHeaders(),
+        headers: { ...baseHeaders, ...headers },
         credentials: 'include',
     };
 
-    if (body) opts.body = JSON.stringify(body);
+    if (body) opts.body = isForm ? body : JSON.stringify(body);
 
-    const res = await fetch(`${BASE}${path}`, opts);
+    let res;
+    try {
+        res = await fetch(`${BASE}${path}`, opts);
+    } catch {
+        setConnectivity(false);
+        const err = new Error('The server cannot be reached');
+        err.offline = true;
+        throw err;
+    }
+    setConnectivity(true);
 
     if (res.status === 401) {
-        localStorage.removeItem('user');
-        window.location.reload();
+        endSession();
         return;
     }
 
-    if (!res.ok) throw new Error(await res.text());
+    if (!res.ok) throw await toHttpError(res);
 
     return res.status === 204 ? null : res.json();
 }
 
+/**
+ * Builds an Error from a failed response, exposing `status` and the parsed JSON `body`
+ * (when there is one) so callers can react to structured errors such as 422 field messages.
+ */
+async function toHttpError(res) {
+    const text = await res.text();
+    let body = null;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        // Plain-text error
+    }
+    const err = new Error((body && body.error) || text || res.statusText);
+    err.status = res.status;
+    err.body = body;
+    return err;
+}
+
+// Query string selecting which occurrences of a recurring post a write applies to
+function scopeQuery(target) {
+    if (!target) return '';
+    return `?${new URLSearchParams({ scope: target.scope, occurrence: target.occurrence })}`;
+}
+
+// --- Offline mode ---
+// Weeks of posts, lists, campaigns and the workflow are cached in IndexedDB and read from there
+// when the server cannot be reached. Creating, updating and deleting a post offline queues the
+// change instead; the queue is replayed in order once the connection is back.
+
+const MAX_CACHED_WEEKS = 12;
+
+// Posts created offline go by a temporary id until the server has created them
+const OFFLINE_ID_PREFIX = 'offline-';
+const isOfflineId = (id) => String(id).startsWith(OFFLINE_ID_PREFIX);
+
+// Ids given by the server to posts created offline and sent since, by temporary id
+const sentIds = new Map();
+
+// The post as the server takes it: without the fields only this client uses
+function serverPost(post) {
+    if (!post) return post;
+    const copy = { ...post };
+    delete copy.queued;
+    if (isOfflineId(copy.id)) delete copy.id;
+    return copy;
+}
+
+// `pending`: queued changes still to send; `failed`: changes the server rejected during replay
+const offline = { online: true, pending: 0, failed: [] };
+const offlineListeners = new Set();
+let replaying = false;
+
+function setOfflineState(changes) {
+    Object.assign(offline, changes);
+    offlineListeners.forEach((handler) => handler({ ...offline }));
+}
+
+// Requests and the live connection tell whether the server can be reached
+function setConnectivity(online) {
+    if (offline.online === online) return;
+    setOfflineState({ online });
+    if (online) replayQueue();
+}
+
+async function refreshQueueState() {
+    const queue = await readQueue();
+    setOfflineState({
+        pending: queue.filter((c) => !c.error).length,
+        failed: queue.filter((c) => c.error),
+    });
+}
+
+// Reads `path`, keeping a copy under `key` to fall back on while offline
+async function cachedRead(key, path) {
+    try {
+        const data = await http(path);
+        writeCache(key, data).catch((err) => console.error('Failed to cache', key, err));
+        return data;
+    } catch (err) {
+        if (!err.offline) throw err;
+        const data = await readCache(key).catch(() => undefined);
+        if (data === undefined) throw err;
+        return data;
+    }
+}
+
+// Shows the queued changes on top of the posts of a date range
+async function withQueuedChanges(posts, start, end) {
+    let result = posts;
+    for (const change of await readQueue()) {
+        if (change.error) continue;
+        result = result.filter((p) => p.id !== change.postId);
+        if (change.action === 'delete') continue;
+        const post = { ...change.post, id: change.postId, queued: true };
+        const { date } = localizePost(post);
+        if (date >= start && date <= end) result.push(post);
+    }
+    return result;
+}
+
+function sendChange({ action, postId, post: queued, version }) {
+    // Also cleans changes queued by earlier versions of the app
+    const post = serverPost(queued);
+    if (action === 'create') return http('/posts', { method: 'POST', body: post });
+    if (action === 'delete') return http(`/posts/${postId}`, { method: 'DELETE' });
+    return http(`/posts/${postId}`, { method: 'PUT', body: post, headers: { 'If-Match': `"${version || 0}"` } });
+}
+
+// Queues a change, folding it into an earlier queued change to the same post. Changes to a
+// post created offline always end up in its creation (retried if the server had rejected it).
+async function queueChange(change) {
+    const offlinePost = isOfflineId(change.postId);
+    const earlier = (await readQueue()).find((c) => c.postId === change.postId && (!c.error || offlinePost));
+    if (!earlier && offlinePost && change.action !== 'create') {
+        throw new Error('This post was already saved. Reload the calendar to edit it.');
+    }
+    if (!earlier) {
+        await saveToQueue({ ...change, queuedAt: Date.now() });
+    } else if (earlier.action !== 'create') {
+        // An edit stays based on the version the first offline edit started from
+        await saveToQueue({ ...earlier, action: change.action, post: change.post });
+    } else if (change.action === 'delete') {
+        await removeFromQueue(earlier.id);
+    } else {
+        await saveToQueue({ ...earlier, post: change.post, error: null });
+    }
+    await refreshQueueState();
+    if (offline.online) replayQueue();
+}
+
+/**
+ * Sends a change to a post (`{ action, postId, post, version }`), or queues it when the
+ * server cannot be reached or earlier changes are still queued (so they keep their order).
+ * A queued change resolves to `{ ...post, id, queued: true }`.
+ */
+async function sendOrQueue(change) {
+    const postId = sentIds.get(change.postId) || change.postId;
+    const next = { ...change, postId, post: serverPost(change.post) };
+    if (!offline.pending && (next.action === 'create' || !isOfflineId(postId))) {
+        try {
+            return await sendChange(next);
+        } catch (err) {
+            if (!err.offline) throw err;
+        }
+    }
+    await queueChange(next);
+    return { ...next.post, id: postId, queued: true };
+}
+
+/**
+ * Sends the queued changes in order, stopping at the first one that cannot reach the server.
+ * A change the server rejects (e.g. a version conflict) stays in the queue with its `error`
+ * (`{ message, status, current }`) until it is reviewed and discarded.
+ */
+export async function replayQueue() {
+    if (replaying || sessionEnded) return;
+    replaying = true;
+    try {
+        for (const change of await readQueue()) {
+            if (change.error) continue;
+            try {
+                const result = await sendChange(change);
+                if (sessionEnded) return;
+                if (change.action === 'create') sentIds.set(change.postId, result.id);
+                await removeFromQueue(change.id);
+            } catch (err) {
+                if (err.offline) break;
+                const error = { message: err.message, status: err.status, current: err.body?.current || null };
+                await saveToQueue({ ...change, error });
+            }
+            await refreshQueueState();
+        }
+    } catch (err) {
+        console.error('Failed to replay offline changes', err);
+    } finally {
+        replaying = false;
+    }
+}
+
+/**
+ * Opens offline mode for `username`: the cache and queue of another user are cleared,
+ * then changes left from an earlier visit are sent.
+ */
+export async function startOfflineMode(username) {
+    try {
+        if ((await readCache('owner')) !== username) {
+            await clearOfflineStore();
+            await writeCache('owner', username);
+        }
+        await refreshQueueState();
+        replayQueue();
+    } catch (err) {
+        console.error('Offline mode is not available', err);
+    }
+}
+
+/**
+ * Removes a change the server rejected from the queue.
+ */
+export async function discardFailedChange(id) {
+    await removeFromQueue(id);
+    await refreshQueueState();
+}
+
+export const getOfflineState = () => ({ ...offline });
+
+/**
+ * Listens to changes of `{ online, pending, failed }`. Returns a function that removes the listener.
+ */
+export const onOfflineChange = (handler) => {
+    offlineListeners.add(handler);
+    return () => offlineListeners.delete(handler);
+};
+
+window.addEventListener('online', () => replayQueue());
+
 // --- Standard Exports ---
 
-export function getPosts(start, end) {
-    const qs = start && end ? `?start=${start}&end=${end}` : '';
-    return http(`/posts${qs}`);
+/**
+ * Fetches the posts of a date range (in the viewer's time zone), or all posts.
+ * Ranges are cached for offline use and include the changes still queued.
+ */
+export async function getPosts(start, end) {
+    if (!start || !end) return http('/posts');
+    const tz = encodeURIComponent(VIEWER_TIMEZONE);
+    const posts = await cachedRead(`posts:${start}:${end}:${tz}`, `/posts?start=${start}&end=${end}&tz=${tz}`);
+    pruneCache('posts:', MAX_CACHED_WEEKS).catch((err) => console.error('Failed to prune the cache', err));
+    return offline.pending ? withQueuedChanges(posts, start, end) : posts;
+}
+
+/**
+ * Searches all posts. `params` holds `q`, filters (`status`, `platform`, `creator`, `designer`,
+ * `editor`, `campaign`, `from`, `to`, `overdue`), `sort`, `limit` and `cursor`; empty values are left out.
+ * `from` and `to` are dates in the viewer's time zone.
+ */
+export function searchPosts(params) {
+    const qs = new URLSearchParams(
+        Object.entries({ tz: VIEWER_TIMEZONE, ...params }).filter(([, v]) => v !== undefined && v !== null && v !== '')
+    );
+    return http(`/posts/search?${qs}`);
 }
 
+/**
+ * Creates a post. Offline, the creation is queued under a temporary id (see sendOrQueue).
+ */
 export function createPost(p) {
-    return http('/posts', { method: 'POST', body: p });
+    return sendOrQueue({ action: 'create', postId: `${OFFLINE_ID_PREFIX}${Date.now().toString(36)}`, post: p });
+}
+
+/**
+ * Updates a post. `version` is the version the edit was based on; the server
+ * rejects the write with a 409 (carrying `err.body.current`) if the post changed since.
+ * For an occurrence of a recurring post, `target` is `{ scope, occurrence }`; other edits
+ * are queued while offline.
+ */
+export function updatePost(id, p, version, target) {
+    if (!target) return sendOrQueue({ action: 'update', postId: id, post: p, version });
+    return http(`/posts/${id}${scopeQuery(target)}`, {
+        method: 'PUT',
+        body: p,
+        headers: { 'If-Match': `"${version || 0}"` },
+    });
 }
 
-export function updatePost(id, p) {
-    return http(`/posts/${id}`, { method: 'PUT', body: p });
+/**
+ * Applies bulk operations to several posts at once. With `versions` (`{ [id]: version }`)
+ * the server rejects the whole batch with a 409 (`err.body.conflicts`) if any post changed.
+ */
+export function bulkUpdatePosts(ids, operations, versions) {
+    return http('/posts/bulk', { method: 'POST', body: { ids, operations, versions } });
+}
+
+export function getRevisions(id) {
+    return http(`/posts/${id}/revisions`);
 }
 
-export function deletePost(id) {
-    return http(`/posts/${id}`, { method: 'DELETE' });
+export function restoreRevision(id, rev, version) {
+    return http(`/posts/${id}/revisions/${rev}/restore`, {
+        method: 'POST',
+        headers: { 'If-Match': `"${version || 0}"` },
+    });
+}
+
+// --- Media ---
+
+/**
+ * Uploads files and attaches them to a post; resolves to the updated post.
+ */
+export function uploadMedia(postId, files) {
+    const form = new FormData();
+    for (const f of files) form.append('files', f);
+    return http(`/posts/${postId}/media`, { method: 'POST', body: form });
+}
+
+export function removeMedia(postId, hash) {
+    return http(`/posts/${postId}/media/${hash}`, { method: 'DELETE' });
+}
+
+export function mediaUrl(hash, thumb = false) {
+    return `${BASE}/media/${hash}${thumb ? '/thumb' : ''}`;
+}
+
+// --- Checklist ---
+// Each call resolves to the updated post
+
+export function addChecklistItem(postId, item) {
+    return http(`/posts/${postId}/checklist`, { method: 'POST', body: item });
+}
+
+export function updateChecklistItem(postId, itemId, changes) {
+    return http(`/posts/${postId}/checklist/${itemId}`, { method: 'PATCH', body: changes });
+}
+
+export function toggleChecklistItem(postId, itemId) {
+    return http(`/posts/${postId}/checklist/${itemId}/toggle`, { method: 'POST' });
+}
+
+export function removeChecklistItem(postId, itemId) {
+    return http(`/posts/${postId}/checklist/${itemId}`, { method: 'DELETE' });
+}
+
+export function reorderChecklist(postId, ids) {
+    return http(`/posts/${postId}/checklist/order`, { method: 'PUT', body: { ids } });
+}
+
+// --- Publishing ---
+
+/**
+ * Resolves to `{ connectors, publishStatuses, publishedStatus }`.
+ */
+export function getPublishing() {
+    return http('/publishing');
+}
+
+/**
+ * Clears a post's failed publications so the scheduler tries again; resolves to the updated post.
+ */
+export function retryPublishing(postId) {
+    return http(`/publishing/${postId}/retry`, { method: 'POST' });
+}
+
+// --- Drafts ---
+// Autosaved post form of the current user. `key` is `new` for a post not created yet, or the id
+// of the post being edited; the server discards the draft when the user saves the post.
+
+/**
+ * Resolves to the draft, or null when there is none.
+ */
+export function getDraft(key) {
+    return http(`/drafts/${encodeURIComponent(key)}`).catch((err) => {
+        if (err.status === 404) return null;
+        throw err;
+    });
+}
+
+/**
+ * `draft` is `{ data, occurrence, version }`: the form fields, the occurrence being edited and
+ * the post version the edit started from.
+ */
+export function saveDraft(key, draft) {
+    return http(`/drafts/${encodeURIComponent(key)}`, { method: 'PUT', body: draft });
+}
+
+export function deleteDraft(key) {
+    return http(`/drafts/${encodeURIComponent(key)}`, { method: 'DELETE' });
+}
+
+// --- Comments ---
+
+export function getComments(postId) {
+    return http(`/posts/${postId}/comments`);
+}
+
+export function addComment(postId, body, parentId) {
+    return http(`/posts/${postId}/comments`, { method: 'POST', body: { body, parentId } });
+}
+
+export function editComment(postId, commentId, body) {
+    return http(`/posts/${postId}/comments/${commentId}`, { method: 'PATCH', body: { body } });
+}
+
+export function deleteComment(postId, commentId) {
+    return http(`/posts/${postId}/comments/${commentId}`, { method: 'DELETE' });
+}
+
+export function setCommentResolved(postId, commentId, resolved) {
+    return http(`/posts/${postId}/comments/${commentId}/${resolved ? 'resolve' : 'unresolve'}`, { method: 'POST' });
+}
+
+export function deletePost(id, target) {
+    if (!target) return sendOrQueue({ action: 'delete', postId: id });
+    return http(`/posts/${id}${scopeQuery(target)}`, { method: 'DELETE' });
 }
 
 export function getLists() {
-    return http('/lists');
+    return cachedRead('lists', '/lists');
 }
 
 export function addToList(type, p) {
@@ -121,11 +639,154 @@ export function updateListColor(type, name, color) {
     });
 }
 
+/**
+ * Sets a platform's limits: `{ maxChars, maxHashtags, allowLinks }` (null = no limit).
+ */
+export function updatePlatformMeta(name, meta) {
+    return http(`/lists/platforms/${encodeURIComponent(name)}/meta`, { method: 'PUT', body: meta });
+}
+
+// --- Campaigns ---
+
+export function getCampaigns() {
+    return cachedRead('campaigns', '/campaigns');
+}
+
+/**
+ * Resolves to the campaign with its `stats` and `posts`.
+ */
+export function getCampaign(id) {
+    return http(`/campaigns/${id}`);
+}
+
+export function createCampaign(campaign) {
+    return http('/campaigns', { method: 'POST', body: campaign });
+}
+
+export function updateCampaign(id, changes) {
+    return http(`/campaigns/${id}`, { method: 'PUT', body: changes });
+}
+
+export function deleteCampaign(id) {
+    return http(`/campaigns/${id}`, { method: 'DELETE' });
+}
+
+// --- Templates ---
+
+export function getTemplates() {
+    return http('/templates');
+}
+
+export function createTemplate(template) {
+    return http('/templates', { method: 'POST', body: template });
+}
+
+export function updateTemplate(id, changes) {
+    return http(`/templates/${id}`, { method: 'PUT', body: changes });
+}
+
+export function deleteTemplate(id) {
+    return http(`/templates/${id}`, { method: 'DELETE' });
+}
+
+/**
+ * Fills a template's placeholders; resolves to the post fields (not saved yet).
+ */
+export function instantiateTemplate(id, variables) {
+    return http(`/templates/${id}/instantiate`, { method: 'POST', body: { variables } });
+}
+
+export function getWorkflow() {
+    return cachedRead('workflow', '/workflow');
+}
+
+export function saveWorkflow(workflow) {
+    return http('/workflow', { method: 'PUT', body: workflow });
+}
+
+// --- Notifications ---
+
+/**
+ * Resolves to `{ items, unread, preferences }` for the current user, newest first.
+ */
+export function getNotifications() {
+    return http('/notifications');
+}
+
+/**
+ * Marks notifications as read; without `ids`, all of them.
+ */
+export function markNotificationsRead(ids) {
+    return http('/notifications/read', { method: 'POST', body: ids ? { ids } : {} });
+}
+
+export function saveNotificationPreferences(preferences) {
+    return http('/notifications/preferences', { method: 'PUT', body: preferences });
+}
+
+/**
+ * Sets the current user's e-mail address (an empty string removes it); resolves to `{ email }`.
+ */
+export function saveEmail(email) {
+    return http('/email', { method: 'PUT', body: { email } });
+}
+
+// --- Webhooks (admin) ---
+
+/**
+ * Resolves to `{ webhooks, events }`: the subscriptions and the event names they can subscribe to.
+ */
+export function getWebhooks() {
+    return http('/webhooks');
+}
+
+export function createWebhook(hook) {
+    return http('/webhooks', { method: 'POST', body: hook });
+}
+
+/**
+ * Updates a subscription; `{ rotateSecret: true }` issues a new signing secret.
+ */
+export function updateWebhook(id, changes) {
+    return http(`/webhooks/${id}`, { method: 'PUT', body: changes });
+}
+
+export function deleteWebhook(id) {
+    return http(`/webhooks/${id}`, { method: 'DELETE' });
+}
+
+export function getWebhookDeliveries(id) {
+    return http(`/webhooks/${id}/deliveries`);
+}
+
+/**
+ * Sends a test event now; resolves to the delivery record.
+ */
+export function sendWebhookTest(id) {
+    return http(`/webhooks/${id}/test`, { method: 'POST' });
+}
+
 export function getLogs(page = 1, per_page = 100, filters = {}) {
     const params = new URLSearchParams(Object.assign({ page, per_page }, filters));
     return http(`/logs?${params.toString()}`);
 }
 
+export function getTrash() {
+    return http('/trash');
+}
+
+export function restoreFromTrash(id) {
+    return http(`/trash/${encodeURIComponent(id)}/restore`, { method: 'POST' });
+}
+
+export function purgeFromTrash(id) {
+    return http(`/trash/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+export function emptyTrash() {
+    return http('/trash', { method: 'DELETE' });
+}
+
 export function getUsers() {
     return http('/users');
 }
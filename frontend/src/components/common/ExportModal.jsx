@@ -19,7 +19,8 @@ import React, { forwardRef, useRef, useImperativeHandle, useState } from 'react'
 import Modal from './Modal.jsx';
 import Button from '../ui/Button';
 import AlertModal from './AlertModal.jsx';
-import { formatISODate, addDays } from '../../utils/date.js';
+import { formatISODate, addDays, VIEWER_TIMEZONE } from '../../utils/date.js';
+import { getCampaigns } from '../../api.js';
 
 const ExportModal = forwardRef(function ExportModal({ weekStart }, ref) {
     const modalRef = useRef(null);
@@ -29,14 +30,20 @@ const ExportModal = forwardRef(function ExportModal({ weekStart }, ref) {
     const [rangeType, setRangeType] = useState('this_week');
     const [customStart, setCustomStart] = useState('');
     const [customEnd, setCustomEnd] = useState('');
+    const [campaigns, setCampaigns] = useState([]);
+    const [campaignId, setCampaignId] = useState('');
 
     useImperativeHandle(ref, () => ({
         show: () => {
             setRangeType('this_week');
             setCustomStart('');
             setCustomEnd('');
+            setCampaignId('');
             setLoading(false);
             modalRef.current?.showModal();
+            getCampaigns()
+                .then(setCampaigns)
+                .catch((err) => console.error('Failed to load campaigns', err));
         },
         close: () => modalRef.current?.close(),
     }));
@@ -72,8 +79,9 @@ const ExportModal = forwardRef(function ExportModal({ weekStart }, ref) {
                 headers['x-user-username'] = user.username;
             }
 
-            // Build the query string with dateFrom and dateTo
-            const params = new URLSearchParams({ dateFrom, dateTo });
+            // Build the query string with dateFrom and dateTo (and the campaign, if any); dates are in our time zone
+            const params = new URLSearchParams({ dateFrom, dateTo, tz: VIEWER_TIMEZONE });
+            if (campaignId) params.set('campaign', campaignId);
             const url = `${BASE}/export/csv?${params.toString()}`;
 
             const response = await fetch(url, {
@@ -123,6 +131,20 @@ const ExportModal = forwardRef(function ExportModal({ weekStart }, ref) {
                 </select>
             </div>
 
+            {campaigns.length > 0 && (
+                <div className="fld">
+                    <span>Campaign</span>
+                    <select value={campaignId} onChange={(e) => setCampaignId(e.target.value)} disabled={loading}>
+                        <option value="">All posts</option>
+                        {campaigns.map((c) => (
+                            <option key={c.id} value={c.id}>
+                                {c.name}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
             {rangeType === 'custom' && (
                 <>
                     <div className="fld">
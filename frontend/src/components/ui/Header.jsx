@@ -19,6 +19,17 @@ import React, { useState, useRef } from 'react';
 import { addDays } from '../../utils/date.js';
 import SearchBox from './SearchBox.jsx';
 import ExportModal from '../common/ExportModal.jsx';
+import NotificationBell from '../../features/notifications/NotificationBell.jsx';
+import OfflineStatus from '../../features/offline/OfflineStatus.jsx';
+
+const VIEW_TITLES = {
+    users: 'User Management',
+    logs: 'Activity Log',
+    trash: 'Trash',
+    workflow: 'Approval Workflow',
+    webhooks: 'Webhooks',
+    campaigns: 'Campaigns',
+};
 
 export default function Header({
     user,
@@ -31,6 +42,7 @@ export default function Header({
     setUser,
     searchTerm,
     setSearchTerm,
+    onJumpToDate,
 }) {
     const [menuOpen, setMenuOpen] = useState(false);
     const exportModalRef = useRef(null);
@@ -61,11 +73,18 @@ export default function Header({
                             </div>
                         </div>
                     ) : (
-                        <div className="view-title">User Management</div>
+                        <div className="view-title">{VIEW_TITLES[view] || ''}</div>
                     )}
                 </div>
 
                 <div className="header-right">
+                    <OfflineStatus />
+                    <NotificationBell
+                        onJump={(date) => {
+                            onJumpToDate(date);
+                            setMenuOpen(false);
+                        }}
+                    />
                     {view === 'calendar' && (
                         <div className="mobile-menu-search">
                             <SearchBox value={searchTerm} onChange={setSearchTerm} onClear={() => setSearchTerm('')} />
@@ -94,8 +113,48 @@ export default function Header({
                             >
                                 View Logs
                             </button>
+                            <button
+                                type="button"
+                                className="btn small"
+                                onClick={() => {
+                                    setView('trash');
+                                    setMenuOpen(false);
+                                }}
+                            >
+                                Trash
+                            </button>
+                            <button
+                                type="button"
+                                className="btn small"
+                                onClick={() => {
+                                    setView('workflow');
+                                    setMenuOpen(false);
+                                }}
+                            >
+                                Workflow
+                            </button>
+                            <button
+                                type="button"
+                                className="btn small"
+                                onClick={() => {
+                                    setView('webhooks');
+                                    setMenuOpen(false);
+                                }}
+                            >
+                                Webhooks
+                            </button>
                         </>
                     )}
+                    <button
+                        type="button"
+                        className="btn small"
+                        onClick={() => {
+                            setView(view === 'campaigns' ? 'calendar' : 'campaigns');
+                            setMenuOpen(false);
+                        }}
+                    >
+                        {view === 'campaigns' ? 'Calendar' : 'Campaigns'}
+                    </button>
                     <button
                         type="button"
                         className="btn small"
@@ -0,0 +1,58 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { subscribe, socketId } from '../api.js';
+
+const PresenceContext = createContext(null);
+
+/**
+ * Keeps the editing presence of every post as pushed by the server: `presence_state` when
+ * the connection opens, then a `presence` event for each post that changes.
+ */
+export function PresenceProvider({ children }) {
+    const [editing, setEditing] = useState({});
+    const [selfId, setSelfId] = useState(socketId());
+
+    useEffect(() => {
+        const unsubscribers = [
+            subscribe('connect', () => setSelfId(socketId())),
+            subscribe('presence_state', (state) => setEditing(state || {})),
+            subscribe('presence', ({ postId, editors }) =>
+                setEditing((prev) => {
+                    const next = { ...prev };
+                    if (editors.length) next[postId] = editors;
+                    else delete next[postId];
+                    return next;
+                })
+            ),
+        ];
+        return () => unsubscribers.forEach((off) => off());
+    }, []);
+
+    return <PresenceContext.Provider value={{ editing, selfId }}>{children}</PresenceContext.Provider>;
+}
+
+/**
+ * Who has a post open in the form: `[{ id, username, since, self }]`, the holder of the soft
+ * lock first. `self` marks this browser window's own entry.
+ */
+export function usePresence(postId) {
+    const ctx = useContext(PresenceContext);
+    if (!ctx) throw new Error('usePresence must be used within PresenceProvider');
+    return ((postId && ctx.editing[postId]) || []).map((e) => ({ ...e, self: e.id === ctx.selfId }));
+}
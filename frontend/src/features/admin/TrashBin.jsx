@@ -0,0 +1,153 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { getTrash, restoreFromTrash, purgeFromTrash, emptyTrash } from '../../api.js';
+import Button from '../../components/ui/Button';
+import { useConfirm } from '../../context/ConfirmProvider';
+import { useToast } from '../../context/ToastProvider';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default function TrashBin() {
+    const [items, setItems] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(30);
+    const [loading, setLoading] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+
+    const confirm = useConfirm();
+    const toast = useToast();
+
+    const fetchTrash = async () => {
+        setLoading(true);
+        try {
+            const res = await getTrash();
+            setItems(res.items || []);
+            setRetentionDays(res.retentionDays || 30);
+        } catch (err) {
+            console.error('Failed to load trash', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchTrash();
+    }, []);
+
+    const handleRestore = async (entry) => {
+        setBusyId(entry.post.id);
+        try {
+            await restoreFromTrash(entry.post.id);
+            toast(`"${entry.post.title}" restored`, 'success');
+            await fetchTrash();
+        } catch (err) {
+            toast(`Restore failed: ${err.message}`, 'error');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handlePurge = (entry) => {
+        confirm(
+            `Permanently delete "${entry.post.title}"? This cannot be undone.`,
+            async () => {
+                try {
+                    await purgeFromTrash(entry.post.id);
+                    await fetchTrash();
+                } catch (err) {
+                    toast(`Delete failed: ${err.message}`, 'error');
+                }
+            },
+            'Delete permanently'
+        );
+    };
+
+    const handleEmpty = () => {
+        confirm(
+            `Permanently delete all ${items.length} post(s) in the trash?`,
+            async () => {
+                try {
+                    await emptyTrash();
+                    await fetchTrash();
+                    toast('Trash emptied', 'success');
+                } catch (err) {
+                    toast(`Empty trash failed: ${err.message}`, 'error');
+                }
+            },
+            'Empty trash'
+        );
+    };
+
+    const daysLeft = (entry) =>
+        Math.max(0, Math.ceil((entry.deletedAt + retentionDays * DAY_MS - Date.now()) / DAY_MS));
+
+    return (
+        <div className="panel admin-panel">
+            <div className="flex-between">
+                <div className="brand">Trash</div>
+                <div className="flex-gap-8">
+                    <div className="muted-small">
+                        {items.length} post(s) · purged after {retentionDays} days
+                    </div>
+                    <Button size="small" variant="secondary" onClick={fetchTrash}>
+                        Refresh
+                    </Button>
+                    <Button size="small" variant="danger" onClick={handleEmpty} disabled={!items.length}>
+                        Empty trash
+                    </Button>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="muted-small mt-12">Loading…</div>
+            ) : items.length === 0 ? (
+                <div className="muted-small mt-12">The trash is empty.</div>
+            ) : (
+                <ul className="remove-list">
+                    {items.map((entry) => (
+                        <li key={entry.post.id} className="remove-item">
+                            <div>
+                                <strong style={{ color: 'var(--accent)' }}>{entry.post.title}</strong>
+                                <div className="muted-small">
+                                    {entry.post.date} {entry.post.isAllDay ? '· all day' : `· ${entry.post.time}`} ·{' '}
+                                    {entry.post.status}
+                                </div>
+                                <div className="muted-small">
+                                    Deleted by {entry.deletedBy || 'unknown'} on{' '}
+                                    {new Date(entry.deletedAt).toLocaleString()} · purged in {daysLeft(entry)} day(s)
+                                </div>
+                            </div>
+                            <div className="flex-gap-8">
+                                <Button
+                                    size="small"
+                                    onClick={() => handleRestore(entry)}
+                                    loading={busyId === entry.post.id}
+                                >
+                                    Restore
+                                </Button>
+                                <Button size="small" variant="danger" onClick={() => handlePurge(entry)}>
+                                    Delete permanently
+                                </Button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
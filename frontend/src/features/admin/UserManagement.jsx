@@ -28,6 +28,7 @@ export default function UserManagement() {
     const [role, setRole] = useState('user');
     const [username, setUsername] = useState('');
     const [tempPassword, setTempPassword] = useState('');
+    const [email, setEmail] = useState('');
     const [users, setUsers] = useState([]);
     const [editing, setEditing] = useState(null);
     const [isCreating, setIsCreating] = useState(false);
@@ -46,6 +47,12 @@ export default function UserManagement() {
         return USERNAME_RE.test(u || '');
     }
 
+    // E-mail is optional; empty counts as valid
+    const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    function validateEmail(e) {
+        return !e || EMAIL_RE.test(e);
+    }
+
     function isStrongPassword(p) {
         if (!p || p.length < 8) return false;
         let classes = 0;
@@ -58,6 +65,7 @@ export default function UserManagement() {
 
     const usernameValid = validateUsername(username);
     const passwordValid = isStrongPassword(tempPassword);
+    const emailValid = validateEmail(email);
 
     useEffect(() => {
         fetchUsers();
@@ -89,10 +97,11 @@ export default function UserManagement() {
         e.preventDefault();
         setIsCreating(true);
         try {
-            await api.post('/users', { username, role, tempPassword });
+            await api.post('/users', { username, role, tempPassword, email: email || undefined });
             toast(`User created — temporary password for ${username}: ${tempPassword}`, 'success');
             setUsername('');
             setTempPassword('');
+            setEmail('');
             await fetchUsers();
         } catch (err) {
             console.error(err);
@@ -120,7 +129,12 @@ export default function UserManagement() {
     };
 
     const openEdit = (u) => {
-        setEditing({ username: u.username, role: u.role, mustChangePassword: !!u.mustChangePassword });
+        setEditing({
+            username: u.username,
+            role: u.role,
+            email: u.email || '',
+            mustChangePassword: !!u.mustChangePassword,
+        });
     };
 
     const saveEdit = async () => {
@@ -129,6 +143,7 @@ export default function UserManagement() {
             // Uses the updateUser helper from api.js
             await updateUser(editing.username, {
                 role: editing.role,
+                email: editing.email || null,
                 mustChangePassword: !!editing.mustChangePassword,
             });
             setEditing(null);
@@ -163,6 +178,16 @@ export default function UserManagement() {
                     error={!usernameValid && username.length > 0 ? 'Invalid username format' : null}
                 />
 
+                <InputField
+                    label="E-mail (optional)"
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="name@example.com"
+                    help="Used for notification e-mails and the Monday digest"
+                    error={!emailValid ? 'Invalid e-mail address' : null}
+                />
+
                 <SelectField label="Access level" value={role} onChange={(e) => setRole(e.target.value)}>
                     <option value="user">User</option>
                     <option value="admin">Admin</option>
@@ -185,7 +210,7 @@ export default function UserManagement() {
                     type="submit"
                     variant="primary"
                     full
-                    disabled={!usernameValid || !passwordValid}
+                    disabled={!usernameValid || !passwordValid || !emailValid}
                     loading={isCreating}
                 >
                     Create account
@@ -211,7 +236,8 @@ export default function UserManagement() {
                                     <div>
                                         <strong style={{ color: 'var(--accent)' }}>{u.username}</strong>
                                         <div className="muted-small">
-                                            {u.role} {u.mustChangePassword ? '· reset required' : ''}
+                                            {u.role} {u.email ? `· ${u.email}` : ''}{' '}
+                                            {u.mustChangePassword ? '· reset required' : ''}
                                         </div>
                                     </div>
                                     <div style={{ display: 'flex', gap: 8 }}>
@@ -255,6 +281,14 @@ export default function UserManagement() {
                             <option value="admin">Admin</option>
                         </select>
                     </div>
+                    <InputField
+                        label="E-mail"
+                        type="email"
+                        value={editing.email}
+                        onChange={(e) => setEditing({ ...editing, email: e.target.value })}
+                        placeholder="name@example.com"
+                        error={!validateEmail(editing.email) ? 'Invalid e-mail address' : null}
+                    />
                     <div className="inline flex-between">
                         <Checkbox
                             checked={editing.mustChangePassword}
@@ -263,7 +297,12 @@ export default function UserManagement() {
                             Require password change
                         </Checkbox>
                         <div className="flex-gap-8">
-                            <Button variant="primary" onClick={saveEdit} loading={isSaving}>
+                            <Button
+                                variant="primary"
+                                onClick={saveEdit}
+                                loading={isSaving}
+                                disabled={!validateEmail(editing.email)}
+                            >
                                 Save
                             </Button>
                             <Button variant="secondary" onClick={() => setEditing(null)}>
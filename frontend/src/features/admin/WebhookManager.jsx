@@ -0,0 +1,298 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+    getWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    getWebhookDeliveries,
+    sendWebhookTest,
+} from '../../api.js';
+import Button from '../../components/ui/Button';
+import Checkbox from '../../components/ui/Checkbox';
+import { InputField } from '../../components/ui/FormField';
+import { useConfirm } from '../../context/ConfirmProvider';
+import { useToast } from '../../context/ToastProvider';
+
+const emptyForm = () => ({ url: '', description: '', events: [] });
+
+/**
+ * Admin view of the outbound webhooks: subscriptions with their events and signing secret,
+ * a test button and the log of delivery attempts.
+ */
+export default function WebhookManager() {
+    const [webhooks, setWebhooks] = useState([]);
+    const [events, setEvents] = useState([]);
+    const [form, setForm] = useState(emptyForm);
+    const [errors, setErrors] = useState({});
+    const [creating, setCreating] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+    const [openId, setOpenId] = useState(null);
+    const [deliveries, setDeliveries] = useState([]);
+    const [shownSecret, setShownSecret] = useState(null);
+
+    const confirm = useConfirm();
+    const toast = useToast();
+
+    const fetchWebhooks = async () => {
+        try {
+            const res = await getWebhooks();
+            setWebhooks(res.webhooks);
+            setEvents(res.events);
+        } catch (err) {
+            console.error('Failed to load webhooks', err);
+        }
+    };
+
+    const fetchDeliveries = async (id) => {
+        try {
+            setDeliveries(await getWebhookDeliveries(id));
+        } catch (err) {
+            toast(`Could not load deliveries: ${err.message}`, 'error');
+        }
+    };
+
+    useEffect(() => {
+        fetchWebhooks();
+    }, []);
+
+    const toggleFormEvent = (event) =>
+        setForm((f) => ({
+            ...f,
+            events: f.events.includes(event) ? f.events.filter((e) => e !== event) : [...f.events, event],
+        }));
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setCreating(true);
+        setErrors({});
+        try {
+            await createWebhook(form);
+            setForm(emptyForm());
+            toast('Webhook added', 'success');
+            await fetchWebhooks();
+        } catch (err) {
+            if (err.status === 422 && err.body?.fields) setErrors(err.body.fields);
+            else toast(`Could not add webhook: ${err.message}`, 'error');
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleUpdate = async (hook, changes, message) => {
+        setBusyId(hook.id);
+        try {
+            await updateWebhook(hook.id, changes);
+            toast(message, 'success');
+            await fetchWebhooks();
+        } catch (err) {
+            toast(`Update failed: ${err.message}`, 'error');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleRotate = (hook) => {
+        confirm(
+            `Issue a new secret for ${hook.url}? The receiver must be updated to verify new deliveries.`,
+            () => handleUpdate(hook, { rotateSecret: true }, 'Secret rotated'),
+            'Rotate secret'
+        );
+    };
+
+    const handleDelete = (hook) => {
+        confirm(
+            `Delete the webhook to ${hook.url}? Pending deliveries are dropped.`,
+            async () => {
+                try {
+                    await deleteWebhook(hook.id);
+                    if (openId === hook.id) setOpenId(null);
+                    await fetchWebhooks();
+                } catch (err) {
+                    toast(`Delete failed: ${err.message}`, 'error');
+                }
+            },
+            'Delete webhook'
+        );
+    };
+
+    const handleTest = async (hook) => {
+        setBusyId(hook.id);
+        try {
+            const delivery = await sendWebhookTest(hook.id);
+            if (delivery.status === 'delivered') toast(`Test delivered (HTTP ${delivery.statusCode})`, 'success');
+            else toast(`Test failed: ${delivery.error}`, 'error');
+            if (openId === hook.id) await fetchDeliveries(hook.id);
+        } catch (err) {
+            toast(`Test failed: ${err.message}`, 'error');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const toggleDeliveries = (hook) => {
+        if (openId === hook.id) {
+            setOpenId(null);
+            return;
+        }
+        setOpenId(hook.id);
+        setDeliveries([]);
+        fetchDeliveries(hook.id);
+    };
+
+    return (
+        <div className="panel admin-panel grid-gap-12">
+            <div className="flex-between">
+                <div className="brand">Webhooks</div>
+                <Button size="small" variant="secondary" onClick={fetchWebhooks}>
+                    Refresh
+                </Button>
+            </div>
+
+            <form onSubmit={handleCreate}>
+                <InputField
+                    label="Payload URL"
+                    value={form.url}
+                    onChange={(e) => setForm({ ...form, url: e.target.value })}
+                    placeholder="https://example.com/hooks/planner"
+                    required
+                    error={errors.url}
+                />
+                <InputField
+                    label="Description"
+                    value={form.description}
+                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                    error={errors.description}
+                />
+                <div className="checkboxes">
+                    {events.map((event) => (
+                        <Checkbox
+                            key={event}
+                            checked={form.events.includes(event)}
+                            onChange={() => toggleFormEvent(event)}
+                        >
+                            {event}
+                        </Checkbox>
+                    ))}
+                </div>
+                {errors.events && <div className="form-help-danger">{errors.events}</div>}
+                <Button type="submit" variant="primary" loading={creating} disabled={!form.url || !form.events.length}>
+                    Add webhook
+                </Button>
+            </form>
+
+            <div className="muted-small">
+                Each delivery is a JSON POST signed with the webhook&apos;s secret: <code>X-Webhook-Signature</code> is{' '}
+                <code>sha256=</code> followed by the HMAC-SHA256 of{' '}
+                <code>&lt;X-Webhook-Timestamp&gt;.&lt;body&gt;</code>.
+            </div>
+
+            <ul className="remove-list">
+                {webhooks.length === 0 && <li className="muted-small">No webhooks yet.</li>}
+                {webhooks.map((hook) => (
+                    <li key={hook.id} className="webhook-item">
+                        <div className="remove-item">
+                            <div>
+                                <strong style={{ color: 'var(--accent)' }}>{hook.url}</strong>
+                                {!hook.active && <span className="badge webhook-disabled">disabled</span>}
+                                {hook.description && <div className="muted-small">{hook.description}</div>}
+                                <div className="muted-small">{hook.events.join(' · ')}</div>
+                                <div className="muted-small">
+                                    Secret:{' '}
+                                    {shownSecret === hook.id ? (
+                                        <code>{hook.secret}</code>
+                                    ) : (
+                                        <Button
+                                            size="small"
+                                            variant="secondary"
+                                            onClick={() => setShownSecret(hook.id)}
+                                        >
+                                            Show
+                                        </Button>
+                                    )}
+                                </div>
+                            </div>
+                            <div className="flex-gap-8">
+                                <Button size="small" onClick={() => handleTest(hook)} loading={busyId === hook.id}>
+                                    Send test event
+                                </Button>
+                                <Button size="small" onClick={() => toggleDeliveries(hook)}>
+                                    {openId === hook.id ? 'Hide deliveries' : 'Deliveries'}
+                                </Button>
+                                <Button
+                                    size="small"
+                                    onClick={() =>
+                                        handleUpdate(
+                                            hook,
+                                            { active: !hook.active },
+                                            hook.active ? 'Webhook disabled' : 'Webhook enabled'
+                                        )
+                                    }
+                                >
+                                    {hook.active ? 'Disable' : 'Enable'}
+                                </Button>
+                                <Button size="small" onClick={() => handleRotate(hook)}>
+                                    Rotate secret
+                                </Button>
+                                <Button size="small" variant="danger" onClick={() => handleDelete(hook)}>
+                                    Delete
+                                </Button>
+                            </div>
+                        </div>
+                        {openId === hook.id && (
+                            <table className="webhook-deliveries">
+                                <thead>
+                                    <tr>
+                                        <th>Time</th>
+                                        <th>Event</th>
+                                        <th>Attempt</th>
+                                        <th>Result</th>
+                                        <th>Duration</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {deliveries.map((d) => (
+                                        <tr key={d.id} className={`delivery-${d.status}`}>
+                                            <td>{new Date(d.time).toLocaleString()}</td>
+                                            <td>{d.event}</td>
+                                            <td>{d.attempt}</td>
+                                            <td title={d.response}>
+                                                {d.status}
+                                                {d.statusCode ? ` · HTTP ${d.statusCode}` : ''}
+                                                {d.error && d.status !== 'delivered' ? ` · ${d.error}` : ''}
+                                            </td>
+                                            <td>{d.durationMs} ms</td>
+                                        </tr>
+                                    ))}
+                                    {deliveries.length === 0 && (
+                                        <tr>
+                                            <td colSpan={5} className="muted-small">
+                                                No deliveries yet.
+                                            </td>
+                                        </tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
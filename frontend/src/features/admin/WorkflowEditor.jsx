@@ -0,0 +1,266 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { saveWorkflow } from '../../api.js';
+import Button from '../../components/ui/Button';
+import Checkbox from '../../components/ui/Checkbox';
+import { useToast } from '../../context/ToastProvider';
+import { ANY_STATUS, WORKFLOW_ROLES, REQUIRABLE_FIELDS } from '../../utils/workflow.js';
+import { POST_FIELD_LABELS } from '../../utils/post-fields.js';
+
+const statusName = (s) => (s && typeof s === 'object' ? s.name || s.value || '' : s);
+
+const splitUsers = (text) =>
+    text
+        .split(',')
+        .map((u) => u.trim())
+        .filter(Boolean);
+
+// Local row keys, so that removing a transition does not shift the other rows' inputs
+let nextKey = 0;
+const withKeys = (workflow) => ({
+    ...workflow,
+    transitions: workflow.transitions.map((t) => ({ ...t, key: nextKey++ })),
+});
+
+/**
+ * Admin editor for the approval workflow: which statuses take part (in order), who may move
+ * posts between them, and which fields each status requires.
+ */
+export default function WorkflowEditor({ lists, workflow, onSaved }) {
+    const [draft, setDraft] = useState(() => withKeys(workflow));
+    const [errors, setErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+    const toast = useToast();
+
+    useEffect(() => {
+        setDraft(withKeys(workflow));
+        setErrors({});
+    }, [workflow]);
+
+    const allStatuses = lists.statuses.map(statusName).filter(Boolean);
+    const unused = allStatuses.filter((s) => !draft.statuses.includes(s));
+
+    const update = (changes) => setDraft((d) => ({ ...d, ...changes }));
+
+    const addStatus = (name) => {
+        if (name) update({ statuses: [...draft.statuses, name] });
+    };
+
+    const moveStatus = (idx, delta) => {
+        const statuses = draft.statuses.slice();
+        const [s] = statuses.splice(idx, 1);
+        statuses.splice(idx + delta, 0, s);
+        update({ statuses });
+    };
+
+    // Dropping a status also drops the transitions and requirements that mention it
+    const removeStatus = (name) => {
+        update({
+            statuses: draft.statuses.filter((s) => s !== name),
+            transitions: draft.transitions.filter((t) => t.from !== name && t.to !== name),
+            requiredFields: Object.fromEntries(Object.entries(draft.requiredFields).filter(([s]) => s !== name)),
+        });
+    };
+
+    const updateTransition = (idx, changes) =>
+        update({ transitions: draft.transitions.map((t, i) => (i === idx ? { ...t, ...changes } : t)) });
+
+    const addTransition = () =>
+        update({
+            transitions: [
+                ...draft.transitions,
+                {
+                    key: nextKey++,
+                    from: draft.statuses[0] || ANY_STATUS,
+                    to: draft.statuses[1] || draft.statuses[0],
+                    roles: [],
+                    users: [],
+                },
+            ],
+        });
+
+    const toggleRole = (idx, role) => {
+        const roles = draft.transitions[idx].roles;
+        updateTransition(idx, { roles: roles.includes(role) ? roles.filter((r) => r !== role) : [...roles, role] });
+    };
+
+    const toggleRequired = (status, field) => {
+        const fields = draft.requiredFields[status] || [];
+        const next = fields.includes(field) ? fields.filter((f) => f !== field) : [...fields, field];
+        update({ requiredFields: { ...draft.requiredFields, [status]: next } });
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        setErrors({});
+        try {
+            const saved = await saveWorkflow({
+                ...draft,
+                transitions: draft.transitions.map(({ key: _key, ...t }) => t),
+            });
+            onSaved(saved);
+            toast('Workflow saved', 'success');
+        } catch (err) {
+            if (err.status === 422 && err.body?.fields) {
+                setErrors(err.body.fields);
+                toast('Please fix the highlighted settings', 'warning');
+            } else {
+                toast(`Save failed: ${err.message}`, 'error');
+            }
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const errorText = (key) => (errors[key] ? <div className="form-help-danger">{errors[key]}</div> : null);
+
+    return (
+        <div className="panel admin-panel grid-gap-12">
+            <div className="flex-between">
+                <div className="brand">Approval Workflow</div>
+                <div className="flex-gap-8">
+                    <Checkbox checked={draft.enabled} onChange={(e) => update({ enabled: e.target.checked })}>
+                        Enforce workflow
+                    </Checkbox>
+                    <Button size="small" variant="secondary" onClick={() => setDraft(withKeys(workflow))}>
+                        Discard changes
+                    </Button>
+                    <Button size="small" onClick={handleSave} loading={saving}>
+                        Save
+                    </Button>
+                </div>
+            </div>
+
+            <section>
+                <h3 className="panel-title">Statuses</h3>
+                <div className="muted-small">New posts start in the first status.</div>
+                <ol className="workflow-statuses">
+                    {draft.statuses.map((s, idx) => (
+                        <li key={s} className="remove-item">
+                            <span className="badge">{s}</span>
+                            <div className="flex-gap-8">
+                                <Button size="small" onClick={() => moveStatus(idx, -1)} disabled={idx === 0}>
+                                    ↑
+                                </Button>
+                                <Button
+                                    size="small"
+                                    onClick={() => moveStatus(idx, 1)}
+                                    disabled={idx === draft.statuses.length - 1}
+                                >
+                                    ↓
+                                </Button>
+                                <Button size="small" variant="danger" onClick={() => removeStatus(s)}>
+                                    Remove
+                                </Button>
+                            </div>
+                        </li>
+                    ))}
+                </ol>
+                {unused.length > 0 && (
+                    <select value="" onChange={(e) => addStatus(e.target.value)}>
+                        <option value="">Add a status…</option>
+                        {unused.map((s) => (
+                            <option key={s} value={s}>
+                                {s}
+                            </option>
+                        ))}
+                    </select>
+                )}
+                {errorText('statuses')}
+            </section>
+
+            <section>
+                <h3 className="panel-title">Transitions</h3>
+                <div className="muted-small">
+                    With no roles or users ticked, anyone may perform a transition. Status changes not listed here are
+                    refused.
+                </div>
+                {draft.transitions.map((t, idx) => (
+                    <div key={t.key} className="workflow-transition">
+                        <select value={t.from} onChange={(e) => updateTransition(idx, { from: e.target.value })}>
+                            <option value={ANY_STATUS}>Any status</option>
+                            {draft.statuses.map((s) => (
+                                <option key={s} value={s}>
+                                    {s}
+                                </option>
+                            ))}
+                        </select>
+                        <span>→</span>
+                        <select value={t.to} onChange={(e) => updateTransition(idx, { to: e.target.value })}>
+                            {draft.statuses.map((s) => (
+                                <option key={s} value={s}>
+                                    {s}
+                                </option>
+                            ))}
+                        </select>
+                        {WORKFLOW_ROLES.map((role) => (
+                            <Checkbox
+                                key={role}
+                                checked={t.roles.includes(role)}
+                                onChange={() => toggleRole(idx, role)}
+                            >
+                                {role}
+                            </Checkbox>
+                        ))}
+                        <input
+                            type="text"
+                            placeholder="Users (comma-separated)"
+                            defaultValue={t.users.join(', ')}
+                            onBlur={(e) => updateTransition(idx, { users: splitUsers(e.target.value) })}
+                        />
+                        <Button
+                            size="small"
+                            variant="danger"
+                            onClick={() => update({ transitions: draft.transitions.filter((_, i) => i !== idx) })}
+                        >
+                            －
+                        </Button>
+                        {errorText(`transitions[${idx}]`)}
+                    </div>
+                ))}
+                <Button size="small" onClick={addTransition} disabled={!draft.statuses.length}>
+                    ＋ Add transition
+                </Button>
+                {errorText('transitions')}
+            </section>
+
+            <section>
+                <h3 className="panel-title">Required fields</h3>
+                <div className="muted-small">A post cannot enter a status until these fields are filled in.</div>
+                {draft.statuses.map((s) => (
+                    <div key={s} className="workflow-required">
+                        <span className="badge">{s}</span>
+                        <div className="checkboxes">
+                            {REQUIRABLE_FIELDS.map((field) => (
+                                <Checkbox
+                                    key={field}
+                                    checked={(draft.requiredFields[s] || []).includes(field)}
+                                    onChange={() => toggleRequired(s, field)}
+                                >
+                                    {POST_FIELD_LABELS[field]}
+                                </Checkbox>
+                            ))}
+                        </div>
+                        {errorText(`requiredFields.${s}`)}
+                    </div>
+                ))}
+            </section>
+        </div>
+    );
+}
@@ -0,0 +1,115 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useState } from 'react';
+import Button from '../../components/ui/Button';
+
+const LIST_FIELDS = ['creators', 'designers', 'editors', 'platforms'];
+
+const itemName = (item) => (typeof item === 'string' ? item : item?.name || item?.value || '');
+
+/**
+ * Actions applied to every selected post in the week view. Each action calls
+ * `onApply(operations)` with operations in the format of POST /api/posts/bulk.
+ */
+export default function BulkActionBar({ count, lists, busy, onApply, onSelectAll, onClear }) {
+    const statuses = (lists.statuses || []).map(itemName);
+    const [status, setStatus] = useState(statuses[0] || '');
+    const [days, setDays] = useState(7);
+    const [field, setField] = useState('creators');
+    const [value, setValue] = useState('');
+
+    const names = (lists[field] || []).map(itemName).filter(Boolean);
+    const selectedName = names.includes(value) ? value : names[0] || '';
+    const disabled = busy || count === 0;
+
+    return (
+        <div className="bulk-bar" role="toolbar" aria-label="Bulk actions">
+            <span className="bulk-count">{count} selected</span>
+            <Button size="small" onClick={onSelectAll} disabled={busy}>
+                Select all
+            </Button>
+            <Button size="small" onClick={onClear} disabled={disabled}>
+                Clear
+            </Button>
+
+            <span className="inline">
+                <select aria-label="Status" value={status} onChange={(e) => setStatus(e.target.value)}>
+                    {statuses.map((s) => (
+                        <option key={s} value={s}>
+                            {s}
+                        </option>
+                    ))}
+                </select>
+                <Button size="small" onClick={() => onApply([{ op: 'setStatus', status }])} disabled={disabled}>
+                    Set status
+                </Button>
+            </span>
+
+            <span className="inline">
+                <input
+                    type="number"
+                    aria-label="Days"
+                    value={days}
+                    onChange={(e) => setDays(parseInt(e.target.value, 10) || 0)}
+                />
+                <Button
+                    size="small"
+                    onClick={() => onApply([{ op: 'shiftDays', days }])}
+                    disabled={disabled || days === 0}
+                >
+                    Shift days
+                </Button>
+            </span>
+
+            <span className="inline">
+                <select aria-label="Field" value={field} onChange={(e) => setField(e.target.value)}>
+                    {LIST_FIELDS.map((f) => (
+                        <option key={f} value={f}>
+                            {f}
+                        </option>
+                    ))}
+                </select>
+                <select aria-label="Name" value={selectedName} onChange={(e) => setValue(e.target.value)}>
+                    {names.map((n) => (
+                        <option key={n} value={n}>
+                            {n}
+                        </option>
+                    ))}
+                </select>
+                <Button
+                    size="small"
+                    onClick={() => onApply([{ op: 'add', field, values: [selectedName] }])}
+                    disabled={disabled || !selectedName}
+                >
+                    Add
+                </Button>
+                <Button
+                    size="small"
+                    onClick={() => onApply([{ op: 'remove', field, values: [selectedName] }])}
+                    disabled={disabled || !selectedName}
+                >
+                    Remove
+                </Button>
+            </span>
+
+            <Button size="small" variant="danger" onClick={() => onApply([{ op: 'delete' }])} disabled={disabled}>
+                Delete
+            </Button>
+        </div>
+    );
+}
@@ -0,0 +1,125 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { forwardRef, useImperativeHandle, useRef, useState } from 'react';
+import Modal from '../../components/common/Modal';
+import Button from '../../components/ui/Button';
+import { POST_FIELD_LABELS, sameValue, formatFieldValue } from '../../utils/post-fields.js';
+
+/**
+ * Field-by-field merge dialog shown when a save hits a version conflict.
+ * Imperative API: show(base, mine, current, onResolve) where `base` is the copy the
+ * edit started from; `onResolve(merged)` receives `current` with the chosen values applied.
+ */
+const ConflictModal = forwardRef(function ConflictModal(_, ref) {
+    const modalRef = useRef(null);
+    const onResolveRef = useRef(null);
+    const [rows, setRows] = useState([]);
+    const [choices, setChoices] = useState({});
+    const [theirs, setTheirs] = useState({});
+    const [loading, setLoading] = useState(false);
+
+    useImperativeHandle(ref, () => ({
+        show: (base, mine, current, onResolve) => {
+            const diff = Object.keys(POST_FIELD_LABELS)
+                .filter((k) => !sameValue(mine[k], current[k]))
+                .map((k) => {
+                    const theyChanged = !sameValue(base?.[k], current[k]);
+                    const conflict = theyChanged && !sameValue(base?.[k], mine[k]);
+                    return { field: k, mine: mine[k], theirs: current[k], conflict, theyChanged };
+                });
+            // Keep your edits by default, but take theirs where only they touched the field
+            setChoices(
+                Object.fromEntries(diff.map((r) => [r.field, r.theyChanged && !r.conflict ? 'theirs' : 'mine']))
+            );
+            setRows(diff);
+            setTheirs(current);
+            onResolveRef.current = onResolve;
+            setLoading(false);
+            modalRef.current?.showModal();
+        },
+        close: () => modalRef.current?.close(),
+    }));
+
+    const handleApply = async () => {
+        const merged = { ...theirs };
+        for (const r of rows) merged[r.field] = choices[r.field] === 'mine' ? r.mine : r.theirs;
+        setLoading(true);
+        try {
+            modalRef.current?.close();
+            await Promise.resolve(onResolveRef.current && onResolveRef.current(merged));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Modal ref={modalRef} title="This post was changed by someone else" className="conflict-modal">
+            <div className="muted-small">
+                {theirs.updatedBy ? `Saved by ${theirs.updatedBy}` : 'Saved by another user'}
+                {theirs.updatedAt ? ` on ${new Date(theirs.updatedAt).toLocaleString()}` : ''}. Choose which value to
+                keep for each field.
+            </div>
+            {rows.length === 0 ? (
+                <div className="mt-12">Your changes match the current version.</div>
+            ) : (
+                <table className="merge-table mt-12">
+                    <thead>
+                        <tr>
+                            <th>Field</th>
+                            <th>Yours</th>
+                            <th>Theirs</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((r) => (
+                            <tr key={r.field} className={r.conflict ? 'is-conflict' : ''}>
+                                <td>
+                                    {POST_FIELD_LABELS[r.field]}
+                                    {r.conflict && <div className="form-help-danger">Both changed</div>}
+                                </td>
+                                {['mine', 'theirs'].map((side) => (
+                                    <td key={side}>
+                                        <label className="merge-option">
+                                            <input
+                                                type="radio"
+                                                name={`merge-${r.field}`}
+                                                checked={choices[r.field] === side}
+                                                onChange={() => setChoices((c) => ({ ...c, [r.field]: side }))}
+                                            />
+                                            <span>{formatFieldValue(r[side], r.field)}</span>
+                                        </label>
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            <div className="modal-actions">
+                <Button variant="secondary" size="small" onClick={() => modalRef.current?.close()} disabled={loading}>
+                    Cancel
+                </Button>
+                <Button variant="primary" size="small" onClick={handleApply} loading={loading}>
+                    Save merged
+                </Button>
+            </div>
+        </Modal>
+    );
+});
+
+export default ConflictModal;
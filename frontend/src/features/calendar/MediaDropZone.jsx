@@ -0,0 +1,125 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useRef, useState } from 'react';
+import { uploadMedia, removeMedia, mediaUrl } from '../../api.js';
+import Button from '../../components/ui/Button';
+import { useConfirm } from '../../context/ConfirmProvider';
+import { useToast } from '../../context/ToastProvider';
+
+const ACCEPT = 'image/jpeg,image/png,image/gif,image/webp,application/pdf,video/mp4';
+
+const formatSize = (bytes) =>
+    bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+/**
+ * Attachment list and drop zone of the post editor. Files are uploaded straight away;
+ * `onChange(post)` receives the updated post returned by the server.
+ */
+export default function MediaDropZone({ post, onChange }) {
+    const [dragging, setDragging] = useState(false);
+    const [uploading, setUploading] = useState(false);
+    const inputRef = useRef(null);
+    const confirm = useConfirm();
+    const toast = useToast();
+
+    const attachments = post.attachments || [];
+
+    const upload = async (fileList) => {
+        const files = Array.from(fileList || []);
+        if (!files.length) return;
+        setUploading(true);
+        try {
+            const updated = await uploadMedia(post.id, files);
+            onChange(updated);
+            toast(`${files.length} file(s) attached`, 'success');
+        } catch (err) {
+            toast(`Upload failed: ${err.message}`, 'error');
+        } finally {
+            setUploading(false);
+            if (inputRef.current) inputRef.current.value = '';
+        }
+    };
+
+    const handleRemove = (a) =>
+        confirm(
+            `Remove "${a.name}" from this post?`,
+            async () => {
+                try {
+                    onChange(await removeMedia(post.id, a.hash));
+                } catch (err) {
+                    toast(`Remove failed: ${err.message}`, 'error');
+                }
+            },
+            'Remove attachment'
+        );
+
+    const onDrop = (e) => {
+        e.preventDefault();
+        setDragging(false);
+        upload(e.dataTransfer.files);
+    };
+
+    return (
+        <div className="media-field">
+            {attachments.length > 0 && (
+                <ul className="media-list">
+                    {attachments.map((a) => (
+                        <li key={a.hash} className="media-item">
+                            <a href={mediaUrl(a.hash)} target="_blank" rel="noopener noreferrer" title={a.name}>
+                                {a.thumb ? (
+                                    <img src={mediaUrl(a.hash, true)} alt={a.name} loading="lazy" />
+                                ) : (
+                                    <span className="media-file">{a.mime.split('/')[1].toUpperCase()}</span>
+                                )}
+                            </a>
+                            <span className="muted-small media-name">
+                                {a.name} · {formatSize(a.size)}
+                            </span>
+                            <Button size="small" variant="danger" onClick={() => handleRemove(a)} aria-label="Remove">
+                                ✕
+                            </Button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div
+                className={`drop-zone ${dragging ? 'dragging' : ''}`}
+                role="button"
+                tabIndex={0}
+                onClick={() => inputRef.current?.click()}
+                onKeyDown={(e) => (e.key === 'Enter' || e.key === ' ') && inputRef.current?.click()}
+                onDragOver={(e) => {
+                    e.preventDefault();
+                    setDragging(true);
+                }}
+                onDragLeave={() => setDragging(false)}
+                onDrop={onDrop}
+            >
+                {uploading ? 'Uploading…' : 'Drop images, PDFs or videos here, or click to choose'}
+                <input
+                    ref={inputRef}
+                    type="file"
+                    multiple
+                    accept={ACCEPT}
+                    hidden
+                    onChange={(e) => upload(e.target.files)}
+                />
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,71 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { searchPosts } from '../../api.js';
+import Checkbox from '../../components/ui/Checkbox';
+import { STAGE_LABELS, overdueStages } from '../../utils/stages.js';
+
+/**
+ * Sidebar filter for posts with a production stage past its deadline. While `enabled`, the
+ * calendar only shows overdue posts and the overdue posts of every week are listed here;
+ * clicking one calls `onJump(post)`.
+ */
+export default function OverdueFilter({ enabled, onToggle, refreshTrigger, onJump }) {
+    const [items, setItems] = useState([]);
+    const [total, setTotal] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        searchPosts({ overdue: 'true', limit: 100 })
+            .then((res) => {
+                if (cancelled) return;
+                setItems(res.items);
+                setTotal(res.total);
+            })
+            .catch((err) => console.error('Failed to load overdue posts', err));
+        return () => {
+            cancelled = true;
+        };
+    }, [refreshTrigger]);
+
+    return (
+        <div className="overdue-filter">
+            <Checkbox checked={enabled} onChange={() => onToggle(!enabled)} className={total ? 'overdue' : ''}>
+                Overdue ({total})
+            </Checkbox>
+            {enabled && (
+                <ul className="remove-list mt-12">
+                    {items.map((post) => (
+                        <li key={post.id} className="remove-item">
+                            <button type="button" className="search-hit" onClick={() => onJump(post)}>
+                                <span className="search-hit-date">{post.date}</span>
+                                <span className="search-hit-title">{post.title}</span>
+                                <span className="muted-small">
+                                    {overdueStages(post)
+                                        .map((role) => STAGE_LABELS[role])
+                                        .join(', ')}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                    {items.length === 0 && <li className="muted-small">Nothing is overdue.</li>}
+                </ul>
+            )}
+        </div>
+    );
+}
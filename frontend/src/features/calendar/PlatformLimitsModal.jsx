@@ -0,0 +1,165 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { forwardRef, useImperativeHandle, useRef, useState } from 'react';
+import Modal from '../../components/common/Modal';
+import Button from '../../components/ui/Button';
+import { getPublishing, updatePlatformMeta } from '../../api.js';
+import { useToast } from '../../context/ToastProvider';
+
+// Empty inputs mean "no limit"
+const toInput = (v) => (v === null || v === undefined ? '' : String(v));
+const toLimit = (v) => (v === '' ? null : Number(v));
+
+/**
+ * Admin editor for the per-platform limits used by the platform copy counters, and for the
+ * publishing connector of each platform.
+ * Imperative API: show(platformMeta) with the effective limits from `lists.platformMeta`.
+ */
+const PlatformLimitsModal = forwardRef(function PlatformLimitsModal(_, ref) {
+    const modalRef = useRef(null);
+    const [rows, setRows] = useState({});
+    const [savingName, setSavingName] = useState(null);
+    const [connectors, setConnectors] = useState([]);
+    const toast = useToast();
+
+    useImperativeHandle(ref, () => ({
+        show: (platformMeta) => {
+            setRows(
+                Object.fromEntries(
+                    Object.entries(platformMeta || {}).map(([name, m]) => [
+                        name,
+                        {
+                            maxChars: toInput(m.maxChars),
+                            maxHashtags: toInput(m.maxHashtags),
+                            allowLinks: m.allowLinks,
+                            connector: m.connector || '',
+                        },
+                    ])
+                )
+            );
+            modalRef.current?.showModal();
+            getPublishing()
+                .then((res) => setConnectors(res.connectors))
+                .catch((err) => console.error('Failed to load connectors', err));
+        },
+        close: () => modalRef.current?.close(),
+    }));
+
+    const update = (name, changes) => setRows((r) => ({ ...r, [name]: { ...r[name], ...changes } }));
+
+    const save = async (name) => {
+        const row = rows[name];
+        setSavingName(name);
+        try {
+            await updatePlatformMeta(name, {
+                maxChars: toLimit(row.maxChars),
+                maxHashtags: toLimit(row.maxHashtags),
+                allowLinks: row.allowLinks,
+                connector: row.connector || null,
+            });
+            toast(`${name} settings saved`, 'success');
+        } catch (err) {
+            const fields = err.body?.fields;
+            toast(fields ? Object.values(fields).join(' ') : `Save failed: ${err.message}`, 'error');
+        } finally {
+            setSavingName(null);
+        }
+    };
+
+    return (
+        <Modal ref={modalRef} title="Platform limits and publishing">
+            <div className="muted-small">
+                Leave a limit empty for no limit. Platforms with a connector publish due posts automatically.
+            </div>
+            <table className="platform-limits">
+                <thead>
+                    <tr>
+                        <th>Platform</th>
+                        <th>Characters</th>
+                        <th>Hashtags</th>
+                        <th>Links</th>
+                        <th>Publishing</th>
+                        <th />
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.entries(rows).map(([name, row]) => (
+                        <tr key={name}>
+                            <td>{name}</td>
+                            <td>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={row.maxChars}
+                                    onChange={(e) => update(name, { maxChars: e.target.value })}
+                                    aria-label={`${name} character limit`}
+                                />
+                            </td>
+                            <td>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={row.maxHashtags}
+                                    onChange={(e) => update(name, { maxHashtags: e.target.value })}
+                                    aria-label={`${name} hashtag limit`}
+                                />
+                            </td>
+                            <td>
+                                <input
+                                    type="checkbox"
+                                    checked={row.allowLinks}
+                                    onChange={(e) => update(name, { allowLinks: e.target.checked })}
+                                    aria-label={`${name} allows links`}
+                                />
+                            </td>
+                            <td>
+                                <select
+                                    value={row.connector}
+                                    onChange={(e) => update(name, { connector: e.target.value })}
+                                    aria-label={`${name} publishing connector`}
+                                >
+                                    <option value="">By hand</option>
+                                    {connectors.map((c) => (
+                                        <option key={c.name} value={c.name}>
+                                            {c.label}
+                                        </option>
+                                    ))}
+                                    {row.connector && !connectors.some((c) => c.name === row.connector) && (
+                                        <option value={row.connector}>{row.connector}</option>
+                                    )}
+                                </select>
+                            </td>
+                            <td>
+                                <Button size="small" onClick={() => save(name)} loading={savingName === name}>
+                                    Save
+                                </Button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="modal-actions">
+                <Button variant="secondary" size="small" onClick={() => modalRef.current?.close()}>
+                    Close
+                </Button>
+            </div>
+        </Modal>
+    );
+});
+
+export default PlatformLimitsModal;
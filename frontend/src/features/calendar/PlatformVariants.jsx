@@ -0,0 +1,118 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useState } from 'react';
+import { emptyVariant, countChars, parseHashtags, composeVariant, checkVariantLimits } from '../../utils/variants.js';
+
+const formatTags = (tags) => (tags || []).map((t) => `#${t}`).join(' ');
+
+/**
+ * Per-platform copy for the selected platforms: caption, hashtags, link and first comment,
+ * with live counters against the platform limits and a preview of the published text.
+ */
+export default function PlatformVariants({ platforms, variants, platformMeta, errors, onChange }) {
+    // Hashtag text being typed, per platform (normalised into `hashtags` as it changes)
+    const [tagDrafts, setTagDrafts] = useState({});
+    const [previewing, setPreviewing] = useState(null);
+
+    if (!platforms.length) return <div className="muted-small">Select platforms to write their copy.</div>;
+
+    const update = (platform, changes) =>
+        onChange({ ...variants, [platform]: { ...emptyVariant(), ...variants?.[platform], ...changes } });
+
+    return (
+        <div className="variants">
+            {platforms.map((platform) => {
+                const variant = { ...emptyVariant(), ...variants?.[platform] };
+                const meta = platformMeta?.[platform] || { maxChars: null, maxHashtags: null, allowLinks: true };
+                const over = checkVariantLimits(variant, meta);
+                const chars = countChars(composeVariant(variant));
+                const err = (field) => errors[`variants.${platform}.${field}`] || over[field];
+
+                return (
+                    <fieldset key={platform} className={`variant ${Object.keys(over).length ? 'over-limit' : ''}`}>
+                        <legend>{platform}</legend>
+
+                        <textarea
+                            rows={3}
+                            value={variant.caption}
+                            onChange={(e) => update(platform, { caption: e.target.value })}
+                            placeholder={`Caption for ${platform}`}
+                            aria-label={`${platform} caption`}
+                        />
+                        <div className={`variant-counter ${over.caption ? 'danger' : ''}`}>
+                            {chars}
+                            {meta.maxChars !== null && ` / ${meta.maxChars}`} characters
+                        </div>
+                        {err('caption') && <div className="form-help-danger">{err('caption')}</div>}
+
+                        <input
+                            value={tagDrafts[platform] ?? formatTags(variant.hashtags)}
+                            onChange={(e) => {
+                                setTagDrafts((d) => ({ ...d, [platform]: e.target.value }));
+                                update(platform, { hashtags: parseHashtags(e.target.value) });
+                            }}
+                            onBlur={() => setTagDrafts(({ [platform]: _done, ...rest }) => rest)}
+                            placeholder="#hashtags"
+                            aria-label={`${platform} hashtags`}
+                        />
+                        <div className={`variant-counter ${over.hashtags ? 'danger' : ''}`}>
+                            {variant.hashtags.length}
+                            {meta.maxHashtags !== null && ` / ${meta.maxHashtags}`} hashtags
+                        </div>
+                        {err('hashtags') && <div className="form-help-danger">{err('hashtags')}</div>}
+
+                        <input
+                            type="url"
+                            value={variant.link}
+                            onChange={(e) => update(platform, { link: e.target.value })}
+                            placeholder={meta.allowLinks ? 'https://' : 'Links are not allowed on this platform'}
+                            disabled={!meta.allowLinks && !variant.link}
+                            aria-label={`${platform} link`}
+                        />
+                        {err('link') && <div className="form-help-danger">{err('link')}</div>}
+
+                        <textarea
+                            rows={2}
+                            value={variant.firstComment}
+                            onChange={(e) => update(platform, { firstComment: e.target.value })}
+                            placeholder="First comment (optional)"
+                            aria-label={`${platform} first comment`}
+                        />
+                        {err('firstComment') && <div className="form-help-danger">{err('firstComment')}</div>}
+
+                        <button
+                            type="button"
+                            className="variant-preview-toggle"
+                            onClick={() => setPreviewing(previewing === platform ? null : platform)}
+                        >
+                            {previewing === platform ? 'Hide preview' : 'Preview'}
+                        </button>
+                        {previewing === platform && (
+                            <div className="variant-preview">
+                                <div className="variant-preview-text">{composeVariant(variant) || '—'}</div>
+                                {variant.firstComment && (
+                                    <div className="variant-preview-comment">💬 {variant.firstComment}</div>
+                                )}
+                            </div>
+                        )}
+                    </fieldset>
+                );
+            })}
+        </div>
+    );
+}
@@ -17,6 +17,13 @@
 
 import React from 'react';
 import Button from '../../components/ui/Button';
+import { describeRecurrence } from '../../utils/recurrence.js';
+import { STAGE_LABELS, stageDueDate, overdueStages } from '../../utils/stages.js';
+import { mediaUrl } from '../../api.js';
+import { usePresence } from '../../context/PresenceProvider';
+
+// Thumbnails shown on a card; the rest are summarised as "+N"
+const MAX_THUMBS = 3;
 
 const getStatusColor = (statusName, statusesList = []) => {
     const statusObj = statusesList.find((s) => {
@@ -27,16 +34,58 @@ const getStatusColor = (statusName, statusesList = []) => {
     return typeof statusObj === 'string' ? '#FFFFFF' : statusObj.color || '#FFFFFF';
 };
 
-export default function PostCard({ post, onDelete, onEdit, statusesList }) {
+export default function PostCard({
+    post,
+    onDelete,
+    onEdit,
+    statusesList,
+    campaign,
+    selectable,
+    selected,
+    onToggleSelect,
+    local,
+}) {
     const statusColor = getStatusColor(post.status, statusesList);
     const platforms = Array.isArray(post.platforms) ? post.platforms : [];
     const creators = Array.isArray(post.creators) ? post.creators : [];
     const designers = Array.isArray(post.designers) ? post.designers : [];
     const editors = Array.isArray(post.editors) ? post.editors : [];
+    const attachments = Array.isArray(post.attachments) ? post.attachments : [];
+    const thumbs = attachments.filter((a) => a.thumb).slice(0, MAX_THUMBS);
+    const overdue = overdueStages(post);
+    // Other people with the post open in the form, lock holder first
+    const liveEditors = usePresence(post.id).filter((e) => !e.self);
+    const checklist = Array.isArray(post.checklist) ? post.checklist : [];
+    const checklistDone = checklist.filter((i) => i.done).length;
+    // Automatic publishing results of this date (occurrence date for recurring posts)
+    const publications = (post.publications || []).filter((r) => r.date === post.date);
+    const publishFailed = publications.some((r) => r.state === 'failed');
 
     // Check if meta section has any content
     const hasMetaContent = creators.length > 0 || designers.length > 0 || editors.length > 0;
 
+    // Deadline of a role's stage next to its assignees: a tick once done, the due date otherwise
+    const renderStage = (role) => {
+        const stage = post.stages?.[role];
+        const due = stageDueDate(stage, post.date);
+        if (stage?.done) {
+            return (
+                <span className="stage-tag done" title={`${STAGE_LABELS[role]} done`}>
+                    ✓
+                </span>
+            );
+        }
+        if (!due) return null;
+        return (
+            <span
+                className={`stage-tag ${overdue.includes(role) ? 'overdue' : ''}`}
+                title={`${STAGE_LABELS[role]} due`}
+            >
+                {due}
+            </span>
+        );
+    };
+
     const renderNotes = (text) => {
         if (!text) return null;
         return text.split(/(\s+)/).map((part, i) => {
@@ -52,9 +101,69 @@ export default function PostCard({ post, onDelete, onEdit, statusesList }) {
     };
 
     return (
-        <div className="post-card" style={{ '--status-color': statusColor }} data-allday={post.isAllDay || undefined}>
-            <div className="post-time">{post.isAllDay ? 'All day' : post.time}</div>
+        <div
+            className={`post-card ${selected ? 'selected' : ''} ${overdue.length ? 'overdue' : ''}`}
+            style={{ '--status-color': statusColor }}
+            data-allday={post.isAllDay || undefined}
+        >
+            <div className="post-time">
+                {selectable && (
+                    <input
+                        type="checkbox"
+                        className="post-select"
+                        aria-label={`Select ${post.title}`}
+                        checked={!!selected}
+                        onChange={() => onToggleSelect(post)}
+                    />
+                )}
+                {post.isAllDay ? (
+                    'All day'
+                ) : local?.shifted ? (
+                    // Shown in the viewer's time zone; the post's own date, time and zone on hover
+                    <span className="post-zoned" title={`${post.date} ${post.time} (${local.zone})`}>
+                        {local.time}
+                    </span>
+                ) : (
+                    post.time
+                )}
+                {post.recurrence && (
+                    <span className="post-repeat" title={describeRecurrence(post.recurrence)} aria-label="Repeats">
+                        ↻
+                    </span>
+                )}
+                {checklist.length > 0 && (
+                    <span
+                        className={`post-checklist ${checklistDone === checklist.length ? 'complete' : ''}`}
+                        title="Checklist"
+                    >
+                        ☑ {checklistDone}/{checklist.length}
+                    </span>
+                )}
+                {publications.length > 0 && (
+                    <span
+                        className={`post-publishing ${publishFailed ? 'failed' : ''}`}
+                        title={publications.map((r) => `${r.platform}: ${r.state}`).join(', ')}
+                    >
+                        {publishFailed ? '⚠ Publish failed' : '📤'}
+                    </span>
+                )}
+                {overdue.length > 0 && (
+                    <span
+                        className="badge overdue"
+                        title={`Overdue: ${overdue.map((role) => STAGE_LABELS[role]).join(', ')}`}
+                    >
+                        Overdue
+                    </span>
+                )}
+            </div>
             <div className="post-title">{post.title}</div>
+            {post.queued && <div className="post-queued">Waiting to be saved (offline)</div>}
+            {liveEditors.length > 0 && (
+                <div className="post-editing" title={liveEditors.map((e) => e.username).join(', ')}>
+                    ✎ {liveEditors[0].username} is editing
+                    {liveEditors.length > 1 && ` (+${liveEditors.length - 1})`}
+                </div>
+            )}
 
             {/* Only render meta section if there's content */}
             {hasMetaContent && (
@@ -63,26 +172,38 @@ export default function PostCard({ post, onDelete, onEdit, statusesList }) {
                         <div className="meta-line">
                             <span className="label">Creators</span>
                             <span className="val">{creators.join(', ')}</span>
+                            {renderStage('creators')}
                         </div>
                     )}
                     {designers.length > 0 && (
                         <div className="meta-line">
                             <span className="label">Designers</span>
                             <span className="val">{designers.join(', ')}</span>
+                            {renderStage('designers')}
                         </div>
                     )}
                     {editors.length > 0 && (
                         <div className="meta-line">
                             <span className="label">Editors</span>
                             <span className="val">{editors.join(', ')}</span>
+                            {renderStage('editors')}
                         </div>
                     )}
                 </div>
             )}
 
-            {/* Only render platforms section if there are platforms */}
-            {platforms.length > 0 && (
+            {/* Only render platforms section if there are platforms or a campaign */}
+            {(platforms.length > 0 || campaign) && (
                 <div className="post-platforms">
+                    {campaign && (
+                        <span
+                            className="badge campaign"
+                            style={{ '--campaign-color': campaign.color }}
+                            title={`Campaign: ${campaign.name}`}
+                        >
+                            {campaign.name}
+                        </span>
+                    )}
                     {platforms.map((p) => (
                         <span className="badge platform" key={p}>
                             {p}
@@ -91,6 +212,25 @@ export default function PostCard({ post, onDelete, onEdit, statusesList }) {
                 </div>
             )}
 
+            {attachments.length > 0 && (
+                <div className="post-media">
+                    {thumbs.map((a) => (
+                        <a
+                            key={a.hash}
+                            href={mediaUrl(a.hash)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            title={a.name}
+                        >
+                            <img src={mediaUrl(a.hash, true)} alt={a.name} loading="lazy" />
+                        </a>
+                    ))}
+                    {attachments.length > thumbs.length && (
+                        <span className="muted-small">+{attachments.length - thumbs.length}</span>
+                    )}
+                </div>
+            )}
+
             {/* Only render notes if they exist */}
             {post.notes && <div className="post-notes-row">{renderNotes(post.notes)}</div>}
 
@@ -98,7 +238,7 @@ export default function PostCard({ post, onDelete, onEdit, statusesList }) {
                 <Button size="small" onClick={() => onEdit(post)}>
                     Update
                 </Button>
-                <Button size="small" variant="danger" onClick={() => onDelete(post.id)}>
+                <Button size="small" variant="danger" onClick={() => onDelete(post)}>
                     Delete
                 </Button>
             </div>
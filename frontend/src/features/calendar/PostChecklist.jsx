@@ -0,0 +1,168 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useState } from 'react';
+import {
+    addChecklistItem,
+    updateChecklistItem,
+    toggleChecklistItem,
+    removeChecklistItem,
+    reorderChecklist,
+} from '../../api.js';
+import Button from '../../components/ui/Button';
+import { useToast } from '../../context/ToastProvider';
+
+/**
+ * Checklist of the post editor. Every change is saved straight away through the checklist
+ * endpoints; `onChange(post)` receives the updated post returned by the server.
+ * `assignees` are the names items can be assigned to.
+ */
+export default function PostChecklist({ post, assignees, onChange }) {
+    const [text, setText] = useState('');
+    const [assignee, setAssignee] = useState('');
+    const [busy, setBusy] = useState(false);
+    const toast = useToast();
+
+    const items = post.checklist || [];
+    const doneCount = items.filter((i) => i.done).length;
+
+    const run = async (request, failure) => {
+        setBusy(true);
+        try {
+            onChange(await request());
+            return true;
+        } catch (err) {
+            const fields = err.body?.fields;
+            toast(`${failure}: ${fields ? Object.values(fields).join(' ') : err.message}`, 'error');
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const add = async () => {
+        if (!text.trim()) return;
+        const added = await run(
+            () => addChecklistItem(post.id, { text, assignee: assignee || null }),
+            'Could not add the item'
+        );
+        if (added) setText('');
+    };
+
+    const move = (idx, delta) => {
+        const ids = items.map((i) => i.id);
+        [ids[idx], ids[idx + delta]] = [ids[idx + delta], ids[idx]];
+        run(() => reorderChecklist(post.id, ids), 'Could not reorder the checklist');
+    };
+
+    const assigneeSelect = (value, onSelect, label) => (
+        <select aria-label={label} value={value || ''} onChange={(e) => onSelect(e.target.value)} disabled={busy}>
+            <option value="">Unassigned</option>
+            {assignees.map((name) => (
+                <option key={name} value={name}>
+                    {name}
+                </option>
+            ))}
+            {value && !assignees.includes(value) && <option value={value}>{value}</option>}
+        </select>
+    );
+
+    return (
+        <div className="checklist">
+            {items.length > 0 && (
+                <div className="muted-small">
+                    {doneCount}/{items.length} done
+                </div>
+            )}
+            <ul className="checklist-items">
+                {items.map((item, idx) => (
+                    <li key={item.id} className={`checklist-item ${item.done ? 'done' : ''}`}>
+                        <input
+                            type="checkbox"
+                            checked={item.done}
+                            disabled={busy}
+                            onChange={() =>
+                                run(() => toggleChecklistItem(post.id, item.id), 'Could not update the item')
+                            }
+                            aria-label={`Done: ${item.text}`}
+                        />
+                        <span
+                            className="checklist-text"
+                            title={item.done && item.doneBy ? `Done by ${item.doneBy}` : undefined}
+                        >
+                            {item.text}
+                        </span>
+                        {assigneeSelect(
+                            item.assignee,
+                            (name) =>
+                                run(
+                                    () => updateChecklistItem(post.id, item.id, { assignee: name || null }),
+                                    'Could not assign the item'
+                                ),
+                            `Assignee of ${item.text}`
+                        )}
+                        <Button
+                            size="small"
+                            onClick={() => move(idx, -1)}
+                            disabled={busy || idx === 0}
+                            aria-label="Move up"
+                        >
+                            ↑
+                        </Button>
+                        <Button
+                            size="small"
+                            onClick={() => move(idx, 1)}
+                            disabled={busy || idx === items.length - 1}
+                            aria-label="Move down"
+                        >
+                            ↓
+                        </Button>
+                        <Button
+                            size="small"
+                            variant="danger"
+                            onClick={() =>
+                                run(() => removeChecklistItem(post.id, item.id), 'Could not remove the item')
+                            }
+                            disabled={busy}
+                            aria-label="Remove"
+                        >
+                            ✕
+                        </Button>
+                    </li>
+                ))}
+            </ul>
+            <div className="inline">
+                <input
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                            e.preventDefault();
+                            add();
+                        }
+                    }}
+                    placeholder="New to-do, e.g. Legal sign-off"
+                    aria-label="New checklist item"
+                />
+                {assigneeSelect(assignee, setAssignee, 'Assignee of the new item')}
+                <Button size="small" onClick={add} disabled={busy || !text.trim()}>
+                    Add
+                </Button>
+            </div>
+        </div>
+    );
+}
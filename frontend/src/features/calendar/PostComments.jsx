@@ -0,0 +1,226 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { getComments, addComment, editComment, deleteComment, setCommentResolved, subscribe } from '../../api.js';
+import Button from '../../components/ui/Button';
+import { useConfirm } from '../../context/ConfirmProvider';
+import { useToast } from '../../context/ToastProvider';
+
+/**
+ * Highlights the resolved `@mentions` of a comment body.
+ */
+function renderBody(comment) {
+    const mentioned = new Set((comment.mentions || []).map((m) => m.toLowerCase()));
+    return comment.body.split(/(@[A-Za-z0-9_.-]+)/g).map((part, i) =>
+        part.startsWith('@') && mentioned.has(part.slice(1).replace(/\.+$/, '').toLowerCase()) ? (
+            <span key={i} className="mention">
+                {part}
+            </span>
+        ) : (
+            part
+        )
+    );
+}
+
+function CommentForm({ initial = '', submitLabel, onSubmit, onCancel }) {
+    const [text, setText] = useState(initial);
+    const [busy, setBusy] = useState(false);
+
+    const submit = async (e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+        setBusy(true);
+        try {
+            await onSubmit(text);
+            setText('');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <form className="comment-form" onSubmit={submit}>
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                rows={2}
+                placeholder="Write a comment… use @username to mention someone"
+            />
+            <div className="flex-gap-8">
+                <Button type="submit" size="small" variant="primary" loading={busy} disabled={!text.trim()}>
+                    {submitLabel}
+                </Button>
+                {onCancel && (
+                    <Button size="small" onClick={onCancel}>
+                        Cancel
+                    </Button>
+                )}
+            </div>
+        </form>
+    );
+}
+
+/**
+ * Comments tab of the post editor: threaded comments with replies, edit/delete by the
+ * author, resolve/unresolve of threads and live updates over Socket.io.
+ */
+export default function PostComments({ post }) {
+    const [comments, setComments] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [replyTo, setReplyTo] = useState(null);
+    const [editing, setEditing] = useState(null);
+    const [showResolved, setShowResolved] = useState(false);
+
+    const confirm = useConfirm();
+    const toast = useToast();
+    const currentUser = JSON.parse(localStorage.getItem('user') || 'null');
+
+    const load = useCallback(() => {
+        return getComments(post.id)
+            .then((list) => setComments(list || []))
+            .catch((err) => console.error('Failed to load comments', err));
+    }, [post.id]);
+
+    useEffect(() => {
+        setLoading(true);
+        load().finally(() => setLoading(false));
+        // Live delivery: reload when someone else comments on this post
+        return subscribe('comment_event', (e) => {
+            if (e.postId === post.id) load();
+        });
+    }, [post.id, load]);
+
+    const run = async (action, failure) => {
+        try {
+            await action();
+            await load();
+        } catch (err) {
+            toast(`${failure}: ${err.message}`, 'error');
+        }
+    };
+
+    const handleDelete = (c) =>
+        confirm(
+            'Delete this comment?',
+            () => run(() => deleteComment(post.id, c.id), 'Delete failed'),
+            'Delete comment'
+        );
+
+    const childrenOf = (id) => comments.filter((c) => c.parentId === id);
+    const threads = childrenOf(null);
+    const visibleThreads = showResolved ? threads : threads.filter((t) => !t.resolved);
+    const resolvedCount = threads.filter((t) => t.resolved).length;
+
+    const renderComment = (c, depth) => {
+        const isAuthor = currentUser && c.author === currentUser.username;
+        const isAdmin = currentUser && currentUser.role === 'admin';
+        return (
+            <li key={c.id} className={`comment ${c.resolved ? 'resolved' : ''}`} style={{ '--depth': depth }}>
+                {c.deleted ? (
+                    <div className="muted-small">Comment deleted</div>
+                ) : (
+                    <>
+                        <div className="comment-meta">
+                            <strong>{c.author}</strong>
+                            <span className="muted-small">
+                                {new Date(c.createdAt).toLocaleString()}
+                                {c.updatedAt ? ' · edited' : ''}
+                                {c.resolved ? ` · resolved by ${c.resolvedBy}` : ''}
+                            </span>
+                        </div>
+                        {editing === c.id ? (
+                            <CommentForm
+                                initial={c.body}
+                                submitLabel="Save"
+                                onCancel={() => setEditing(null)}
+                                onSubmit={(text) =>
+                                    run(() => editComment(post.id, c.id, text), 'Edit failed').then(() =>
+                                        setEditing(null)
+                                    )
+                                }
+                            />
+                        ) : (
+                            <div className="comment-body">{renderBody(c)}</div>
+                        )}
+                        <div className="comment-actions">
+                            <Button size="small" onClick={() => setReplyTo(replyTo === c.id ? null : c.id)}>
+                                Reply
+                            </Button>
+                            {!c.parentId && (
+                                <Button
+                                    size="small"
+                                    onClick={() =>
+                                        run(() => setCommentResolved(post.id, c.id, !c.resolved), 'Update failed')
+                                    }
+                                >
+                                    {c.resolved ? 'Reopen' : 'Resolve'}
+                                </Button>
+                            )}
+                            {isAuthor && (
+                                <Button size="small" onClick={() => setEditing(c.id)}>
+                                    Edit
+                                </Button>
+                            )}
+                            {(isAuthor || isAdmin) && (
+                                <Button size="small" variant="danger" onClick={() => handleDelete(c)}>
+                                    Delete
+                                </Button>
+                            )}
+                        </div>
+                    </>
+                )}
+                {replyTo === c.id && (
+                    <CommentForm
+                        submitLabel="Reply"
+                        onCancel={() => setReplyTo(null)}
+                        onSubmit={(text) =>
+                            run(() => addComment(post.id, text, c.id), 'Reply failed').then(() => setReplyTo(null))
+                        }
+                    />
+                )}
+                {childrenOf(c.id).length > 0 && (
+                    <ul className="comment-list">{childrenOf(c.id).map((r) => renderComment(r, depth + 1))}</ul>
+                )}
+            </li>
+        );
+    };
+
+    return (
+        <div className="post-comments">
+            <CommentForm
+                submitLabel="Comment"
+                onSubmit={(text) => run(() => addComment(post.id, text), 'Comment failed')}
+            />
+
+            {resolvedCount > 0 && (
+                <label className="inline mt-12 muted-small">
+                    <input type="checkbox" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} />
+                    Show {resolvedCount} resolved thread(s)
+                </label>
+            )}
+
+            {loading ? (
+                <div className="muted-small">Loading comments…</div>
+            ) : visibleThreads.length === 0 ? (
+                <div className="muted-small mt-12">No open comments.</div>
+            ) : (
+                <ul className="comment-list">{visibleThreads.map((c) => renderComment(c, 0))}</ul>
+            )}
+        </div>
+    );
+}
@@ -16,32 +16,112 @@
  */
 
 import React, { useEffect, useState, useRef } from 'react';
-import { createPost, updatePost, addToList, removeFromList, getLists } from '../../api.js';
-import { formatISODate } from '../../utils/date.js';
+import {
+    createPost,
+    updatePost,
+    addToList,
+    removeFromList,
+    getLists,
+    createTemplate,
+    getDraft,
+    saveDraft,
+    deleteDraft,
+    startEditing,
+    stopEditing,
+    takeOverEditing,
+} from '../../api.js';
+import { formatISODate, localizePost, timezoneOptions } from '../../utils/date.js';
+import { selectableStatuses } from '../../utils/workflow.js';
+import { variantErrors } from '../../utils/variants.js';
+import { POST_FIELD_LABELS, sameValue } from '../../utils/post-fields.js';
 import Checkbox from '../../components/ui/Checkbox';
 import Button from '../../components/ui/Button';
 import Modal from '../../components/common/Modal';
 import InputModal from '../../components/common/InputModal';
 import AlertModal from '../../components/common/AlertModal';
+import ConflictModal from './ConflictModal';
+import PostHistory from './PostHistory';
+import PostComments from './PostComments';
+import MediaDropZone from './MediaDropZone';
+import PostChecklist from './PostChecklist';
+import PublishingStatus from './PublishingStatus';
+import RecurrenceFields from './RecurrenceFields';
+import RecurrenceScopeModal from './RecurrenceScopeModal';
+import TemplatePickerModal from './TemplatePickerModal';
+import PlatformVariants from './PlatformVariants';
+import PlatformLimitsModal from './PlatformLimitsModal';
+import StageDeadlines from './StageDeadlines';
 import { useConfirm } from '../../context/ConfirmProvider';
 import { useToast } from '../../context/ToastProvider';
+import { usePresence } from '../../context/PresenceProvider';
 
 const initialState = (weekStart) => ({
     title: '',
     date: formatISODate(weekStart),
     time: '09:00',
     isAllDay: false,
+    // Empty: the instance default, filled in by the server
+    timezone: '',
     creators: [],
     designers: [],
     editors: [],
     status: 'Proposed',
     platforms: [],
     notes: '',
+    recurrence: null,
+    campaignId: null,
+    variants: {},
+    stages: {},
 });
 
-export default function PostForm({ lists, onChangeLists, weekStart, editingPost, onFinished }) {
+// Post fields kept in a template (templates are not dated; checklist items start unticked in each post)
+const TEMPLATE_FIELDS = [
+    'title',
+    'time',
+    'isAllDay',
+    'status',
+    'creators',
+    'designers',
+    'editors',
+    'platforms',
+    'notes',
+    'recurrence',
+    'campaignId',
+    'variants',
+    'checklist',
+];
+
+// The form is autosaved as a draft this long after the last change
+const DRAFT_DELAY_MS = 1500;
+
+// Key of the draft of a post not created yet
+const NEW_DRAFT_KEY = 'new';
+
+/**
+ * Form fields stored in a draft: for an edit only those that differ from `base`, so restoring
+ * does not undo changes others made to the other fields since.
+ */
+function draftData(form, base) {
+    return Object.fromEntries(
+        Object.keys(POST_FIELD_LABELS)
+            .filter((k) => form[k] !== undefined && (!base || !sameValue(form[k], base[k])))
+            .map((k) => [k, form[k]])
+    );
+}
+
+export default function PostForm({
+    lists,
+    workflow,
+    campaigns = [],
+    onChangeLists,
+    weekStart,
+    editingPost,
+    onFinished,
+}) {
     const [form, setForm] = useState(initialState(weekStart));
     const [saving, setSaving] = useState(false);
+    const [errors, setErrors] = useState({});
+    const [tab, setTab] = useState('details');
     const [removeType, setRemoveType] = useState(null);
     const [newItemName, setNewItemName] = useState('');
     const [newColor, setNewColor] = useState('#00ff85');
@@ -51,6 +131,20 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
     const addDialogRef = useRef(null);
     const alertRef = useRef(null);
     const inputModalRef = useRef(null);
+    const conflictRef = useRef(null);
+    const scopeRef = useRef(null);
+    const templateRef = useRef(null);
+    const limitsRef = useRef(null);
+    // Server copy the current edit is based on (updated after a merge)
+    const baseRef = useRef(editingPost);
+    // Stored draft offered for restoring; autosave waits until it is restored or discarded
+    const [draft, setDraft] = useState(null);
+    // Counts the user's changes, which trigger the autosave
+    const [edits, setEdits] = useState(0);
+    const draftReadyRef = useRef(false);
+    const formRef = useRef(form);
+    formRef.current = form;
+    const draftKey = editingPost ? editingPost.id : NEW_DRAFT_KEY;
     const toast = useToast();
     const confirm = useConfirm();
 
@@ -111,6 +205,13 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
         return item?.value || item?.name || '';
     };
 
+    // With an active workflow, only the current status and the legal next ones are offered
+    const allowedStatuses = selectableStatuses(workflow, editingPost ? editingPost.status : null, currentUser);
+    const statusOptions = allowedStatuses
+        ? allowedStatuses.filter((name) => lists.statuses.some((s) => getItemString(s) === name))
+        : lists.statuses.map((s) => getItemString(s)).sort((a, b) => a.localeCompare(b));
+    const requiredForStatus = (workflow?.enabled && workflow.requiredFields[form.status]) || [];
+
     const openAddModal = (type) => {
         setAddType(type);
         setNewItemName('');
@@ -130,17 +231,141 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
     };
 
     useEffect(() => {
+        baseRef.current = editingPost;
         if (editingPost) {
             setForm(editingPost);
         } else {
             setForm(initialState(weekStart));
         }
+        setErrors({});
+        setTab('details');
+        setEdits(0);
     }, [editingPost, weekStart]);
 
+    // Offers the stored draft of this form when it holds changes
+    useEffect(() => {
+        let cancelled = false;
+        draftReadyRef.current = false;
+        setDraft(null);
+        getDraft(draftKey)
+            .then((stored) => {
+                if (cancelled) return;
+                const occurrence = editingPost?.occurrenceDate || null;
+                const changed =
+                    stored &&
+                    stored.occurrence === occurrence &&
+                    Object.entries(stored.data).some(([k, v]) => !sameValue(v, formRef.current[k]));
+                if (changed) setDraft(stored);
+                else draftReadyRef.current = true;
+            })
+            .catch((err) => {
+                console.error('Failed to load draft', err);
+                if (!cancelled) draftReadyRef.current = true;
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [editingPost]);
+
+    // Autosaves the user's changes
+    useEffect(() => {
+        if (!edits || !draftReadyRef.current) return undefined;
+        const timer = setTimeout(() => {
+            saveDraft(draftKey, {
+                data: draftData(formRef.current, baseRef.current),
+                occurrence: editingPost?.occurrenceDate || null,
+                version: baseRef.current?.version ?? null,
+            }).catch((err) => console.error('Failed to save draft', err));
+        }, DRAFT_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [edits]);
+
+    // Editing presence: the first of the people with the post open holds its soft lock
+    const presence = usePresence(editingPost?.id);
+    const holder = presence[0];
+    const alsoEditing = presence.filter((e) => !e.self);
+    const wasHolderRef = useRef(false);
+
+    useEffect(() => {
+        if (!editingPost) return undefined;
+        wasHolderRef.current = false;
+        startEditing(editingPost.id);
+        return () => stopEditing(editingPost.id);
+    }, [editingPost?.id]);
+
+    // Tells the holder when someone else takes the lock over
+    useEffect(() => {
+        const holding = !!holder?.self;
+        if (wasHolderRef.current && !holding && holder) {
+            toast(`${holder.username} took over editing this post`, 'warning');
+        }
+        wasHolderRef.current = holding;
+    }, [holder?.id, holder?.self]);
+
+    function restoreDraft() {
+        setForm((f) => ({ ...f, ...draft.data }));
+        if (editingPost && draft.version !== editingPost.version) {
+            toast(
+                'The post has changed since this draft was saved. Check the restored fields before saving.',
+                'warning'
+            );
+        }
+        setDraft(null);
+        draftReadyRef.current = true;
+    }
+
+    function discardDraft() {
+        deleteDraft(draftKey).catch((err) => console.error('Failed to discard draft', err));
+        setDraft(null);
+        draftReadyRef.current = true;
+    }
+
+    // New posts start in a status the workflow allows
+    const firstStatus = statusOptions[0];
+    const statusAllowed = !allowedStatuses || statusOptions.includes(form.status);
+    useEffect(() => {
+        if (!editingPost && !statusAllowed && firstStatus) {
+            setForm((prev) => ({ ...prev, status: firstStatus }));
+        }
+    }, [editingPost, statusAllowed, firstStatus]);
+
     function updateField(k, v) {
         setForm((prev) => ({ ...prev, [k]: v }));
+        setEdits((n) => n + 1);
+        clearError(k);
     }
 
+    // Nested fields also clear the server's per-entry messages (`variants.X.field`, `stages.role`)
+    function updateNested(k, v) {
+        updateField(k, v);
+        setErrors((prev) => Object.fromEntries(Object.entries(prev).filter(([key]) => !key.startsWith(`${k}.`))));
+    }
+
+    function clearError(k) {
+        setErrors((prev) => {
+            if (!prev[k]) return prev;
+            const next = { ...prev };
+            delete next[k];
+            return next;
+        });
+    }
+
+    const fieldError = (k) => (errors[k] ? <div className="form-help-danger">{errors[k]}</div> : null);
+
+    const timezone = form.timezone || lists.defaultTimezone || '';
+    // The scheduled time as seen in the viewer's time zone, when that differs
+    const viewerTime = localizePost({ ...form, timezone }, lists.defaultTimezone);
+
+    // Platform copy over its limits blocks saving
+    const platforms = form.platforms || [];
+    const limitErrors = variantErrors(form.variants, platforms, lists.platformMeta);
+    const overLimit = Object.keys(limitErrors).length > 0;
+
+    // Checklist items can be assigned to anyone in the assignee lists
+    const checklistAssignees = Array.from(
+        new Set(['creators', 'designers', 'editors'].flatMap((type) => (lists[type] || []).map(getItemString)))
+    );
+
     async function submit(e) {
         e.preventDefault();
 
@@ -159,23 +384,118 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
             return;
         }
 
+        if (overLimit) {
+            setErrors(limitErrors);
+            toast('Some platform copy is over its limits', 'warning');
+            return;
+        }
+
+        // Only the copy of the selected platforms is kept
+        const data = {
+            ...form,
+            timezone: form.timezone || undefined,
+            variants: Object.fromEntries(platforms.filter((p) => form.variants?.[p]).map((p) => [p, form.variants[p]])),
+        };
+
+        // Occurrences of a recurring post: ask which ones the edit applies to
+        if (editingPost?.occurrenceDate) {
+            scopeRef.current?.show('Save recurring post', (scope) =>
+                save(data, baseRef.current?.version, { scope, occurrence: editingPost.occurrenceDate })
+            );
+            return;
+        }
+
+        await save(data, baseRef.current?.version);
+    }
+
+    /**
+     * Persists `data`. For edits, `version` is the server version the data is based on;
+     * a 409 opens the merge dialog and retries against the newer copy.
+     * `target` selects the occurrences of a recurring post the edit applies to.
+     */
+    async function save(data, version, target) {
         setSaving(true);
+        setErrors({});
+        // The server discards the draft once the post is saved
+        setEdits(0);
         try {
+            let saved;
             if (editingPost) {
-                await updatePost(editingPost.id, form);
+                saved = await updatePost(editingPost.id, data, version, target);
             } else {
-                await createPost(form);
+                saved = await createPost(data);
                 setForm(initialState(weekStart));
             }
+            if (saved?.queued) toast('You are offline. The post will be saved when the connection is back.', 'info');
             onFinished();
         } catch (err) {
             console.error('Failed to save post', err);
+            if (err.status === 409 && err.body?.current) {
+                const current = err.body.current;
+                conflictRef.current?.show(baseRef.current, data, current, (merged) => {
+                    baseRef.current = current;
+                    setForm(merged);
+                    return save(merged, current.version, target);
+                });
+                return;
+            }
+            if ((err.status === 422 || err.status === 403) && err.body?.fields) {
+                setErrors(err.body.fields);
+                toast('Please fix the highlighted fields', 'warning');
+                return;
+            }
             alertRef.current?.show('Save failed: ' + (err.message || String(err)), 'Error');
         } finally {
             setSaving(false);
         }
     }
 
+    // Starts a new post from the fields of a filled-in template
+    function applyTemplate(post) {
+        setForm({ ...initialState(weekStart), ...post });
+        setEdits((n) => n + 1);
+        setErrors({});
+        toast('Template applied. Review the post and click Create.', 'info');
+    }
+
+    function saveAsTemplate() {
+        inputModalRef.current?.show(
+            'Name of the template. Write {{name}} in the title or notes for values to fill in each time it is used, e.g. {{date}} or {{campaign}}.',
+            '',
+            async (name) => {
+                const post = {};
+                for (const k of TEMPLATE_FIELDS) {
+                    if (form[k] !== undefined && form[k] !== null) post[k] = form[k];
+                }
+                try {
+                    await createTemplate({ name, post });
+                    toast(`Template "${name}" saved`, 'success');
+                } catch (err) {
+                    const fields = err.body?.fields;
+                    toast(fields ? Object.values(fields).join(' ') : `Save failed: ${err.message}`, 'error');
+                    throw err;
+                }
+            },
+            'Save as template'
+        );
+    }
+
+    // Uploads save immediately and bump the post version; keep the pending edit based on it
+    function handleMediaChange(updated) {
+        baseRef.current = { ...baseRef.current, attachments: updated.attachments, version: updated.version };
+        setForm((f) => ({ ...f, attachments: updated.attachments }));
+    }
+
+    function handleChecklistChange(updated) {
+        baseRef.current = { ...baseRef.current, checklist: updated.checklist, version: updated.version };
+        setForm((f) => ({ ...f, checklist: updated.checklist }));
+    }
+
+    function handlePublishingChange(updated) {
+        baseRef.current = { ...baseRef.current, publications: updated.publications, version: updated.version };
+        setForm((f) => ({ ...f, publications: updated.publications }));
+    }
+
     async function addListItem() {
         const textValue = newItemName.trim();
         const type = addType;
@@ -198,6 +518,8 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
     }
 
     const toggleMultiSelect = (field, value) => {
+        clearError(field);
+        setEdits((n) => n + 1);
         setForm((f) => {
             const currentList = f[field] || [];
             const next = currentList.includes(value) ? currentList.filter((x) => x !== value) : [...currentList, value];
@@ -205,8 +527,83 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
         });
     };
 
+    const tabs = editingPost && (
+        <div className="tabs" role="tablist">
+            {[
+                ['details', 'Details'],
+                ['comments', 'Comments'],
+                ['history', 'History'],
+            ].map(([key, label]) => (
+                <button
+                    key={key}
+                    type="button"
+                    role="tab"
+                    aria-selected={tab === key}
+                    className={`tab ${tab === key ? 'active' : ''}`}
+                    onClick={() => setTab(key)}
+                >
+                    {label}
+                </button>
+            ))}
+        </div>
+    );
+
+    if (editingPost && tab === 'comments') {
+        return (
+            <div className="panel">
+                {tabs}
+                <PostComments post={editingPost} />
+            </div>
+        );
+    }
+
+    if (editingPost && tab === 'history') {
+        return (
+            <div className="panel">
+                {tabs}
+                <PostHistory post={editingPost} onRestored={onFinished} />
+            </div>
+        );
+    }
+
     return (
         <form className="panel" onSubmit={submit}>
+            {tabs}
+            {draft && (
+                <div className="draft-banner" role="status">
+                    <span>You have unsaved changes from {new Date(draft.updatedAt).toLocaleString()}.</span>
+                    <Button size="small" variant="primary" onClick={restoreDraft}>
+                        Restore
+                    </Button>
+                    <Button size="small" variant="secondary" onClick={discardDraft}>
+                        Discard
+                    </Button>
+                </div>
+            )}
+            {holder && !holder.self && (
+                <div className="presence-warning" role="alert">
+                    <span>
+                        {holder.username === currentUser?.username
+                            ? 'You are editing this post in another window.'
+                            : `${holder.username} is editing this post. Saving may overwrite their changes.`}
+                    </span>
+                    <Button size="small" variant="primary" onClick={() => takeOverEditing(editingPost.id)}>
+                        Take over
+                    </Button>
+                </div>
+            )}
+            {holder?.self && alsoEditing.length > 0 && (
+                <div className="presence-note">
+                    Also open for {alsoEditing.map((e) => e.username).join(', ')}. You are editing.
+                </div>
+            )}
+            {!editingPost && (
+                <div className="inline mb-12">
+                    <Button type="button" size="small" onClick={() => templateRef.current?.show(applyTemplate)}>
+                        New from template
+                    </Button>
+                </div>
+            )}
             <div className="fld">
                 <span>Title</span>
                 <input
@@ -215,10 +612,12 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
                     placeholder="Write the post title"
                     required
                 />
+                {fieldError('title')}
             </div>
             <div className="fld">
                 <span>Date</span>
                 <input type="date" value={form.date} onChange={(e) => updateField('date', e.target.value)} />
+                {fieldError('date')}
             </div>
             <div className="fld">
                 <span>Time</span>
@@ -243,6 +642,26 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
                     />
                     <label htmlFor="allday-checkbox">All day</label>
                 </div>
+                <select
+                    aria-label="Time zone"
+                    value={timezone}
+                    onChange={(e) => updateField('timezone', e.target.value)}
+                    disabled={form.isAllDay}
+                >
+                    {timezoneOptions(timezone).map((tz) => (
+                        <option key={tz} value={tz}>
+                            {tz}
+                        </option>
+                    ))}
+                </select>
+                {viewerTime.shifted && form.date && form.time && (
+                    <div className="timezone-hint">
+                        Your time: {viewerTime.date} {viewerTime.time}
+                    </div>
+                )}
+                {fieldError('time')}
+                {fieldError('isAllDay')}
+                {fieldError('timezone')}
             </div>
             {['creators', 'designers', 'editors', 'platforms'].map((type) => (
                 <div className="fld" key={type}>
@@ -264,6 +683,7 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
                                 );
                             })}
                     </div>
+                    {fieldError(type)}
                     {isAdmin && (
                         <div className="inline">
                             <Button type="button" size="small" onClick={() => openAddModal(type)}>
@@ -272,6 +692,15 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
                             <Button type="button" size="small" onClick={() => openRemoveModal(type)}>
                                 －
                             </Button>
+                            {type === 'platforms' && (
+                                <Button
+                                    type="button"
+                                    size="small"
+                                    onClick={() => limitsRef.current?.show(lists.platformMeta)}
+                                >
+                                    Limits
+                                </Button>
+                            )}
                         </div>
                     )}
                 </div>
@@ -281,18 +710,11 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
                 <span>Status</span>
                 <div className="inline">
                     <select value={form.status} onChange={(e) => updateField('status', e.target.value)}>
-                        {lists.statuses
-                            .slice()
-                            .sort((a, b) => {
-                                const nameA = getItemString(a);
-                                const nameB = getItemString(b);
-                                return nameA.localeCompare(nameB);
-                            })
-                            .map((s, i) => (
-                                <option key={`${getItemString(s)}-${i}`} value={getItemString(s)}>
-                                    {getItemString(s)}
-                                </option>
-                            ))}
+                        {statusOptions.map((name, i) => (
+                            <option key={`${name}-${i}`} value={name}>
+                                {name}
+                            </option>
+                        ))}
                     </select>
                     {isAdmin && (
                         <>
@@ -305,6 +727,47 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
                         </>
                     )}
                 </div>
+                {fieldError('status')}
+                {requiredForStatus.length > 0 && (
+                    <div className="muted-small">Requires: {requiredForStatus.join(', ')}</div>
+                )}
+            </div>
+
+            <div className="fld">
+                <span>Campaign</span>
+                <select
+                    value={form.campaignId || ''}
+                    onChange={(e) => updateField('campaignId', e.target.value || null)}
+                >
+                    <option value="">No campaign</option>
+                    {campaigns.map((c) => (
+                        <option key={c.id} value={c.id}>
+                            {c.name}
+                        </option>
+                    ))}
+                </select>
+                {fieldError('campaignId')}
+            </div>
+
+            <div className="fld">
+                <span>Repeats</span>
+                <RecurrenceFields
+                    value={form.recurrence || null}
+                    date={form.date}
+                    onChange={(rule) => updateField('recurrence', rule)}
+                />
+                {fieldError('recurrence')}
+            </div>
+
+            <div className="fld">
+                <span>Deadlines</span>
+                <StageDeadlines
+                    value={form.stages}
+                    date={form.date}
+                    errors={errors}
+                    onChange={(v) => updateNested('stages', v)}
+                />
+                {fieldError('stages')}
             </div>
 
             <div className="fld">
@@ -315,10 +778,63 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
                     rows={3}
                     placeholder="Any additional information"
                 />
+                {fieldError('notes')}
+            </div>
+
+            <div className="fld">
+                <span>Platform copy</span>
+                <PlatformVariants
+                    platforms={platforms}
+                    variants={form.variants}
+                    platformMeta={lists.platformMeta}
+                    errors={errors}
+                    onChange={(v) => updateNested('variants', v)}
+                />
+            </div>
+
+            <div className="fld">
+                <span>Checklist</span>
+                {editingPost ? (
+                    <PostChecklist
+                        post={{ ...editingPost, checklist: form.checklist }}
+                        assignees={checklistAssignees}
+                        onChange={handleChecklistChange}
+                    />
+                ) : form.checklist?.length > 0 ? (
+                    <ul className="muted-small">
+                        {form.checklist.map((item, i) => (
+                            <li key={i}>
+                                {item.text}
+                                {item.assignee && ` (${item.assignee})`}
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <div className="muted-small">Save the post first to add a checklist.</div>
+                )}
+            </div>
+
+            {editingPost && form.publications?.length > 0 && (
+                <div className="fld">
+                    <span>Publishing</span>
+                    <PublishingStatus
+                        post={{ ...editingPost, publications: form.publications }}
+                        onChange={handlePublishingChange}
+                    />
+                </div>
+            )}
+
+            <div className="fld">
+                <span>Attachments</span>
+                {editingPost ? (
+                    <MediaDropZone post={{ ...editingPost, attachments: form.attachments }} onChange={handleMediaChange} />
+                ) : (
+                    <div className="muted-small">Save the post first to attach files.</div>
+                )}
             </div>
 
             <div className="actions">
-                <Button type="submit" variant="primary" loading={saving}>
+                <Button type="submit" variant="primary" loading={saving} disabled={overLimit}>
                     {editingPost ? 'Update' : 'Create'}
                 </Button>
                 {editingPost && (
@@ -326,6 +842,9 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
                         Cancel
                     </Button>
                 )}
+                <Button type="button" variant="secondary" onClick={saveAsTemplate} disabled={saving}>
+                    Save as template
+                </Button>
             </div>
 
             <Modal ref={addDialogRef} title={`Add ${addType}`}>
@@ -383,6 +902,10 @@ export default function PostForm({ lists, onChangeLists, weekStart, editingPost,
 
             <InputModal ref={inputModalRef} />
             <AlertModal ref={alertRef} />
+            <ConflictModal ref={conflictRef} />
+            <RecurrenceScopeModal ref={scopeRef} />
+            <TemplatePickerModal ref={templateRef} />
+            <PlatformLimitsModal ref={limitsRef} />
         </form>
     );
 }
@@ -0,0 +1,151 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { getRevisions, restoreRevision } from '../../api.js';
+import Button from '../../components/ui/Button';
+import { useConfirm } from '../../context/ConfirmProvider';
+import { useToast } from '../../context/ToastProvider';
+import { diffPosts, formatFieldValue } from '../../utils/post-fields.js';
+
+const revisionLabel = (r) => `#${r.rev} · ${r.action} · ${r.user || 'unknown'} · ${new Date(r.time).toLocaleString()}`;
+
+/**
+ * History tab of the post editor: compares any two revisions field by field
+ * and restores a past revision as a new version.
+ */
+export default function PostHistory({ post, onRestored }) {
+    const [revisions, setRevisions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [fromRev, setFromRev] = useState(null);
+    const [toRev, setToRev] = useState(null);
+    const [restoring, setRestoring] = useState(null);
+
+    const confirm = useConfirm();
+    const toast = useToast();
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        getRevisions(post.id)
+            .then((list) => {
+                if (cancelled) return;
+                const items = list || [];
+                setRevisions(items);
+                // Default to comparing the latest revision with the one before it
+                setToRev(items.length ? items[items.length - 1].rev : null);
+                setFromRev(items.length > 1 ? items[items.length - 2].rev : items[0]?.rev ?? null);
+            })
+            .catch((err) => console.error('Failed to load revisions', err))
+            .finally(() => !cancelled && setLoading(false));
+        return () => {
+            cancelled = true;
+        };
+    }, [post.id, post.version]);
+
+    const from = revisions.find((r) => r.rev === fromRev);
+    const to = revisions.find((r) => r.rev === toRev);
+    const changes = from && to ? diffPosts(from.post, to.post) : [];
+
+    const handleRestore = (r) => {
+        confirm(
+            `Restore revision #${r.rev}? The current content is kept in the history.`,
+            async () => {
+                setRestoring(r.rev);
+                try {
+                    await restoreRevision(post.id, r.rev, post.version);
+                    toast(`Revision #${r.rev} restored`, 'success');
+                    onRestored();
+                } catch (err) {
+                    const msg =
+                        err.status === 409 ? 'The post changed in the meantime. Reopen it and try again.' : err.message;
+                    toast(`Restore failed: ${msg}`, 'error');
+                } finally {
+                    setRestoring(null);
+                }
+            },
+            'Restore revision'
+        );
+    };
+
+    if (loading) return <div className="muted-small">Loading history…</div>;
+    if (!revisions.length) return <div className="muted-small">No revisions recorded yet.</div>;
+
+    const revisionSelect = (value, onChange, label) => (
+        <select aria-label={label} value={value ?? ''} onChange={(e) => onChange(parseInt(e.target.value, 10))}>
+            {revisions.map((r) => (
+                <option key={r.rev} value={r.rev}>
+                    {revisionLabel(r)}
+                </option>
+            ))}
+        </select>
+    );
+
+    return (
+        <div className="post-history">
+            <div className="fld">
+                <span>Compare</span>
+                {revisionSelect(fromRev, setFromRev, 'From revision')}
+                {revisionSelect(toRev, setToRev, 'To revision')}
+            </div>
+
+            {from && to && changes.length === 0 && <div className="muted-small">No differences.</div>}
+            {changes.length > 0 && (
+                <table className="merge-table">
+                    <thead>
+                        <tr>
+                            <th>Field</th>
+                            <th>#{from.rev}</th>
+                            <th>#{to.rev}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {changes.map((c) => (
+                            <tr key={c.field}>
+                                <td>{c.label}</td>
+                                <td className="diff-before">{formatFieldValue(c.before, c.field)}</td>
+                                <td className="diff-after">{formatFieldValue(c.after, c.field)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <h3 className="panel-title mt-12">Revisions</h3>
+            <ul className="remove-list">
+                {revisions
+                    .slice()
+                    .reverse()
+                    .map((r, i) => (
+                        <li key={r.rev} className="remove-item">
+                            <span>{revisionLabel(r)}</span>
+                            {i > 0 && (
+                                <Button
+                                    size="small"
+                                    onClick={() => handleRestore(r)}
+                                    loading={restoring === r.rev}
+                                    disabled={restoring !== null}
+                                >
+                                    Restore
+                                </Button>
+                            )}
+                        </li>
+                    ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,73 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useState } from 'react';
+import { retryPublishing } from '../../api.js';
+import Button from '../../components/ui/Button';
+import { useToast } from '../../context/ToastProvider';
+
+const STATE_LABELS = {
+    published: 'Published',
+    pending: 'Waiting for the platform',
+    retrying: 'Retrying',
+    failed: 'Failed',
+};
+
+/**
+ * Results of automatic publishing recorded on a post (`post.publications`), newest date first.
+ * "Retry failed" clears the failures so the scheduler tries again; `onChange(post)` receives the updated post.
+ */
+export default function PublishingStatus({ post, onChange }) {
+    const [busy, setBusy] = useState(false);
+    const toast = useToast();
+
+    const records = (post.publications || [])
+        .slice()
+        .sort((a, b) => b.date.localeCompare(a.date) || a.platform.localeCompare(b.platform));
+    const anyFailed = records.some((r) => r.state === 'failed');
+
+    const retry = async () => {
+        setBusy(true);
+        try {
+            onChange(await retryPublishing(post.id));
+            toast('Publishing will be retried', 'success');
+        } catch (err) {
+            toast(`Could not retry: ${err.message}`, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="publishing-status">
+            <ul>
+                {records.map((r) => (
+                    <li key={`${r.platform}|${r.date}`} className={`publication-${r.state}`}>
+                        <strong>{r.platform}</strong> · {r.date} · {STATE_LABELS[r.state] || r.state}
+                        {r.error && <div className="muted-small">{r.error}</div>}
+                        {r.externalId && <div className="muted-small">ID: {r.externalId}</div>}
+                    </li>
+                ))}
+            </ul>
+            {anyFailed && (
+                <Button size="small" onClick={retry} loading={busy}>
+                    Retry failed
+                </Button>
+            )}
+        </div>
+    );
+}
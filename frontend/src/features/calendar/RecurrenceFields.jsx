@@ -0,0 +1,124 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React from 'react';
+import Checkbox from '../../components/ui/Checkbox';
+import Button from '../../components/ui/Button';
+import { WEEKDAYS, WEEKDAY_LABELS, defaultRecurrence, describeRecurrence } from '../../utils/recurrence.js';
+
+/**
+ * Recurrence editor of the post form. `value` is the rule or null (no repetition);
+ * `date` is the post date, used to pick the default weekday.
+ */
+export default function RecurrenceFields({ value, date, onChange }) {
+    const rule = value;
+    const ends = rule?.count ? 'count' : rule?.until ? 'until' : 'never';
+
+    const set = (patch) => onChange({ ...rule, ...patch });
+
+    const setFreq = (freq) => {
+        if (!freq) return onChange(null);
+        const base = rule || defaultRecurrence(date);
+        onChange({ ...base, freq, byWeekday: freq === 'weekly' ? base.byWeekday : [] });
+    };
+
+    const toggleWeekday = (d) => {
+        const days = rule.byWeekday || [];
+        set({ byWeekday: WEEKDAYS.filter((x) => (x === d ? !days.includes(d) : days.includes(x))) });
+    };
+
+    const setEnds = (mode) => {
+        if (mode === 'count') set({ count: rule.count || 10, until: null });
+        else if (mode === 'until') set({ until: rule.until || date, count: null });
+        else set({ count: null, until: null });
+    };
+
+    return (
+        <div className="recurrence-fields">
+            <div className="inline">
+                <select aria-label="Repeats" value={rule?.freq || ''} onChange={(e) => setFreq(e.target.value)}>
+                    <option value="">Does not repeat</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                </select>
+                {rule && (
+                    <label className="inline">
+                        every
+                        <input
+                            type="number"
+                            min={1}
+                            max={365}
+                            value={rule.interval || 1}
+                            onChange={(e) => set({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                        />
+                    </label>
+                )}
+            </div>
+
+            {rule?.freq === 'weekly' && (
+                <div className="checkboxes">
+                    {WEEKDAYS.map((d) => (
+                        <Checkbox
+                            key={d}
+                            checked={(rule.byWeekday || []).includes(d)}
+                            onChange={() => toggleWeekday(d)}
+                        >
+                            {WEEKDAY_LABELS[d]}
+                        </Checkbox>
+                    ))}
+                </div>
+            )}
+
+            {rule && (
+                <div className="inline">
+                    <select aria-label="Ends" value={ends} onChange={(e) => setEnds(e.target.value)}>
+                        <option value="never">Never ends</option>
+                        <option value="until">Ends on</option>
+                        <option value="count">Ends after</option>
+                    </select>
+                    {ends === 'until' && (
+                        <input type="date" value={rule.until || ''} onChange={(e) => set({ until: e.target.value })} />
+                    )}
+                    {ends === 'count' && (
+                        <label className="inline">
+                            <input
+                                type="number"
+                                min={1}
+                                max={1000}
+                                value={rule.count}
+                                onChange={(e) => set({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                            />
+                            occurrences
+                        </label>
+                    )}
+                </div>
+            )}
+
+            {rule && (
+                <div className="muted-small">
+                    {describeRecurrence(rule)}
+                    {rule.exceptions?.length > 0 && (
+                        <Button type="button" size="small" onClick={() => set({ exceptions: [] })}>
+                            Restore skipped dates
+                        </Button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
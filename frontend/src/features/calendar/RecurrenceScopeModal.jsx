@@ -0,0 +1,85 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { forwardRef, useImperativeHandle, useRef, useState } from 'react';
+import Modal from '../../components/common/Modal';
+import Button from '../../components/ui/Button';
+
+const SCOPES = [
+    ['this', 'This occurrence'],
+    ['following', 'This and following'],
+    ['all', 'All occurrences'],
+];
+
+/**
+ * Asks which occurrences of a recurring post an edit or delete applies to.
+ * Imperative API: show(title, onChoose) where `onChoose(scope)` receives
+ * `this`, `following` or `all`.
+ */
+const RecurrenceScopeModal = forwardRef(function RecurrenceScopeModal(_, ref) {
+    const modalRef = useRef(null);
+    const onChooseRef = useRef(null);
+    const [title, setTitle] = useState('');
+    const [loading, setLoading] = useState(null);
+
+    useImperativeHandle(ref, () => ({
+        show: (t, onChoose) => {
+            setTitle(t);
+            setLoading(null);
+            onChooseRef.current = onChoose;
+            modalRef.current?.showModal();
+        },
+        close: () => modalRef.current?.close(),
+    }));
+
+    const choose = async (scope) => {
+        setLoading(scope);
+        try {
+            await Promise.resolve(onChooseRef.current && onChooseRef.current(scope));
+            modalRef.current?.close();
+        } catch (err) {
+            console.error('Recurring post action failed:', err);
+        } finally {
+            setLoading(null);
+        }
+    };
+
+    return (
+        <Modal ref={modalRef} title={title}>
+            <div>This post repeats. Which occurrences should this apply to?</div>
+            <div className="modal-actions">
+                <Button variant="secondary" size="small" onClick={() => modalRef.current?.close()}>
+                    Cancel
+                </Button>
+                {SCOPES.map(([scope, label]) => (
+                    <Button
+                        key={scope}
+                        variant="primary"
+                        size="small"
+                        onClick={() => choose(scope)}
+                        loading={loading === scope}
+                        disabled={loading !== null}
+                    >
+                        {label}
+                    </Button>
+                ))}
+            </div>
+        </Modal>
+    );
+});
+
+export default RecurrenceScopeModal;
@@ -0,0 +1,102 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React from 'react';
+import Checkbox from '../../components/ui/Checkbox';
+import { STAGE_ROLES, STAGE_LABELS, emptyStage, stageDueDate, overdueStages } from '../../utils/stages.js';
+
+/**
+ * Per-role deadlines of the post form. `value` maps a role to `{ due, daysBefore, done }`;
+ * `date` is the publish date relative deadlines count back from.
+ */
+export default function StageDeadlines({ value, date, errors, onChange }) {
+    const stages = value || {};
+    const overdue = overdueStages({ date, stages });
+
+    const set = (role, stage) => {
+        const next = { ...stages };
+        if (stage) next[role] = stage;
+        else delete next[role];
+        onChange(next);
+    };
+
+    const setMode = (role, mode) => {
+        const stage = stages[role] || emptyStage();
+        if (mode === 'due') set(role, { ...stage, due: stageDueDate(stage, date) || date, daysBefore: null });
+        else if (mode === 'before') set(role, { ...stage, due: null, daysBefore: stage.daysBefore ?? 1 });
+        else set(role, null);
+    };
+
+    return (
+        <div className="stage-deadlines">
+            {STAGE_ROLES.map((role) => {
+                const stage = stages[role];
+                const mode = !stage ? '' : stage.due ? 'due' : 'before';
+                const due = stageDueDate(stage, date);
+
+                return (
+                    <div key={role} className={`stage-row ${overdue.includes(role) ? 'overdue' : ''}`}>
+                        <div className="inline">
+                            <span className="stage-label">{STAGE_LABELS[role]}</span>
+                            <select
+                                aria-label={`${STAGE_LABELS[role]} deadline`}
+                                value={mode}
+                                onChange={(e) => setMode(role, e.target.value)}
+                            >
+                                <option value="">No deadline</option>
+                                <option value="due">Due on</option>
+                                <option value="before">Days before publishing</option>
+                            </select>
+                            {mode === 'due' && (
+                                <input
+                                    type="date"
+                                    value={stage.due}
+                                    onChange={(e) => set(role, { ...stage, due: e.target.value || null })}
+                                />
+                            )}
+                            {mode === 'before' && (
+                                <input
+                                    type="number"
+                                    min={0}
+                                    max={365}
+                                    value={stage.daysBefore}
+                                    onChange={(e) =>
+                                        set(role, {
+                                            ...stage,
+                                            daysBefore: Math.max(0, parseInt(e.target.value, 10) || 0),
+                                        })
+                                    }
+                                />
+                            )}
+                            {stage && (
+                                <Checkbox
+                                    checked={stage.done}
+                                    onChange={() => set(role, { ...stage, done: !stage.done })}
+                                >
+                                    Done
+                                </Checkbox>
+                            )}
+                        </div>
+                        {mode === 'before' && due && <div className="muted-small">Due {due}</div>}
+                        {overdue.includes(role) && <div className="form-help-danger">Overdue</div>}
+                        {errors[`stages.${role}`] && <div className="form-help-danger">{errors[`stages.${role}`]}</div>}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,160 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { forwardRef, useImperativeHandle, useRef, useState } from 'react';
+import Modal from '../../components/common/Modal';
+import Button from '../../components/ui/Button';
+import { getTemplates, instantiateTemplate, deleteTemplate } from '../../api.js';
+import { useConfirm } from '../../context/ConfirmProvider';
+import { useToast } from '../../context/ToastProvider';
+
+/**
+ * Lets the user pick a post template and fill in its `{{placeholders}}`.
+ * Imperative API: show(onApply) where `onApply(post)` receives the filled-in post fields.
+ */
+const TemplatePickerModal = forwardRef(function TemplatePickerModal(_, ref) {
+    const modalRef = useRef(null);
+    const onApplyRef = useRef(null);
+    const [templates, setTemplates] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [selectedId, setSelectedId] = useState(null);
+    const [variables, setVariables] = useState({});
+    const [errors, setErrors] = useState({});
+    const [applying, setApplying] = useState(false);
+
+    const confirm = useConfirm();
+    const toast = useToast();
+    const currentUser = JSON.parse(localStorage.getItem('user') || 'null');
+
+    const load = async () => {
+        setLoading(true);
+        try {
+            setTemplates(await getTemplates());
+        } catch (err) {
+            toast(`Could not load templates: ${err.message}`, 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useImperativeHandle(ref, () => ({
+        show: (onApply) => {
+            onApplyRef.current = onApply;
+            setSelectedId(null);
+            setVariables({});
+            setErrors({});
+            modalRef.current?.showModal();
+            load();
+        },
+        close: () => modalRef.current?.close(),
+    }));
+
+    const selected = templates.find((t) => t.id === selectedId);
+
+    const select = (template) => {
+        setSelectedId(template.id);
+        setVariables({});
+        setErrors({});
+    };
+
+    const apply = async () => {
+        setApplying(true);
+        setErrors({});
+        try {
+            const post = await instantiateTemplate(selected.id, variables);
+            onApplyRef.current && onApplyRef.current(post);
+            modalRef.current?.close();
+        } catch (err) {
+            if (err.status === 422 && err.body?.fields) setErrors(err.body.fields);
+            else toast(`Could not use template: ${err.message}`, 'error');
+        } finally {
+            setApplying(false);
+        }
+    };
+
+    const remove = (template) => {
+        confirm(
+            `Delete the template "${template.name}"?`,
+            async () => {
+                try {
+                    await deleteTemplate(template.id);
+                    if (selectedId === template.id) setSelectedId(null);
+                    await load();
+                } catch (err) {
+                    toast(`Delete failed: ${err.message}`, 'error');
+                }
+            },
+            'Delete template'
+        );
+    };
+
+    const canDelete = (t) => currentUser && (t.createdBy === currentUser.username || currentUser.role === 'admin');
+
+    return (
+        <Modal ref={modalRef} title="New from template">
+            {loading ? (
+                <div className="muted-small">Loading…</div>
+            ) : templates.length === 0 ? (
+                <div className="muted-small">
+                    No templates yet. Fill in the post form and use “Save as template” to create one.
+                </div>
+            ) : (
+                <ul className="remove-list template-list">
+                    {templates.map((t) => (
+                        <li key={t.id} className={`remove-item ${t.id === selectedId ? 'selected' : ''}`}>
+                            <button type="button" className="template-pick" onClick={() => select(t)}>
+                                <strong>{t.name}</strong>
+                                {t.description && <div className="muted-small">{t.description}</div>}
+                            </button>
+                            {canDelete(t) && (
+                                <Button size="small" variant="danger" onClick={() => remove(t)}>
+                                    Delete
+                                </Button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {selected &&
+                selected.variables.map((name) => (
+                    <div className="fld" key={name}>
+                        <span>{name}</span>
+                        <input
+                            type={name === 'date' ? 'date' : 'text'}
+                            value={variables[name] || ''}
+                            onChange={(e) => setVariables((v) => ({ ...v, [name]: e.target.value }))}
+                        />
+                        {errors[`variables.${name}`] && (
+                            <div className="form-help-danger">{errors[`variables.${name}`]}</div>
+                        )}
+                    </div>
+                ))}
+
+            <div className="modal-actions">
+                <Button variant="secondary" size="small" onClick={() => modalRef.current?.close()}>
+                    Cancel
+                </Button>
+                <Button variant="primary" size="small" onClick={apply} loading={applying} disabled={!selected}>
+                    Use template
+                </Button>
+            </div>
+        </Modal>
+    );
+});
+
+export default TemplatePickerModal;
@@ -15,15 +15,46 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-import React, { useEffect, useState } from 'react';
-import { getPosts, deletePost } from '../../api.js';
+import React, { useEffect, useRef, useState } from 'react';
+import { getPosts, deletePost, bulkUpdatePosts, onPostChange } from '../../api.js';
 import PostCard from '../../features/calendar/PostCard';
+import RecurrenceScopeModal from './RecurrenceScopeModal';
+import BulkActionBar from './BulkActionBar';
+import Button from '../../components/ui/Button';
 import { useConfirm } from '../../context/ConfirmProvider';
-import { addDays, formatISODate, dayName, minutesOf } from '../../utils/date.js';
+import { useToast } from '../../context/ToastProvider';
+import { addDays, formatISODate, dayName, minutesOf, localizePost } from '../../utils/date.js';
+import { overdueStages } from '../../utils/stages.js';
 
-export default function WeekView({ weekStart, lists, onEditPost, refreshTrigger, searchQuery }) {
+/**
+ * Applies a live change to posts (`data_updated`) to the entries of the week: changed posts
+ * replace their entries, or leave the week when they moved out of it (`inWeek`). Returns null
+ * when recurring posts are involved, since only the server expands their occurrences.
+ */
+function applyPostChange(entries, change, inWeek) {
+    const changed = change.action === 'bulk' ? change.posts || [] : change.post ? [change.post] : [];
+    const ids = new Set([change.id, ...(change.deleted || []), ...changed.map((p) => p.id)]);
+    if (changed.some((p) => p.recurrence) || entries.some((p) => ids.has(p.id) && p.occurrenceDate)) return null;
+    return [...entries.filter((p) => !ids.has(p.id)), ...changed.filter(inWeek)];
+}
+
+export default function WeekView({
+    weekStart,
+    lists,
+    campaigns = [],
+    onEditPost,
+    refreshTrigger,
+    searchQuery,
+    overdueOnly,
+}) {
     const [posts, setPosts] = useState([]);
     const [localRefresh, setLocalRefresh] = useState(0);
+    const [selecting, setSelecting] = useState(false);
+    // Selected post ids mapped to the version they were selected at (kept across weeks)
+    const [selected, setSelected] = useState({});
+    const [bulkBusy, setBulkBusy] = useState(false);
+    const postsRef = useRef(posts);
+    postsRef.current = posts;
 
     useEffect(() => {
         const start = formatISODate(weekStart);
@@ -31,7 +62,25 @@ export default function WeekView({ weekStart, lists, onEditPost, refreshTrigger,
         getPosts(start, end).then(setPosts).catch(console.error);
     }, [weekStart, localRefresh, refreshTrigger]);
 
+    // Live changes are applied in place; the week is re-fetched only for recurring posts
+    useEffect(() => {
+        const start = formatISODate(weekStart);
+        const end = formatISODate(addDays(weekStart, 6));
+        const inWeek = (post) => {
+            const { date } = localizePost(post, lists.defaultTimezone);
+            return date >= start && date <= end;
+        };
+        return onPostChange((change) => {
+            const next = applyPostChange(postsRef.current, change, inWeek);
+            if (!next) return setLocalRefresh((x) => x + 1);
+            // Kept current for changes arriving before the next render
+            postsRef.current = next;
+            setPosts(next);
+        });
+    }, [weekStart, lists.defaultTimezone]);
+
     const matchesSearch = (p) => {
+        if (overdueOnly && !overdueStages(p).length) return false;
         if (!searchQuery) return true;
         const q = String(searchQuery).toLowerCase();
         if ((p.title || '').toLowerCase().includes(q)) return true;
@@ -50,9 +99,18 @@ export default function WeekView({ weekStart, lists, onEditPost, refreshTrigger,
     };
 
     const confirm = useConfirm();
-    async function handleDelete(id) {
+    const scopeRef = useRef(null);
+    async function handleDelete(post) {
+        if (post.occurrenceDate) {
+            scopeRef.current?.show('Delete recurring post', async (scope) => {
+                await deletePost(post.id, { scope, occurrence: post.occurrenceDate });
+                setLocalRefresh((x) => x + 1);
+            });
+            return;
+        }
+        const id = post.id;
         confirm(
-            'Are you sure?',
+            'Move this post to the trash? An administrator can restore it.',
             async () => {
                 await deletePost(id);
                 setLocalRefresh((x) => x + 1);
@@ -61,40 +119,131 @@ export default function WeekView({ weekStart, lists, onEditPost, refreshTrigger,
         );
     }
 
+    const toast = useToast();
+
+    const toggleSelected = (post) => {
+        setSelected((prev) => {
+            const next = { ...prev };
+            if (next[post.id] !== undefined) delete next[post.id];
+            else next[post.id] = post.version || 0;
+            return next;
+        });
+    };
+
+    const selectAllVisible = () => {
+        setSelected((prev) => {
+            const next = { ...prev };
+            posts.filter(matchesSearch).forEach((p) => (next[p.id] = p.version || 0));
+            return next;
+        });
+    };
+
+    const exitSelection = () => {
+        setSelecting(false);
+        setSelected({});
+    };
+
+    const runBulk = async (operations) => {
+        const ids = Object.keys(selected);
+        setBulkBusy(true);
+        try {
+            const res = await bulkUpdatePosts(ids, operations, selected);
+            const done = res.deleted.length
+                ? `${res.deleted.length} moved to the trash`
+                : `${res.updated.length} updated`;
+            toast(`${done}${res.missing.length ? `, ${res.missing.length} no longer exist` : ''}`, 'success');
+            setSelected({});
+        } catch (err) {
+            if (err.status === 409) {
+                toast(
+                    `${err.body?.conflicts?.length || 'Some'} post(s) changed in the meantime. Nothing was applied.`,
+                    'warning'
+                );
+                setSelected({});
+            } else if (err.body?.denied) {
+                const count = Object.keys(err.body.denied).length;
+                toast(
+                    `${count} post(s) cannot take this change under the approval workflow. Nothing was applied.`,
+                    'warning'
+                );
+            } else {
+                toast(`Bulk update failed: ${err.message}`, 'error');
+            }
+        } finally {
+            setBulkBusy(false);
+            setLocalRefresh((x) => x + 1);
+        }
+    };
+
+    const handleBulk = (operations) => {
+        const count = Object.keys(selected).length;
+        if (operations[0].op === 'delete') {
+            confirm(`Move ${count} post(s) to the trash?`, () => runBulk(operations), 'Delete posts');
+            return;
+        }
+        runBulk(operations);
+    };
+
+    // Posts are placed by their date and time in the viewer's time zone
+    const localized = posts.map((post) => ({ post, local: localizePost(post, lists.defaultTimezone) }));
+
     const byDay = (idx) => {
         const day = formatISODate(addDays(weekStart, idx));
-        return posts
-            .filter((p) => p.date === day && matchesSearch(p))
+        return localized
+            .filter(({ post, local }) => local.date === day && matchesSearch(post))
             .sort((a, b) => {
                 // All-day posts always appear first
-                if (a.isAllDay && !b.isAllDay) return -1;
-                if (!a.isAllDay && b.isAllDay) return 1;
+                if (a.post.isAllDay && !b.post.isAllDay) return -1;
+                if (!a.post.isAllDay && b.post.isAllDay) return 1;
                 // Then sort by time
-                return minutesOf(a.time) - minutesOf(b.time);
+                return minutesOf(a.local.time) - minutesOf(b.local.time);
             });
     };
 
     return (
-        <div className="week-grid">
-            {Array.from({ length: 7 }, (_, i) => (
-                <div className="day-column" key={i}>
-                    <div className="day-header">
-                        <div className="day-name">{dayName(i)}</div>
-                        <div className="day-date">{addDays(weekStart, i).toLocaleDateString()}</div>
-                    </div>
-                    <div className="day-posts">
-                        {byDay(i).map((post) => (
-                            <PostCard
-                                key={post.id}
-                                post={post}
-                                statusesList={lists.statuses}
-                                onDelete={handleDelete}
-                                onEdit={onEditPost}
-                            />
-                        ))}
+        <>
+            <div className="week-toolbar">
+                <Button size="small" onClick={selecting ? exitSelection : () => setSelecting(true)}>
+                    {selecting ? 'Done' : 'Select'}
+                </Button>
+                {selecting && (
+                    <BulkActionBar
+                        count={Object.keys(selected).length}
+                        lists={lists}
+                        busy={bulkBusy}
+                        onApply={handleBulk}
+                        onSelectAll={selectAllVisible}
+                        onClear={() => setSelected({})}
+                    />
+                )}
+            </div>
+            <div className="week-grid">
+                {Array.from({ length: 7 }, (_, i) => (
+                    <div className="day-column" key={i}>
+                        <div className="day-header">
+                            <div className="day-name">{dayName(i)}</div>
+                            <div className="day-date">{addDays(weekStart, i).toLocaleDateString()}</div>
+                        </div>
+                        <div className="day-posts">
+                            {byDay(i).map(({ post, local }) => (
+                                <PostCard
+                                    key={`${post.id}:${post.occurrenceDate || ''}`}
+                                    post={post}
+                                    local={local}
+                                    statusesList={lists.statuses}
+                                    campaign={campaigns.find((c) => c.id === post.campaignId)}
+                                    onDelete={handleDelete}
+                                    onEdit={onEditPost}
+                                    selectable={selecting}
+                                    selected={selected[post.id] !== undefined}
+                                    onToggleSelect={toggleSelected}
+                                />
+                            ))}
+                        </div>
                     </div>
-                </div>
-            ))}
-        </div>
+                ))}
+                <RecurrenceScopeModal ref={scopeRef} />
+            </div>
+        </>
     );
 }
@@ -0,0 +1,126 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { forwardRef, useImperativeHandle, useRef, useState } from 'react';
+import Modal from '../../components/common/Modal';
+import Button from '../../components/ui/Button';
+import { createCampaign, updateCampaign } from '../../api.js';
+import { formatISODate, addDays } from '../../utils/date.js';
+
+const emptyCampaign = () => {
+    const today = new Date();
+    return {
+        name: '',
+        color: '#6bc6ff',
+        startDate: formatISODate(today),
+        endDate: formatISODate(addDays(today, 30)),
+        goal: '',
+        owner: JSON.parse(localStorage.getItem('user') || 'null')?.username || '',
+    };
+};
+
+/**
+ * Creates or edits a campaign.
+ * Imperative API: show(campaign, onSaved) where `campaign` is null for a new one
+ * and `onSaved(saved)` receives the stored campaign.
+ */
+const CampaignFormModal = forwardRef(function CampaignFormModal(_, ref) {
+    const modalRef = useRef(null);
+    const onSavedRef = useRef(null);
+    const [editingId, setEditingId] = useState(null);
+    const [form, setForm] = useState(emptyCampaign());
+    const [errors, setErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    useImperativeHandle(ref, () => ({
+        show: (campaign, onSaved) => {
+            setEditingId(campaign ? campaign.id : null);
+            setForm(campaign ? { ...emptyCampaign(), ...campaign } : emptyCampaign());
+            setErrors({});
+            onSavedRef.current = onSaved;
+            modalRef.current?.showModal();
+        },
+        close: () => modalRef.current?.close(),
+    }));
+
+    const update = (k, v) => setForm((f) => ({ ...f, [k]: v }));
+
+    const save = async () => {
+        setSaving(true);
+        setErrors({});
+        const { name, color, startDate, endDate, goal, owner } = form;
+        const body = { name, color, startDate, endDate, goal, owner };
+        try {
+            const saved = editingId ? await updateCampaign(editingId, body) : await createCampaign(body);
+            onSavedRef.current && onSavedRef.current(saved);
+            modalRef.current?.close();
+        } catch (err) {
+            setErrors(err.body?.fields || { _body: err.message });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const fieldError = (k) => (errors[k] ? <div className="form-help-danger">{errors[k]}</div> : null);
+
+    return (
+        <Modal ref={modalRef} title={editingId ? 'Edit campaign' : 'New campaign'}>
+            <div className="fld">
+                <span>Name</span>
+                <input value={form.name} onChange={(e) => update('name', e.target.value)} />
+                {fieldError('name')}
+            </div>
+            <div className="fld">
+                <span>Colour</span>
+                <input type="color" value={form.color} onChange={(e) => update('color', e.target.value)} />
+                {fieldError('color')}
+            </div>
+            <div className="fld">
+                <span>Start date</span>
+                <input type="date" value={form.startDate} onChange={(e) => update('startDate', e.target.value)} />
+                {fieldError('startDate')}
+            </div>
+            <div className="fld">
+                <span>End date</span>
+                <input type="date" value={form.endDate} onChange={(e) => update('endDate', e.target.value)} />
+                {fieldError('endDate')}
+            </div>
+            <div className="fld">
+                <span>Goal</span>
+                <textarea rows={3} value={form.goal} onChange={(e) => update('goal', e.target.value)} />
+                {fieldError('goal')}
+            </div>
+            <div className="fld">
+                <span>Owner</span>
+                <input value={form.owner} onChange={(e) => update('owner', e.target.value)} placeholder="Username" />
+                {fieldError('owner')}
+            </div>
+            {fieldError('_body')}
+
+            <div className="modal-actions">
+                <Button variant="secondary" size="small" onClick={() => modalRef.current?.close()} disabled={saving}>
+                    Cancel
+                </Button>
+                <Button variant="primary" size="small" onClick={save} loading={saving}>
+                    Save
+                </Button>
+            </div>
+        </Modal>
+    );
+});
+
+export default CampaignFormModal;
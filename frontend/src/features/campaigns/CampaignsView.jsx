@@ -0,0 +1,175 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { getCampaign, deleteCampaign } from '../../api.js';
+import Button from '../../components/ui/Button';
+import CampaignFormModal from './CampaignFormModal';
+import { useConfirm } from '../../context/ConfirmProvider';
+import { useToast } from '../../context/ToastProvider';
+
+const statusName = (s) => (s && typeof s === 'object' ? s.name || s.value || '' : s);
+
+function ProgressBar({ stats }) {
+    const pct = stats.total ? Math.round((stats.done / stats.total) * 100) : 0;
+    return (
+        <div className="campaign-progress" title={`${stats.done} of ${stats.total} post(s) done`}>
+            <div className="campaign-progress-fill" style={{ width: `${pct}%` }} />
+            <span>
+                {stats.done}/{stats.total} · {pct}%
+            </span>
+        </div>
+    );
+}
+
+/**
+ * Campaign overview: every campaign with its progress, and the selected campaign's posts
+ * grouped by status. Progress counts the posts that reached the campaign's `doneStatus`.
+ */
+export default function CampaignsView({ lists, campaigns, onOpenPost }) {
+    const [selectedId, setSelectedId] = useState(null);
+    const [detail, setDetail] = useState(null);
+    const formRef = useRef(null);
+    const confirm = useConfirm();
+    const toast = useToast();
+
+    const currentUser = JSON.parse(localStorage.getItem('user') || 'null');
+    const canModify = (c) =>
+        currentUser &&
+        (currentUser.role === 'admin' || c.owner === currentUser.username || c.createdBy === currentUser.username);
+
+    // Reload the open campaign whenever the list is refreshed (live sync included)
+    useEffect(() => {
+        if (!selectedId) {
+            setDetail(null);
+            return;
+        }
+        let cancelled = false;
+        getCampaign(selectedId)
+            .then((c) => !cancelled && setDetail(c))
+            .catch((err) => {
+                if (cancelled) return;
+                setDetail(null);
+                if (err.status === 404) setSelectedId(null);
+                else toast(`Could not load campaign: ${err.message}`, 'error');
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedId, campaigns, toast]);
+
+    const handleDelete = (c) => {
+        confirm(
+            `Delete the campaign "${c.name}"? Its posts are kept but no longer belong to a campaign.`,
+            async () => {
+                try {
+                    await deleteCampaign(c.id);
+                    if (selectedId === c.id) setSelectedId(null);
+                    toast('Campaign deleted', 'success');
+                } catch (err) {
+                    toast(`Delete failed: ${err.message}`, 'error');
+                }
+            },
+            'Delete campaign'
+        );
+    };
+
+    // Known statuses first, in their configured order, then any others found on the posts
+    const statusOrder = lists.statuses.map(statusName);
+    const groups = detail
+        ? [...statusOrder, ...Object.keys(detail.stats.byStatus).filter((s) => !statusOrder.includes(s))]
+              .filter((s) => detail.stats.byStatus[s])
+              .map((s) => [s, detail.posts.filter((p) => p.status === s)])
+        : [];
+
+    return (
+        <div className="panel admin-panel grid-gap-12">
+            <div className="flex-between">
+                <div className="brand">Campaigns</div>
+                <Button size="small" onClick={() => formRef.current?.show(null, (c) => setSelectedId(c.id))}>
+                    ＋ New campaign
+                </Button>
+            </div>
+
+            {campaigns.length === 0 ? (
+                <div className="muted-small">No campaigns yet.</div>
+            ) : (
+                <ul className="remove-list">
+                    {campaigns.map((c) => (
+                        <li
+                            key={c.id}
+                            className={`remove-item campaign-row ${c.id === selectedId ? 'selected' : ''}`}
+                            style={{ '--campaign-color': c.color }}
+                        >
+                            <button type="button" className="campaign-pick" onClick={() => setSelectedId(c.id)}>
+                                <strong>{c.name}</strong>
+                                <div className="muted-small">
+                                    {c.startDate} – {c.endDate} · owner {c.owner}
+                                </div>
+                            </button>
+                            <ProgressBar stats={c.stats} />
+                            {canModify(c) && (
+                                <div className="flex-gap-8">
+                                    <Button size="small" onClick={() => formRef.current?.show(c)}>
+                                        Edit
+                                    </Button>
+                                    <Button size="small" variant="danger" onClick={() => handleDelete(c)}>
+                                        Delete
+                                    </Button>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {detail && (
+                <section className="campaign-detail" style={{ '--campaign-color': detail.color }}>
+                    <h3 className="panel-title">{detail.name}</h3>
+                    {detail.goal && <p>{detail.goal}</p>}
+                    <ProgressBar stats={detail.stats} />
+                    <div className="muted-small">Progress counts posts in “{detail.doneStatus || '—'}”.</div>
+                    {groups.length === 0 ? (
+                        <div className="muted-small mt-12">No posts in this campaign yet.</div>
+                    ) : (
+                        groups.map(([status, posts]) => (
+                            <div key={status} className="mt-12">
+                                <strong>
+                                    {status} ({posts.length})
+                                </strong>
+                                <ul className="remove-list">
+                                    {posts.map((p) => (
+                                        <li key={p.id} className="remove-item">
+                                            <span>
+                                                {p.date} · {p.title}
+                                            </span>
+                                            <Button size="small" onClick={() => onOpenPost(p)}>
+                                                Open
+                                            </Button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        ))
+                    )}
+                </section>
+            )}
+
+            <CampaignFormModal ref={formRef} />
+        </div>
+    );
+}
@@ -0,0 +1,187 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+    getNotifications,
+    markNotificationsRead,
+    saveNotificationPreferences,
+    saveEmail,
+    subscribe,
+} from '../../api.js';
+import Button from '../../components/ui/Button';
+import Checkbox from '../../components/ui/Checkbox';
+import { useToast } from '../../context/ToastProvider';
+
+const TYPE_LABELS = {
+    assignment: 'Assigned to me',
+    status: 'Status changes',
+    mention: 'Mentions',
+    deadline: 'Missed deadlines',
+};
+
+// Preferences for messages sent to the user's e-mail address
+const EMAIL_LABELS = {
+    email: 'E-mail me assignments and status changes',
+    digest: 'Monday digest of my posts',
+};
+
+/**
+ * Header bell with the current user's notifications. New ones arrive on the user's socket
+ * room as `notification` events; clicking one marks it read and calls `onJump(date)`.
+ */
+export default function NotificationBell({ onJump }) {
+    const [open, setOpen] = useState(false);
+    const [showPrefs, setShowPrefs] = useState(false);
+    const [items, setItems] = useState([]);
+    const [unread, setUnread] = useState(0);
+    const [preferences, setPreferences] = useState({});
+    const [email, setEmail] = useState('');
+    const [savingEmail, setSavingEmail] = useState(false);
+    const toast = useToast();
+
+    const load = useCallback(() => {
+        getNotifications()
+            .then((res) => {
+                setItems(res.items);
+                setUnread(res.unread);
+                setPreferences(res.preferences);
+                setEmail(res.email || '');
+            })
+            .catch((err) => console.error('Failed to load notifications', err));
+    }, []);
+
+    useEffect(() => {
+        load();
+        const offNew = subscribe('notification', (n) => {
+            setItems((prev) => [n, ...prev]);
+            setUnread((u) => u + 1);
+        });
+        // Read in another tab or session of the same user
+        const offRead = subscribe('notifications_read', load);
+        return () => {
+            offNew();
+            offRead();
+        };
+    }, [load]);
+
+    const markRead = async (ids) => {
+        try {
+            const res = await markNotificationsRead(ids);
+            setUnread(res.unread);
+            setItems((prev) => prev.map((n) => (!ids || ids.includes(n.id) ? { ...n, read: true } : n)));
+        } catch (err) {
+            toast(`Could not mark as read: ${err.message}`, 'error');
+        }
+    };
+
+    const openItem = (n) => {
+        if (!n.read) markRead([n.id]);
+        if (n.date) {
+            onJump(n.date);
+            setOpen(false);
+        }
+    };
+
+    const togglePreference = async (type) => {
+        try {
+            setPreferences(await saveNotificationPreferences({ [type]: !preferences[type] }));
+        } catch (err) {
+            toast(`Could not save preferences: ${err.message}`, 'error');
+        }
+    };
+
+    const submitEmail = async (e) => {
+        e.preventDefault();
+        setSavingEmail(true);
+        try {
+            const res = await saveEmail(email.trim());
+            setEmail(res.email || '');
+            toast(res.email ? 'E-mail address saved' : 'E-mail address removed', 'success');
+        } catch (err) {
+            toast(`Could not save e-mail address: ${err.message}`, 'error');
+        } finally {
+            setSavingEmail(false);
+        }
+    };
+
+    const preferenceBoxes = (labels) =>
+        Object.entries(labels).map(([type, label]) => (
+            <Checkbox key={type} checked={preferences[type] !== false} onChange={() => togglePreference(type)}>
+                {label}
+            </Checkbox>
+        ));
+
+    return (
+        <div className="notification-bell">
+            <button
+                type="button"
+                className="btn small"
+                onClick={() => setOpen(!open)}
+                aria-label={`Notifications (${unread} unread)`}
+                aria-expanded={open}
+            >
+                🔔{unread > 0 && <span className="notification-count">{unread > 99 ? '99+' : unread}</span>}
+            </button>
+            {open && (
+                <div className="notification-menu panel">
+                    <div className="flex-between">
+                        <h3 className="panel-title">Notifications</h3>
+                        <div className="flex-gap-8">
+                            <Button size="small" onClick={() => markRead()} disabled={!unread}>
+                                Mark all read
+                            </Button>
+                            <Button size="small" onClick={() => setShowPrefs(!showPrefs)}>
+                                {showPrefs ? 'Back' : 'Preferences'}
+                            </Button>
+                        </div>
+                    </div>
+                    {showPrefs ? (
+                        <>
+                            <div className="checkboxes mt-12">{preferenceBoxes(TYPE_LABELS)}</div>
+                            <form className="notification-email mt-12" onSubmit={submitEmail}>
+                                <input
+                                    type="email"
+                                    aria-label="E-mail address"
+                                    placeholder="name@example.com"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                />
+                                <Button type="submit" size="small" loading={savingEmail}>
+                                    Save
+                                </Button>
+                            </form>
+                            <div className="checkboxes mt-6">{preferenceBoxes(EMAIL_LABELS)}</div>
+                        </>
+                    ) : (
+                        <ul className="notification-list">
+                            {items.map((n) => (
+                                <li key={n.id} className={n.read ? '' : 'unread'}>
+                                    <button type="button" onClick={() => openItem(n)}>
+                                        <span>{n.message}</span>
+                                        <span className="muted-small">{new Date(n.time).toLocaleString()}</span>
+                                    </button>
+                                </li>
+                            ))}
+                            {items.length === 0 && <li className="muted-small">No notifications yet.</li>}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
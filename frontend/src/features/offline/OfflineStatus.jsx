@@ -0,0 +1,124 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { getOfflineState, onOfflineChange, discardFailedChange, updatePost } from '../../api.js';
+import Button from '../../components/ui/Button';
+import ConflictModal from '../calendar/ConflictModal';
+import { useToast } from '../../context/ToastProvider';
+
+const ACTION_LABELS = { create: 'New post', update: 'Edit of', delete: 'Deletion of' };
+
+// e.g. `Edit of “Spring launch”`
+function describeChange(change) {
+    const title = change.post?.title || change.error.current?.title;
+    return `${ACTION_LABELS[change.action]} ${title ? `“${title}”` : 'a post'}`;
+}
+
+/**
+ * Header indicator for offline mode: shows when the server cannot be reached and how many
+ * changes wait to be sent. Changes the server rejected on replay are listed for review:
+ * version conflicts open the merge dialog, anything else can only be discarded.
+ */
+export default function OfflineStatus() {
+    const [state, setState] = useState(getOfflineState());
+    const [open, setOpen] = useState(false);
+    const conflictRef = useRef(null);
+    const toast = useToast();
+
+    useEffect(() => {
+        let failedCount = getOfflineState().failed.length;
+        return onOfflineChange((next) => {
+            if (next.failed.length > failedCount) {
+                toast('Some changes made offline could not be saved. Review them in the header.', 'warning');
+            }
+            failedCount = next.failed.length;
+            setState(next);
+        });
+    }, [toast]);
+
+    const { online, pending, failed } = state;
+    if (online && !pending && !failed.length) return null;
+
+    const discard = async (change) => {
+        try {
+            await discardFailedChange(change.id);
+        } catch (err) {
+            toast(`Could not discard the change: ${err.message}`, 'error');
+        }
+    };
+
+    const review = (change) => {
+        const { current } = change.error;
+        conflictRef.current?.show(null, change.post, current, async (merged) => {
+            try {
+                await updatePost(change.postId, merged, current.version);
+                await discardFailedChange(change.id);
+                toast('Merged changes saved', 'success');
+            } catch (err) {
+                toast(`Save failed: ${err.message}`, 'error');
+            }
+        });
+    };
+
+    let label = online ? `Syncing ${pending}…` : 'Offline';
+    if (!online && pending) label += ` · ${pending} pending`;
+    if (failed.length) label += ` · ${failed.length} not saved`;
+
+    return (
+        <div className="offline-status">
+            <button
+                type="button"
+                className={`btn small offline-badge ${online ? '' : 'is-offline'}`}
+                onClick={() => setOpen(!open)}
+                disabled={!failed.length}
+                aria-expanded={open}
+                title={online ? 'Sending changes made offline' : 'Changes wait on this device for the connection'}
+            >
+                {label}
+            </button>
+            {open && failed.length > 0 && (
+                <div className="offline-menu panel">
+                    <h3 className="panel-title">Changes not saved</h3>
+                    <ul className="offline-failed">
+                        {failed.map((change) => (
+                            <li key={change.id}>
+                                <div>{describeChange(change)}</div>
+                                <div className="muted-small">
+                                    {change.error.status === 409
+                                        ? 'Changed by someone else in the meantime'
+                                        : change.error.message}
+                                </div>
+                                <div className="flex-gap-8 mt-6">
+                                    {change.error.status === 409 && change.error.current && change.post && (
+                                        <Button size="small" variant="primary" onClick={() => review(change)}>
+                                            Review
+                                        </Button>
+                                    )}
+                                    <Button size="small" onClick={() => discard(change)}>
+                                        Discard
+                                    </Button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+            <ConflictModal ref={conflictRef} />
+        </div>
+    );
+}
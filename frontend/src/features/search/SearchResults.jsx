@@ -0,0 +1,131 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { searchPosts } from '../../api.js';
+import Button from '../../components/ui/Button';
+
+const SORT_OPTIONS = [
+    ['date', 'Date (oldest first)'],
+    ['-date', 'Date (newest first)'],
+    ['title', 'Title'],
+    ['-updated', 'Recently updated'],
+];
+
+const itemName = (item) => (typeof item === 'string' ? item : item?.name || item?.value || '');
+
+/**
+ * Calendar-wide search results for the header search box. Clicking a hit calls
+ * `onJump(post)` so the calendar can move to that week.
+ */
+export default function SearchResults({ query, lists, refreshTrigger, onJump, onClose }) {
+    const [filters, setFilters] = useState({ status: '', platform: '', sort: 'date' });
+    const [items, setItems] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [cursor, setCursor] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        searchPosts({ q: query, ...filters })
+            .then((res) => {
+                if (cancelled) return;
+                setItems(res.items);
+                setTotal(res.total);
+                setCursor(res.nextCursor);
+            })
+            .catch((err) => console.error('Search failed', err))
+            .finally(() => !cancelled && setLoading(false));
+        return () => {
+            cancelled = true;
+        };
+    }, [query, filters, refreshTrigger]);
+
+    const loadMore = async () => {
+        setLoading(true);
+        try {
+            const res = await searchPosts({ q: query, ...filters, cursor });
+            setItems((prev) => [...prev, ...res.items]);
+            setCursor(res.nextCursor);
+        } catch (err) {
+            console.error('Search failed', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const setFilter = (k, v) => setFilters((f) => ({ ...f, [k]: v }));
+
+    const filterSelect = (k, label, options) => (
+        <select aria-label={label} value={filters[k]} onChange={(e) => setFilter(k, e.target.value)}>
+            <option value="">Any {label.toLowerCase()}</option>
+            {options.map((o) => (
+                <option key={o} value={o}>
+                    {o}
+                </option>
+            ))}
+        </select>
+    );
+
+    return (
+        <div className="panel search-results">
+            <div className="flex-between">
+                <h3 className="panel-title">
+                    {total} result{total === 1 ? '' : 's'} for “{query}”
+                </h3>
+                <Button size="small" onClick={onClose} aria-label="Close search results">
+                    ✕
+                </Button>
+            </div>
+            <div className="flex-gap-8">
+                {filterSelect('status', 'Status', (lists.statuses || []).map(itemName))}
+                {filterSelect('platform', 'Platform', (lists.platforms || []).map(itemName))}
+                <select aria-label="Sort" value={filters.sort} onChange={(e) => setFilter('sort', e.target.value)}>
+                    {SORT_OPTIONS.map(([value, label]) => (
+                        <option key={value} value={value}>
+                            {label}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            <ul className="remove-list mt-12">
+                {items.map((post) => (
+                    <li key={post.id} className="remove-item">
+                        <button type="button" className="search-hit" onClick={() => onJump(post)}>
+                            <span className="search-hit-date">
+                                {post.date} {post.isAllDay ? 'All day' : post.time}
+                            </span>
+                            <span className="search-hit-title">
+                                {post.title}
+                                {post.recurrence ? ' ↻' : ''}
+                            </span>
+                            <span className="muted-small">{post.status}</span>
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            {!loading && items.length === 0 && <div className="muted-small">No posts match.</div>}
+            {cursor && (
+                <Button size="small" onClick={loadMore} loading={loading}>
+                    Load more
+                </Button>
+            )}
+        </div>
+    );
+}
@@ -43,3 +43,67 @@ export function minutesOf(hhmm) {
     const [h, m] = (hhmm || '00:00').split(':').map(Number);
     return h * 60 + m;
 }
+
+// Time zone of this browser; posts are shown in it
+export const VIEWER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * IANA time zones to choose from, always including `current`.
+ */
+export function timezoneOptions(current) {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return Array.from(new Set([...zones, 'UTC', VIEWER_TIMEZONE, ...(current ? [current] : [])])).sort();
+}
+
+const formatters = new Map();
+
+function zonedParts(ms, tz) {
+    if (!formatters.has(tz)) {
+        formatters.set(
+            tz,
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: tz,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+            })
+        );
+    }
+    const parts = {};
+    for (const { type, value } of formatters.get(tz).formatToParts(new Date(ms))) parts[type] = value;
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+function wallClockMs(date, time) {
+    const [y, m, d] = date.split('-').map(Number);
+    const [h, min] = time.split(':').map(Number);
+    return Date.UTC(y, m - 1, d, h, min);
+}
+
+// Same conversion as the server's utils/timezones.js
+function zonedToUtc(date, time, tz) {
+    const wall = wallClockMs(date, time || '00:00');
+    const offsetAt = (ms) => {
+        const p = zonedParts(ms, tz);
+        return wallClockMs(p.date, p.time) - ms;
+    };
+    const guess = wall - offsetAt(wall);
+    return wall - offsetAt(guess);
+}
+
+/**
+ * Date and time of a post in the viewer's zone. `fallback` is the zone of posts without one
+ * (the instance default). All-day posts keep their date.
+ * @returns {{ date: string, time: string, zone: string, shifted: boolean }} `shifted` is true
+ *   when the post's own zone differs from the viewer's.
+ */
+export function localizePost(post, fallback) {
+    const zone = post.timezone || fallback || VIEWER_TIMEZONE;
+    if (post.isAllDay || zone === VIEWER_TIMEZONE || !post.date || !post.time) {
+        return { date: post.date, time: post.time, zone, shifted: false };
+    }
+    return { ...zonedParts(zonedToUtc(post.date, post.time, zone), VIEWER_TIMEZONE), zone, shifted: true };
+}
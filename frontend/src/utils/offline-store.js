@@ -0,0 +1,100 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * IndexedDB storage behind offline mode. `cache` holds the last response of cached reads as
+ * `{ key, value, cachedAt }`; `queue` holds the changes made offline, in the order they were made.
+ */
+const DB_NAME = 'content-planner-offline';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore('cache', { keyPath: 'key' });
+                req.result.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Runs `fn(store)` in a transaction; resolves to the result of the request it returns, once committed
+async function run(storeName, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Resolves to the cached value of `key`, or undefined.
+ */
+export async function readCache(key) {
+    const entry = await run('cache', 'readonly', (store) => store.get(key));
+    return entry ? entry.value : undefined;
+}
+
+export function writeCache(key, value) {
+    return run('cache', 'readwrite', (store) => store.put({ key, value, cachedAt: Date.now() }));
+}
+
+/**
+ * Keeps only the `keep` most recently cached entries whose key starts with `prefix`.
+ */
+export async function pruneCache(prefix, keep) {
+    const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+    const entries = await run('cache', 'readonly', (store) => store.getAll(range));
+    const stale = entries.sort((a, b) => b.cachedAt - a.cachedAt).slice(keep);
+    if (stale.length) await run('cache', 'readwrite', (store) => stale.forEach((e) => store.delete(e.key)));
+}
+
+/**
+ * Resolves to the queued changes, oldest first.
+ */
+export function readQueue() {
+    return run('queue', 'readonly', (store) => store.getAll());
+}
+
+/**
+ * Adds a change (or replaces the one with the same `id`); resolves to its `id`.
+ */
+export function saveToQueue(change) {
+    return run('queue', 'readwrite', (store) => store.put(change));
+}
+
+export function removeFromQueue(id) {
+    return run('queue', 'readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Empties the cache and the queue.
+ */
+export async function clearOfflineStore() {
+    await run('cache', 'readwrite', (store) => store.clear());
+    await run('queue', 'readwrite', (store) => store.clear());
+}
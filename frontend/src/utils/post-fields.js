@@ -0,0 +1,62 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { describeRecurrence } from './recurrence.js';
+import { describeStages } from './stages.js';
+
+// Editable post fields with their display labels, in display order
+export const POST_FIELD_LABELS = {
+    title: 'Title',
+    date: 'Date',
+    time: 'Time',
+    isAllDay: 'All day',
+    timezone: 'Time zone',
+    status: 'Status',
+    creators: 'Creators',
+    designers: 'Designers',
+    editors: 'Editors',
+    platforms: 'Platforms',
+    notes: 'Notes',
+    recurrence: 'Repeats',
+    campaignId: 'Campaign',
+    variants: 'Platform copy',
+    stages: 'Deadlines',
+};
+
+export function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+export function formatFieldValue(v, field) {
+    if (field === 'recurrence') return describeRecurrence(v);
+    if (field === 'stages') return describeStages(v);
+    if (v === undefined || v === null || v === '') return '—';
+    if (Array.isArray(v)) return v.length ? v.join(', ') : '—';
+    if (typeof v === 'boolean') return v ? 'Yes' : 'No';
+    if (typeof v === 'object') return JSON.stringify(v);
+    return String(v);
+}
+
+/**
+ * Lists the editable fields that differ between two versions of a post.
+ * @returns {Array<{ field: string, label: string, before: *, after: * }>}
+ */
+export function diffPosts(before, after) {
+    return Object.keys(POST_FIELD_LABELS)
+        .filter((k) => !sameValue(before?.[k], after?.[k]))
+        .map((k) => ({ field: k, label: POST_FIELD_LABELS[k], before: before?.[k], after: after?.[k] }));
+}
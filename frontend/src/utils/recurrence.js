@@ -0,0 +1,44 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+export const WEEKDAY_LABELS = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+
+const UNITS = { daily: ['day', 'days'], weekly: ['week', 'weeks'], monthly: ['month', 'months'] };
+
+export function defaultRecurrence(date) {
+    // Weekly on the weekday of the post date
+    const day = date ? WEEKDAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7] : 'MO';
+    return { freq: 'weekly', interval: 1, byWeekday: [day], until: null, count: null, exceptions: [] };
+}
+
+/**
+ * Human-readable summary of a recurrence rule, e.g. "Every 2 weeks on Mon, Wed, 10 times".
+ */
+export function describeRecurrence(rule) {
+    if (!rule) return 'Does not repeat';
+    const [one, many] = UNITS[rule.freq] || ['time', 'times'];
+    const interval = rule.interval || 1;
+    let text = interval === 1 ? `Every ${one}` : `Every ${interval} ${many}`;
+    if (rule.freq === 'weekly' && rule.byWeekday?.length) {
+        text += ` on ${rule.byWeekday.map((d) => WEEKDAY_LABELS[d]).join(', ')}`;
+    }
+    if (rule.count) text += `, ${rule.count} times`;
+    else if (rule.until) text += `, until ${rule.until}`;
+    if (rule.exceptions?.length) text += ` (${rule.exceptions.length} skipped)`;
+    return text;
+}
@@ -0,0 +1,67 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { formatISODate } from './date.js';
+
+// Production stages, one per assignee role (mirrors backend/utils/stages.js)
+export const STAGE_ROLES = ['creators', 'designers', 'editors'];
+export const STAGE_LABELS = { creators: 'Creation', designers: 'Design', editors: 'Editing' };
+
+export function emptyStage() {
+    return { due: null, daysBefore: null, done: false };
+}
+
+/**
+ * Due date (YYYY-MM-DD) of a stage for a post published on `date`, or null without a deadline.
+ */
+export function stageDueDate(stage, date) {
+    if (!stage) return null;
+    if (stage.due) return stage.due;
+    if (stage.daysBefore === null || stage.daysBefore === undefined || !date) return null;
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - stage.daysBefore);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Roles whose stage is not done and was due before today.
+ */
+export function overdueStages(post, today = formatISODate(new Date())) {
+    const stages = post?.stages || {};
+    return STAGE_ROLES.filter((role) => {
+        const stage = stages[role];
+        if (!stage || stage.done) return false;
+        const due = stageDueDate(stage, post.date);
+        return !!due && due < today;
+    });
+}
+
+/**
+ * Human-readable summary of the stages, e.g. "Design 3 days before (done), Editing on 2026-03-01".
+ */
+export function describeStages(stages) {
+    const parts = STAGE_ROLES.filter((role) => stages?.[role]).map((role) => {
+        const s = stages[role];
+        const when = s.due
+            ? `on ${s.due}`
+            : s.daysBefore !== null && s.daysBefore !== undefined
+            ? `${s.daysBefore} day(s) before`
+            : 'no deadline';
+        return `${STAGE_LABELS[role]} ${when}${s.done ? ' (done)' : ''}`;
+    });
+    return parts.length ? parts.join(', ') : 'No deadlines';
+}
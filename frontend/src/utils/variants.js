@@ -0,0 +1,82 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Mirrors backend/utils/variants.js: counters and limit checks for per-platform copy
+
+export const emptyVariant = () => ({ caption: '', hashtags: [], link: '', firstComment: '' });
+
+export function countChars(text) {
+    return Array.from(text || '').length;
+}
+
+/**
+ * Splits "#launch spring, #news" into ['launch', 'spring', 'news'].
+ */
+export function parseHashtags(text) {
+    return Array.from(
+        new Set(
+            String(text || '')
+                .split(/[\s,]+/)
+                .map((t) => t.replace(/^#/, ''))
+                .filter(Boolean)
+        )
+    );
+}
+
+/**
+ * The text published on the platform: caption, then hashtags, then the link.
+ */
+export function composeVariant(variant) {
+    const tags = (variant.hashtags || []).map((h) => `#${h}`).join(' ');
+    return [variant.caption, tags, variant.link].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Checks a variant against its platform limits; returns `{ [field]: message }` (empty when valid).
+ */
+export function checkVariantLimits(variant, meta) {
+    const errors = {};
+    if (!meta) return errors;
+    const chars = countChars(composeVariant(variant));
+    if (meta.maxChars !== null && chars > meta.maxChars) {
+        errors.caption = `${chars} characters, over the limit of ${meta.maxChars}`;
+    }
+    if (meta.maxChars !== null && countChars(variant.firstComment) > meta.maxChars) {
+        errors.firstComment = `Over the limit of ${meta.maxChars} characters`;
+    }
+    const tags = (variant.hashtags || []).length;
+    if (meta.maxHashtags !== null && tags > meta.maxHashtags) {
+        errors.hashtags = `${tags} hashtags, over the limit of ${meta.maxHashtags}`;
+    }
+    if (variant.link && !meta.allowLinks) errors.link = 'Links are not allowed on this platform';
+    return errors;
+}
+
+/**
+ * Limit errors of all the given platforms' variants, keyed like the server's (`variants.X.caption`).
+ */
+export function variantErrors(variants, platforms, platformMeta) {
+    const errors = {};
+    for (const platform of platforms) {
+        const variant = variants?.[platform];
+        if (!variant) continue;
+        for (const [field, message] of Object.entries(checkVariantLimits(variant, platformMeta?.[platform]))) {
+            errors[`variants.${platform}.${field}`] = message;
+        }
+    }
+    return errors;
+}
@@ -0,0 +1,56 @@
+/**
+ * Copyright (C) 2025-2026 Francesco Ugolini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Mirrors backend/utils/workflow.js so the editor only offers status changes the server accepts
+
+export const ANY_STATUS = '*';
+export const WORKFLOW_ROLES = ['admin', 'user'];
+export const REQUIRABLE_FIELDS = ['time', 'creators', 'designers', 'editors', 'platforms', 'notes'];
+
+export const emptyWorkflow = () => ({ enabled: false, statuses: [], transitions: [], requiredFields: {} });
+
+function mayPerform(transition, user) {
+    if (!transition.roles.length && !transition.users.length) return true;
+    return transition.roles.includes(user?.role) || transition.users.includes(user?.username);
+}
+
+/**
+ * Statuses `user` may move a post to from `from` (excluded). Posts without a workflow status,
+ * including new ones, may take the first status or any status reachable from it.
+ */
+export function nextStatuses(workflow, from, user) {
+    if (!workflow.statuses.includes(from)) {
+        const first = workflow.statuses[0];
+        return first ? [first, ...nextStatuses(workflow, first, user)] : [];
+    }
+    const targets = new Set(
+        workflow.transitions
+            .filter((t) => (t.from === from || t.from === ANY_STATUS) && t.to !== from && mayPerform(t, user))
+            .map((t) => t.to)
+    );
+    return workflow.statuses.filter((s) => targets.has(s));
+}
+
+/**
+ * Statuses selectable in the post editor, in workflow order: the current status (when editing)
+ * and the legal next ones. Returns null when no workflow is active and any status may be used.
+ */
+export function selectableStatuses(workflow, current, user) {
+    if (!workflow?.enabled) return null;
+    const next = nextStatuses(workflow, current, user);
+    return current && !next.includes(current) ? [current, ...next] : next;
+}